@@ -0,0 +1,74 @@
+import { solarScene } from './solarScene';
+
+/**
+ * Manual building heights
+ * Overrides are keyed by OSM element, kept in solarScene.heightOverrides and
+ * saved in localStorage, so they are applied again whenever OSM data is parsed.
+ * An override is the height to the top of the roof, like the OSM height tag.
+ */
+
+const STORAGE_KEY = 'solar-project.heightOverrides';
+
+/**
+ * Stable key for a building's OSM element
+ * @param {Object} building - Parsed building {type, id}
+ * @returns {string} "way/123" or "relation/456"
+ */
+export function getBuildingKey(building) {
+  return `${building.type}/${building.id}`;
+}
+
+/**
+ * Loads saved overrides into solarScene.heightOverrides
+ * @returns {Object} Overrides by building key
+ */
+export function loadHeightOverrides() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    solarScene.heightOverrides = saved && typeof saved === 'object' ? saved : {};
+  } catch (err) {
+    console.warn('Ignoring unreadable saved height overrides:', err);
+    solarScene.heightOverrides = {};
+  }
+  return solarScene.heightOverrides;
+}
+
+function saveHeightOverrides() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(solarScene.heightOverrides));
+  } catch (err) {
+    console.warn('Could not save height overrides:', err);
+  }
+}
+
+/**
+ * Applies the current overrides to parsed buildings
+ * The OSM height is kept in osmHeight so an override can be cleared again.
+ * @param {Array<Object>} buildings - Parsed buildings (modified in place)
+ * @returns {Array<Object>} The same buildings
+ */
+export function applyHeightOverrides(buildings) {
+  buildings.forEach(building => {
+    if (building.osmHeight === undefined) building.osmHeight = building.height;
+    const override = solarScene.heightOverrides[getBuildingKey(building)];
+    building.heightOverride = override > 0 ? override : null;
+    building.height = building.heightOverride ?? building.osmHeight;
+  });
+  return buildings;
+}
+
+/**
+ * Sets or clears a building's manual height and saves it with the project
+ * @param {Object} building - Parsed building
+ * @param {number|null} height - Height to the top of the roof in meters, or null to use OSM again
+ */
+export function setHeightOverride(building, height) {
+  const key = getBuildingKey(building);
+  if (height > 0) {
+    solarScene.heightOverrides[key] = height;
+  } else {
+    delete solarScene.heightOverrides[key];
+  }
+  saveHeightOverrides();
+  applyHeightOverrides([building]);
+}
@@ -1,54 +1,453 @@
+import { applyHeightOverrides } from './heightOverrides';
+import { applyTreeEdits } from './treeEdits';
+import { latLonToLocal } from '../geo/localProjection';
+
 const FLOOR_HEIGHT = 3;      // meters per floor
-const DEFAULT_HEIGHT = 10;   // meters
+const DEFAULT_HEIGHT = 10;   // meters, for building types not listed below
+const FEET = 0.3048;         // meters per foot
+const INCH = 0.0254;         // meters per inch
 
-function parseHeight(tags = {}) {
-  // 1️⃣ Exact height
-  if (tags.height) {
-    const h = parseFloat(tags.height);
-    if (!isNaN(h)) return h;
+// Typical wall heights (m) by building=* value for buildings without height or levels
+const DEFAULT_HEIGHTS = {
+  house: 6, detached: 6, semidetached_house: 6, terrace: 7, bungalow: 4, cabin: 3,
+  hut: 3, shed: 3, garage: 3, garages: 3, carport: 3, roof: 4, kiosk: 3, service: 3,
+  greenhouse: 3, farm_auxiliary: 5, barn: 6, stable: 5,
+  residential: 10, apartments: 15, dormitory: 12, hotel: 15,
+  commercial: 12, office: 15, retail: 6, supermarket: 7,
+  industrial: 9, warehouse: 8, manufacture: 9, parking: 9,
+  school: 9, university: 12, college: 12, hospital: 15, public: 9, civic: 9, government: 12,
+  church: 12, cathedral: 25, mosque: 10, temple: 8, train_station: 10, transportation: 8, stadium: 20
+};
+
+// Trees without height or crown tags: a typical street tree, crowns about 0.6 × the height
+const DEFAULT_TREE_HEIGHT = 8;      // meters
+const CROWN_PER_HEIGHT = 0.6;
+const DEFAULT_FOREST_HEIGHT = 15;   // meters, canopy top of woods and forests
+
+// Compass points accepted by roof:direction (degrees clockwise from North)
+const COMPASS_DIRECTIONS = {
+  N: 0, NNE: 22.5, NE: 45, ENE: 67.5, E: 90, ESE: 112.5, SE: 135, SSE: 157.5,
+  S: 180, SSW: 202.5, SW: 225, WSW: 247.5, W: 270, WNW: 292.5, NW: 315, NNW: 337.5
+};
+
+/**
+ * Parses an OSM length with optional units
+ * Accepts plain meters ("12", "12.5 m", "12,5"), feet ("40 ft", "40 feet")
+ * and feet-inch notation ("30'", "30'6\"", "30 ft 6 in").
+ * @param {string|number} value - Tag value
+ * @returns {number|null} Length in meters, or null if it can't be read
+ */
+export function parseLength(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim().toLowerCase().replace(/(\d),(\d)/, "$1.$2");
+  const num = "(\\d+(?:\\.\\d+)?)";
+
+  // Feet and inches: 30' 6", 30'6'', 30 ft 6 in
+  const feetInch = text.match(new RegExp(`^${num}\\s*(?:'|ft|feet|foot)\\s*(?:${num}\\s*(?:"|''|in|inch|inches)?)?$`));
+  if (feetInch) {
+    return parseFloat(feetInch[1]) * FEET + (feetInch[2] ? parseFloat(feetInch[2]) * INCH : 0);
   }
 
+  const meters = text.match(new RegExp(`^${num}\\s*(?:m|meters?|metres?)?$`));
+  if (meters) return parseFloat(meters[1]);
+
+  return null;
+}
+
+/**
+ * Height of a building to the top of its roof
+ * OSM `height` includes the roof; `building:levels` counts only the floors
+ * below it, so the roof height (roof:height or roof:levels) is added on top.
+ * @param {Object} tags - OSM tags
+ * @param {Object} roof - Parsed roof (see parseRoof)
+ * @returns {number} Height in meters
+ */
+function parseHeight(tags = {}, roof = { height: null }) {
+  // 1️⃣ Exact height
+  const height = parseLength(tags.height);
+  if (height !== null) return height;
+
   // 2️⃣ building:height
-  if (tags["building:height"]) {
-    const h = parseFloat(tags["building:height"]);
-    if (!isNaN(h)) return h;
+  const buildingHeight = parseLength(tags["building:height"]);
+  if (buildingHeight !== null) return buildingHeight;
+
+  // 3️⃣ building levels (plus the roof)
+  const levels = parseFloat(tags["building:levels"]);
+  if (!isNaN(levels)) return levels * FLOOR_HEIGHT + (roof.height || 0);
+
+  // 4️⃣ fallback by building type
+  const type = tags.building && tags.building !== "yes" ? tags.building : null;
+  return (DEFAULT_HEIGHTS[type] ?? DEFAULT_HEIGHT) + (roof.height || 0);
+}
+
+/**
+ * Base height of a building part (for parts that start above the ground)
+ * @param {Object} tags - OSM tags
+ * @returns {number} Height of the part's bottom above the ground in meters
+ */
+function parseMinHeight(tags = {}) {
+  const h = parseLength(tags.min_height);
+  if (h !== null) return h;
+
+  const levels = parseFloat(tags["building:min_level"]);
+  if (!isNaN(levels)) return levels * FLOOR_HEIGHT;
+
+  return 0;
+}
+
+/**
+ * Parses roof:direction as degrees or a compass point
+ * @param {string} value - Tag value
+ * @returns {number|null} Direction in degrees (0 = North, clockwise) or null
+ */
+function parseDirection(value) {
+  if (!value) return null;
+  const compass = COMPASS_DIRECTIONS[value.trim().toUpperCase()];
+  if (compass !== undefined) return compass;
+  const deg = parseFloat(value);
+  return isNaN(deg) ? null : ((deg % 360) + 360) % 360;
+}
+
+/**
+ * Reads the roof tags of a building
+ * The building height includes the roof whenever it was tagged or the roof
+ * height is known; otherwise a pitched roof is added on top of the walls.
+ * @param {Object} tags - OSM tags
+ * @returns {{shape: string, height: number|null, angle: number|null, direction: number|null,
+ *   orientation: string|null, heightIncludesRoof: boolean}} Roof description
+ */
+function parseRoof(tags = {}) {
+  let height = parseLength(tags["roof:height"]);
+  if (height === null) {
+    const levels = parseFloat(tags["roof:levels"]);
+    height = isNaN(levels) ? null : levels * FLOOR_HEIGHT;
+  }
+  const angle = parseFloat(tags["roof:angle"]);
+
+  return {
+    shape: (tags["roof:shape"] || "flat").toLowerCase(),
+    height,
+    angle: isNaN(angle) ? null : angle,
+    direction: parseDirection(tags["roof:direction"]),
+    orientation: tags["roof:orientation"] || null,
+    heightIncludesRoof: parseLength(tags.height) !== null || parseLength(tags["building:height"]) !== null ||
+      height !== null
+  };
+}
+
+/**
+ * Checks whether an element is a building outline or a building part
+ * @param {Object} tags - OSM tags
+ * @returns {boolean} True for building=* and building:part=* (except "no")
+ */
+function isBuildingElement(tags = {}) {
+  return (tags.building && tags.building !== "no") ||
+    (tags["building:part"] && tags["building:part"] !== "no");
+}
+
+/**
+ * Joins way node lists into closed rings by matching their end nodes
+ * @param {Array<Array<number>>} nodeLists - Node id lists of the member ways
+ * @returns {Array<Array<number>>} Closed rings of node ids (first id repeated at the end)
+ */
+function assembleRings(nodeLists) {
+  const segments = nodeLists.filter(n => n && n.length >= 2).map(n => n.slice());
+  const rings = [];
+
+  while (segments.length > 0) {
+    let ring = segments.shift();
+    while (ring[0] !== ring[ring.length - 1]) {
+      const end = ring[ring.length - 1];
+      const i = segments.findIndex(s => s[0] === end || s[s.length - 1] === end);
+      if (i < 0) break; // open ring: incomplete relation in the download
+      const [next] = segments.splice(i, 1);
+      ring = ring.concat((next[0] === end ? next : next.reverse()).slice(1));
+    }
+    if (ring.length >= 4 && ring[0] === ring[ring.length - 1]) rings.push(ring);
   }
 
-  // 3️⃣ building levels
-  if (tags["building:levels"]) {
-    const levels = parseInt(tags["building:levels"]);
-    if (!isNaN(levels)) return levels * FLOOR_HEIGHT;
+  return rings;
+}
+
+/**
+ * Checks whether a point lies inside a ring (even-odd rule)
+ * @param {Array<number>} point - [x, y], e.g. [lon, lat]
+ * @param {Array<Array<number>>} ring - Ring of [x, y] in the same units
+ * @returns {boolean} True if inside
+ */
+export function pointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
   }
+  return inside;
+}
 
-  // 4️⃣ fallback
-  return DEFAULT_HEIGHT;
+/**
+ * Average of a ring's vertices
+ * @param {Array<Array<number>>} ring - Ring of [lon, lat]
+ * @returns {Array<number>} [lon, lat]
+ */
+function ringCenter(ring) {
+  const sum = ring.reduce(([x, y], [lon, lat]) => [x + lon, y + lat], [0, 0]);
+  return [sum[0] / ring.length, sum[1] / ring.length];
 }
 
-export function parseBuildings(osmJson) {
+/**
+ * Indexes the nodes and ways of Overpass JSON
+ * A way may appear twice (with tags and as a bare relation member); the tagged copy is kept.
+ * @param {Object} osmJson - Overpass JSON ({elements})
+ * @returns {{nodes: Object, ways: Object, toCoords: Function}} Node positions [lon, lat] and ways
+ *   by id, and a function turning node id lists into coordinate rings
+ */
+function indexElements(osmJson) {
   const nodes = {};
-  const buildings = [];
-
-  // store nodes
+  const ways = {};
   osmJson.elements.forEach(el => {
     if (el.type === "node") {
       nodes[el.id] = [el.lon, el.lat];
+    } else if (el.type === "way" && (!ways[el.id] || el.tags)) {
+      ways[el.id] = el;
     }
   });
+  const toCoords = ids => ids.map(id => nodes[id]).filter(Boolean);
+  return { nodes, ways, toCoords };
+}
+
+/**
+ * Outer rings and their courtyards of a multipolygon relation
+ * @param {Object} el - OSM relation
+ * @param {Object} ways - Ways by id (see indexElements)
+ * @param {Function} toCoords - Node ids to [lon, lat] ring (see indexElements)
+ * @returns {Array<{outer: Array<Array<number>>, holes: Array<Array<Array<number>>>}>} Polygons
+ */
+function assembleMultipolygon(el, ways, toCoords) {
+  const wayMembers = (el.members || []).filter(m => m.type === "way");
+  const ringsFor = members => assembleRings(members.map(m => ways[m.ref]?.nodes))
+    .map(toCoords)
+    .filter(ring => ring.length >= 4);
+  const inners = ringsFor(wayMembers.filter(m => m.role === "inner"));
+
+  // each outer ring is a separate footprint holding the courtyards inside it
+  return ringsFor(wayMembers.filter(m => m.role !== "inner")).map(outer => ({
+    outer,
+    holes: inners.filter(inner => pointInRing(inner[0], outer))
+  }));
+}
+
+/**
+ * Creates a building object from its rings and tags
+ * @param {Object} el - OSM way or relation
+ * @param {Array<Array<number>>} footprint - Outer ring of [lon, lat]
+ * @param {Array<Array<Array<number>>>} holes - Courtyard rings of [lon, lat]
+ * @param {number} ring - Which outer ring of a multipolygon this is (0 for ways)
+ * @returns {Object} Building {id, type, ring, footprint, holes, height, minHeight, isPart, roof, tags}
+ */
+function createBuilding(el, footprint, holes = [], ring = 0) {
+  const roof = parseRoof(el.tags);
+  return {
+    id: el.id,
+    type: el.type,
+    ring,
+    footprint,
+    holes,
+    height: parseHeight(el.tags, roof),
+    minHeight: parseMinHeight(el.tags),
+    isPart: !el.tags.building || el.tags.building === "no",
+    roof,
+    tags: el.tags
+  };
+}
+
+/**
+ * Parses buildings and building parts from Overpass JSON
+ * Closed ways become single footprints; multipolygon relations are assembled
+ * into outer rings with their courtyards. Outlines that contain building:part
+ * elements are dropped, since the parts describe the building in more detail.
+ * Manual height overrides saved with the project are applied to the result.
+ * @param {Object} osmJson - Overpass JSON ({elements})
+ * @returns {Array<Object>} Buildings (see createBuilding)
+ */
+export function parseBuildings(osmJson) {
+  const { ways, toCoords } = indexElements(osmJson);
+  const buildings = [];
+
+  // parse multipolygon relations; their outer ways are not buildings of their own
+  const relationOuterWays = new Set();
+  osmJson.elements.forEach(el => {
+    if (el.type !== "relation" || el.tags?.type !== "multipolygon" || !isBuildingElement(el.tags)) return;
+
+    (el.members || []).forEach(m => {
+      if (m.type === "way" && m.role !== "inner") relationOuterWays.add(m.ref);
+    });
+    assembleMultipolygon(el, ways, toCoords).forEach(({ outer, holes }, ring) => {
+      buildings.push(createBuilding(el, outer, holes, ring));
+    });
+  });
+
+  // parse building ways
+  Object.values(ways).forEach(el => {
+    if (!isBuildingElement(el.tags)) return;
+    if (el.tags.building && relationOuterWays.has(el.id)) return;
+
+    const footprint = toCoords(el.nodes);
+    if (footprint.length < 3) return;
+    buildings.push(createBuilding(el, footprint));
+  });
+
+  // outlines with parts inside them are replaced by the parts
+  const parts = buildings.filter(b => b.isPart);
+  return applyHeightOverrides(buildings.filter(b => b.isPart ||
+    !parts.some(part => pointInRing(ringCenter(part.footprint), b.footprint))));
+}
+
+/**
+ * Tree size from its tags
+ * A missing height or crown diameter is estimated from the other one.
+ * @param {Object} tags - OSM tags (height or est_height, diameter_crown)
+ * @returns {{height: number, crownDiameter: number}} Sizes in meters
+ */
+export function parseTreeSize(tags = {}) {
+  const height = parseLength(tags.height) ?? parseLength(tags.est_height);
+  const crown = parseLength(tags.diameter_crown);
+  if (height && crown) return { height, crownDiameter: crown };
+  if (height) return { height, crownDiameter: height * CROWN_PER_HEIGHT };
+  if (crown) return { height: crown / CROWN_PER_HEIGHT, crownDiameter: crown };
+  return { height: DEFAULT_TREE_HEIGHT, crownDiameter: DEFAULT_TREE_HEIGHT * CROWN_PER_HEIGHT };
+}
+
+/**
+ * Creates a single tree
+ * @param {Object} el - OSM node (or the tree row way)
+ * @param {Array<number>} position - [lon, lat]
+ * @param {Object} size - {height, crownDiameter} in meters
+ * @param {number|null} index - Position in a tree row, null for single trees
+ * @returns {Object} Tree {id, type, index, kind, position, height, crownDiameter, leafCycle, tags}
+ */
+function createTree(el, position, size, index = null) {
+  return {
+    id: el.id,
+    type: el.type,
+    index,
+    kind: "tree",
+    position,
+    height: size.height,
+    crownDiameter: size.crownDiameter,
+    leafCycle: el.tags?.leaf_cycle || null,
+    tags: el.tags || {}
+  };
+}
+
+/**
+ * Places the trees of a tree row one crown diameter apart along the line
+ * @param {Object} el - OSM way tagged natural=tree_row
+ * @param {Array<Array<number>>} line - Way nodes as [lon, lat]
+ * @returns {Array<Object>} Trees (see createTree)
+ */
+function treeRowToTrees(el, line) {
+  const size = parseTreeSize(el.tags);
+  const [lon0, lat0] = line[0];
+  const origin = { lat: lat0, lon: lon0 };
+  const points = line.map(([lon, lat]) => latLonToLocal(lat, lon, 0, origin));
+  const length = points.slice(1).reduce((sum, p, i) => sum + Math.hypot(p[0] - points[i][0], p[1] - points[i][1]), 0);
+  const count = Math.max(1, Math.round(length / size.crownDiameter) + 1);
+
+  const trees = [];
+  for (let t = 0; t < count; t++) {
+    // Walk along the line to distance t × spacing
+    let remaining = count === 1 ? 0 : length * t / (count - 1);
+    let i = 0;
+    let segment = Math.hypot(points[1][0] - points[0][0], points[1][1] - points[0][1]);
+    while (remaining > segment && i < points.length - 2) {
+      remaining -= segment;
+      i++;
+      segment = Math.hypot(points[i + 1][0] - points[i][0], points[i + 1][1] - points[i][1]);
+    }
+    const f = segment > 0 ? Math.min(1, remaining / segment) : 0;
+    trees.push(createTree(el, [
+      line[i][0] + (line[i + 1][0] - line[i][0]) * f,
+      line[i][1] + (line[i + 1][1] - line[i][1]) * f
+    ], size, t));
+  }
+  return trees;
+}
+
+/**
+ * Parses trees, tree rows and woods from Overpass JSON
+ * Single trees (natural=tree) keep their node; tree rows (natural=tree_row) are
+ * split into trees one crown apart; woods (natural=wood, landuse=forest) become
+ * canopy polygons. Sizes come from height/est_height and diameter_crown with
+ * defaults for untagged trees. Manual tree edits saved with the project are
+ * applied, and manually added trees within the data's extent are included.
+ * @param {Object} osmJson - Overpass JSON ({elements})
+ * @returns {Array<Object>} Trees (kind "tree") and woods (kind "forest", with footprint and holes)
+ */
+export function parseTrees(osmJson) {
+  const { ways, toCoords } = indexElements(osmJson);
+  const trees = [];
+  const isWood = tags => tags && (tags.natural === "wood" || tags.landuse === "forest");
+  const createForest = (el, footprint, holes, ring) => ({
+    id: el.id,
+    type: el.type,
+    index: ring,
+    kind: "forest",
+    footprint,
+    holes,
+    height: parseLength(el.tags.height) ?? DEFAULT_FOREST_HEIGHT,
+    leafCycle: el.tags.leaf_cycle || null,
+    tags: el.tags
+  });
 
-  // parse buildings
   osmJson.elements.forEach(el => {
-    if (el.type === "way" && el.tags?.building) {
-      const footprint = el.nodes.map(id => nodes[id]).filter(Boolean);
-      if (footprint.length < 3) return;
-
-      buildings.push({
-        id: el.id,
-        footprint,
-        height: parseHeight(el.tags),
-        tags: el.tags
+    if (el.type === "node" && el.tags?.natural === "tree") {
+      trees.push(createTree(el, [el.lon, el.lat], parseTreeSize(el.tags)));
+    } else if (el.type === "relation" && el.tags?.type === "multipolygon" && isWood(el.tags)) {
+      assembleMultipolygon(el, ways, toCoords).forEach(({ outer, holes }, ring) => {
+        trees.push(createForest(el, outer, holes, ring));
       });
     }
   });
 
-  return buildings;
+  Object.values(ways).forEach(el => {
+    if (el.tags?.natural === "tree_row") {
+      const line = toCoords(el.nodes);
+      if (line.length >= 2) trees.push(...treeRowToTrees(el, line));
+    } else if (isWood(el.tags)) {
+      const footprint = toCoords(el.nodes);
+      if (footprint.length >= 4) trees.push(createForest(el, footprint, [], null));
+    }
+  });
+
+  // extent of the data, for manually added trees
+  let bounds = null;
+  osmJson.elements.forEach(el => {
+    if (el.type !== "node") return;
+    bounds = bounds || { minLat: el.lat, minLon: el.lon, maxLat: el.lat, maxLon: el.lon };
+    bounds.minLat = Math.min(bounds.minLat, el.lat);
+    bounds.maxLat = Math.max(bounds.maxLat, el.lat);
+    bounds.minLon = Math.min(bounds.minLon, el.lon);
+    bounds.maxLon = Math.max(bounds.maxLon, el.lon);
+  });
+  return applyTreeEdits(trees, bounds);
+}
+
+/**
+ * Bounding box of parsed buildings
+ * @param {Array<Object>} buildings - Parsed buildings
+ * @returns {{minLat: number, minLon: number, maxLat: number, maxLon: number}|null} Bounds, or null if empty
+ */
+export function getBuildingBounds(buildings) {
+  if (buildings.length === 0) return null;
+  const bounds = { minLat: Infinity, minLon: Infinity, maxLat: -Infinity, maxLon: -Infinity };
+  buildings.forEach(b => b.footprint.forEach(([lon, lat]) => {
+    bounds.minLat = Math.min(bounds.minLat, lat);
+    bounds.maxLat = Math.max(bounds.maxLat, lat);
+    bounds.minLon = Math.min(bounds.minLon, lon);
+    bounds.maxLon = Math.max(bounds.maxLon, lon);
+  }));
+  return bounds;
 }
@@ -1,9 +1,18 @@
 export const solarScene = {
   location: {
     lat: 23.7810,
-    lon: 90.4010
+    lon: 90.4010,
+    altitude: 9,           // meters above sea level (sun position and clear-sky models)
+    timezone: 'Asia/Dhaka', // IANA timezone; all entered and displayed times are site-local
+    // Monthly Linke turbidity (Jan..Dec) for the clear-sky model; hazy pre-monsoon/monsoon air
+    linkeTurbidity: [4.2, 4.6, 5.1, 5.4, 5.7, 6.0, 6.0, 5.8, 5.4, 4.9, 4.4, 4.1]
     // lat: 24.893,  
     // lon: 91.864
   },
-  buildings: []    // parsed building objects (with footprint, height, tags)
+  buildings: [],   // parsed building objects (with footprint, height, tags)
+  heightOverrides: {}, // manual building heights in meters by OSM key ("way/123"), saved with the project
+  trees: [],       // parsed and manual trees and woods (see parseTrees)
+  treeEdits: { manual: [], changed: {}, removed: [] }, // manual tree changes, saved with the project
+  weather: null,   // loaded EPW/TMY3 weather data; null uses the clear-sky model
+  terrain: null    // loaded DEM grid (see terrain/demFile); null is flat ground
 };
\ No newline at end of file
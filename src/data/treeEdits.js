@@ -0,0 +1,117 @@
+import { solarScene } from './solarScene';
+
+/**
+ * Manual tree edits
+ * Trees added by hand, and OSM trees that were moved, resized or removed, are
+ * kept in solarScene.treeEdits and saved in localStorage, so they are applied
+ * again whenever OSM data is parsed (like the building height overrides).
+ */
+
+const STORAGE_KEY = 'solar-project.trees';
+
+/**
+ * Stable key for a tree
+ * @param {Object} tree - Parsed or manual tree {type, id, index}
+ * @returns {string} "node/123", "way/456#2" for the third tree of a row, or "manual/abc"
+ */
+export function getTreeKey(tree) {
+  return `${tree.type}/${tree.id}${tree.index !== null && tree.index !== undefined ? `#${tree.index}` : ''}`;
+}
+
+/**
+ * Loads saved edits into solarScene.treeEdits
+ * @returns {Object} Edits {manual: [tree], changed: {key: {position, height, crownDiameter}}, removed: [key]}
+ */
+export function loadTreeEdits() {
+  const empty = { manual: [], changed: {}, removed: [] };
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    solarScene.treeEdits = saved && typeof saved === 'object' ? { ...empty, ...saved } : empty;
+  } catch (err) {
+    console.warn('Ignoring unreadable saved trees:', err);
+    solarScene.treeEdits = empty;
+  }
+  return solarScene.treeEdits;
+}
+
+function saveTreeEdits() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(solarScene.treeEdits));
+  } catch (err) {
+    console.warn('Could not save trees:', err);
+  }
+}
+
+/**
+ * Applies the current edits to parsed trees
+ * @param {Array<Object>} trees - Parsed trees (modified in place)
+ * @param {{minLat: number, minLon: number, maxLat: number, maxLon: number}|null} bounds - Extent of the
+ *   loaded data; manual trees inside it are added
+ * @returns {Array<Object>} Remaining trees followed by the manual ones
+ */
+export function applyTreeEdits(trees, bounds) {
+  const { manual, changed, removed } = solarScene.treeEdits;
+  const kept = trees.filter(tree => !removed.includes(getTreeKey(tree)));
+  kept.forEach(tree => Object.assign(tree, changed[getTreeKey(tree)]));
+
+  const inside = ([lon, lat]) => bounds &&
+    lat >= bounds.minLat && lat <= bounds.maxLat && lon >= bounds.minLon && lon <= bounds.maxLon;
+  return [...kept, ...manual.filter(tree => inside(tree.position)).map(tree => ({ ...tree }))];
+}
+
+/**
+ * Adds a tree by hand and saves it with the project
+ * @param {Array<number>} position - [lon, lat]
+ * @param {number} height - Height in meters
+ * @param {number} crownDiameter - Crown diameter in meters
+ * @returns {Object} New tree (see parseTrees)
+ */
+export function addManualTree(position, height, crownDiameter) {
+  const tree = {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    type: 'manual',
+    index: null,
+    kind: 'tree',
+    position,
+    height,
+    crownDiameter,
+    leafCycle: null,
+    tags: {}
+  };
+  solarScene.treeEdits.manual.push({ ...tree });
+  saveTreeEdits();
+  return tree;
+}
+
+/**
+ * Moves or resizes a tree and saves the change
+ * @param {Object} tree - Tree from solarScene.trees (modified in place)
+ * @param {Object} changes - Any of {position: [lon, lat], height, crownDiameter}
+ */
+export function updateTree(tree, changes) {
+  Object.assign(tree, changes);
+  const key = getTreeKey(tree);
+  if (tree.type === 'manual') {
+    const saved = solarScene.treeEdits.manual.find(t => getTreeKey(t) === key);
+    if (saved) Object.assign(saved, changes);
+  } else {
+    solarScene.treeEdits.changed[key] = { ...solarScene.treeEdits.changed[key], ...changes };
+  }
+  saveTreeEdits();
+}
+
+/**
+ * Removes a tree and saves the change (OSM trees stay hidden on later loads)
+ * @param {Object} tree - Tree from solarScene.trees
+ */
+export function removeTree(tree) {
+  const key = getTreeKey(tree);
+  const edits = solarScene.treeEdits;
+  if (tree.type === 'manual') {
+    edits.manual = edits.manual.filter(t => getTreeKey(t) !== key);
+  } else {
+    if (!edits.removed.includes(key)) edits.removed.push(key);
+    delete edits.changed[key];
+  }
+  saveTreeEdits();
+}
@@ -1,30 +1,162 @@
 
 import { solarScene } from "../data/solarScene";
+import { getTreeKey } from "../data/treeEdits";
+import { pointInRing } from "../data/osmParser";
+import { latLonToLocal, localToLatLon } from "../geo/localProjection";
+
+// Pixels per meter at zoom 1
+const SCALE = 1.35;
+
+/**
+ * Projects a map point to canvas pixels (local meters around solarScene.location, North up)
+ * @param {HTMLCanvasElement} canvas - Map canvas
+ * @param {Object} state - View state {zoom, offsetX, offsetY}
+ * @param {number} lon - Longitude in degrees
+ * @param {number} lat - Latitude in degrees
+ * @returns {Array<number>} [x, y] in canvas pixels
+ */
+function lonLatToCanvas(canvas, state, lon, lat) {
+  const [east, north] = latLonToLocal(lat, lon);
+  return [
+    east * SCALE * state.zoom + canvas.width / 2 + state.offsetX,
+    canvas.height / 2 + state.offsetY - north * SCALE * state.zoom
+  ];
+}
+
+/**
+ * Converts a mouse position to map coordinates
+ * @param {HTMLCanvasElement} canvas - Map canvas
+ * @param {Object} state - View state {zoom, offsetX, offsetY}
+ * @param {number} clientX - Mouse x (client coordinates)
+ * @param {number} clientY - Mouse y (client coordinates)
+ * @returns {Array<number>} [lon, lat]
+ */
+export function canvasToLonLat(canvas, state, clientX, clientY) {
+  const rect = canvas.getBoundingClientRect();
+  const x = (clientX - rect.left) * (canvas.width / rect.width);
+  const y = (clientY - rect.top) * (canvas.height / rect.height);
+  const east = (x - canvas.width / 2 - state.offsetX) / (SCALE * state.zoom);
+  const north = (canvas.height / 2 + state.offsetY - y) / (SCALE * state.zoom);
+  const [lat, lon] = localToLatLon(east, north);
+  return [lon, lat];
+}
+
+/**
+ * Finds the building drawn at a canvas position
+ * @param {HTMLCanvasElement} canvas - Map canvas
+ * @param {Object} state - View state {zoom, offsetX, offsetY}
+ * @param {number} clientX - Mouse x (client coordinates)
+ * @param {number} clientY - Mouse y (client coordinates)
+ * @returns {number} Index in solarScene.buildings, or -1
+ */
+export function getBuildingAt(canvas, state, clientX, clientY) {
+  const [lon, lat] = canvasToLonLat(canvas, state, clientX, clientY);
+
+  // Later buildings are drawn on top
+  for (let i = solarScene.buildings.length - 1; i >= 0; i--) {
+    const b = solarScene.buildings[i];
+    if (pointInRing([lon, lat], b.footprint) && !(b.holes || []).some(h => pointInRing([lon, lat], h))) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Finds the single tree drawn at a canvas position (woods can't be picked)
+ * @param {HTMLCanvasElement} canvas - Map canvas
+ * @param {Object} state - View state {zoom, offsetX, offsetY}
+ * @param {number} clientX - Mouse x (client coordinates)
+ * @param {number} clientY - Mouse y (client coordinates)
+ * @returns {number} Index in solarScene.trees of the nearest crown under the mouse, or -1
+ */
+export function getTreeAt(canvas, state, clientX, clientY) {
+  const [lon, lat] = canvasToLonLat(canvas, state, clientX, clientY);
+  const [east, north] = latLonToLocal(lat, lon);
+
+  let found = -1;
+  let nearest = Infinity;
+  solarScene.trees.forEach((tree, i) => {
+    if (tree.kind !== 'tree') return;
+    const [x, y] = latLonToLocal(tree.position[1], tree.position[0]);
+    const distance = Math.hypot(x - east, y - north);
+    if (distance <= Math.max(tree.crownDiameter / 2, 1) && distance < nearest) {
+      found = i;
+      nearest = distance;
+    }
+  });
+  return found;
+}
+
+/**
+ * Traces a ring as a closed canvas subpath
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {HTMLCanvasElement} canvas - Map canvas
+ * @param {Object} state - View state {zoom, offsetX, offsetY}
+ * @param {Array<Array<number>>} ring - Ring of [lon, lat]
+ */
+function traceRing(ctx, canvas, state, ring) {
+  ring.forEach(([lon, lat], index) => {
+    const [x, y] = lonLatToCanvas(canvas, state, lon, lat);
+    if (index === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.closePath();
+}
 
 export function draw2D(canvas, state) {
   const ctx = canvas.getContext("2d");
 
-  const scale = 150000;
-  let zoom = state.zoom;
-  let offsetX = state.offsetX;
-  let offsetY = state.offsetY;
-
   ctx.clearRect(0, 0, canvas.width, canvas.height);
 
+  // Woods lie under the buildings
+  solarScene.trees.filter(t => t.kind === 'forest').forEach(forest => {
+    ctx.beginPath();
+    [forest.footprint, ...(forest.holes || [])].forEach(ring => traceRing(ctx, canvas, state, ring));
+    ctx.fillStyle = "rgba(63, 143, 58, 0.3)";
+    ctx.fill("evenodd");
+  });
+
   solarScene.buildings.forEach(building => {
     ctx.beginPath();
-    // building.footprint is an array of [lon, lat]
-    building.footprint.forEach((pt, index) => {
-      const [lon, lat] = pt;
-      const x = (lon - solarScene.location.lon) * scale * zoom + canvas.width / 2 + offsetX;
-      const y = (solarScene.location.lat - lat) * scale * zoom + canvas.height / 2 + offsetY;
+    // building.footprint and building.holes are rings of [lon, lat]
+    [building.footprint, ...(building.holes || [])].forEach(ring => traceRing(ctx, canvas, state, ring));
+    // Even-odd fill leaves courtyards empty; buildings with a manual height are tinted
+    ctx.fillStyle = building.heightOverride ? "#8a9fc4" : "#999";
+    ctx.fill("evenodd");
+    ctx.strokeStyle = "#333";
+    ctx.stroke();
+  });
+
+  // Tree crowns to scale; hand-placed or edited trees are outlined darker
+  const changed = solarScene.treeEdits.changed;
+  solarScene.trees.filter(t => t.kind === 'tree').forEach(tree => {
+    const [x, y] = lonLatToCanvas(canvas, state, tree.position[0], tree.position[1]);
+    ctx.beginPath();
+    ctx.arc(x, y, Math.max(tree.crownDiameter / 2 * SCALE * state.zoom, 2), 0, Math.PI * 2);
+    ctx.fillStyle = "rgba(63, 143, 58, 0.55)";
+    ctx.fill();
+    ctx.strokeStyle = tree.type === 'manual' || changed[getTreeKey(tree)] ? "#1f4d1c" : "#3f8f3a";
+    ctx.stroke();
+  });
+
+  // Area being drawn: state.selection = {points: [[lon, lat], ...], closed}
+  const selection = state.selection;
+  if (selection && selection.points.length > 0) {
+    ctx.beginPath();
+    selection.points.forEach(([lon, lat], index) => {
+      const [x, y] = lonLatToCanvas(canvas, state, lon, lat);
       if (index === 0) ctx.moveTo(x, y);
       else ctx.lineTo(x, y);
     });
-    ctx.closePath();
-    ctx.fillStyle = "#999";
+    if (selection.closed) ctx.closePath();
+    ctx.fillStyle = "rgba(102, 126, 234, 0.15)";
     ctx.fill();
-    ctx.strokeStyle = "#333";
+    ctx.setLineDash([6, 4]);
+    ctx.strokeStyle = "#667eea";
+    ctx.lineWidth = 2;
     ctx.stroke();
-  });
+    ctx.setLineDash([]);
+    ctx.lineWidth = 1;
+  }
 }
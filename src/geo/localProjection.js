@@ -0,0 +1,106 @@
+import { solarScene } from '../data/solarScene';
+
+/**
+ * Local tangent-plane (East-North-Up) projection
+ * Points are placed on the WGS84 ellipsoid and expressed in a frame whose
+ * origin is the site: +X = East, +Y = North, +Z = Up, in true meters. Unlike
+ * Web Mercator this doesn't stretch distances by 1/cos(lat), so building sizes,
+ * panel spacing and shadow lengths are right at any latitude. Used by the 2D
+ * map, the 3D scene and exports; the origin defaults to solarScene.location.
+ */
+
+const WGS84_A = 6378137.0;              // semi-major axis (m)
+const WGS84_F = 1 / 298.257223563;      // flattening
+const WGS84_E2 = WGS84_F * (2 - WGS84_F); // first eccentricity squared
+const DEG = Math.PI / 180;
+
+// Origin frame of the last call; the origin rarely changes
+let cachedFrame = null;
+
+/**
+ * Converts geodetic coordinates to Earth-centered, Earth-fixed meters
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {number} height - Height above the ellipsoid in meters
+ * @returns {Array<number>} [X, Y, Z] in meters
+ */
+function geodeticToECEF(lat, lon, height) {
+	const sinLat = Math.sin(lat * DEG);
+	const cosLat = Math.cos(lat * DEG);
+	const N = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinLat * sinLat);
+	return [
+		(N + height) * cosLat * Math.cos(lon * DEG),
+		(N + height) * cosLat * Math.sin(lon * DEG),
+		(N * (1 - WGS84_E2) + height) * sinLat
+	];
+}
+
+/**
+ * Origin position and axis trigonometry of the local frame
+ * @param {{lat: number, lon: number}} origin - Frame origin in degrees
+ * @returns {Object} Frame {lat, lon, ecef, sinLat, cosLat, sinLon, cosLon}
+ */
+function getFrame(origin) {
+	if (!cachedFrame || cachedFrame.lat !== origin.lat || cachedFrame.lon !== origin.lon) {
+		cachedFrame = {
+			lat: origin.lat,
+			lon: origin.lon,
+			ecef: geodeticToECEF(origin.lat, origin.lon, 0),
+			sinLat: Math.sin(origin.lat * DEG),
+			cosLat: Math.cos(origin.lat * DEG),
+			sinLon: Math.sin(origin.lon * DEG),
+			cosLon: Math.cos(origin.lon * DEG)
+		};
+	}
+	return cachedFrame;
+}
+
+/**
+ * Projects latitude/longitude into the local East-North-Up frame
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {number} height - Height above the ellipsoid in meters (default: 0)
+ * @param {{lat: number, lon: number}} origin - Frame origin (default: solarScene.location)
+ * @returns {Array<number>} [east, north, up] in meters from the origin
+ */
+export function latLonToLocal(lat, lon, height = 0, origin = solarScene.location) {
+	const f = getFrame(origin);
+	const [x, y, z] = geodeticToECEF(lat, lon, height);
+	const dx = x - f.ecef[0];
+	const dy = y - f.ecef[1];
+	const dz = z - f.ecef[2];
+	return [
+		-f.sinLon * dx + f.cosLon * dy,
+		-f.sinLat * f.cosLon * dx - f.sinLat * f.sinLon * dy + f.cosLat * dz,
+		f.cosLat * f.cosLon * dx + f.cosLat * f.sinLon * dy + f.sinLat * dz
+	];
+}
+
+/**
+ * Converts local East-North-Up meters back to latitude/longitude
+ * Inverse of latLonToLocal. Points on the tangent plane (up = 0) come back
+ * slightly above the ellipsoid away from the origin (about 8 cm at 1 km).
+ * @param {number} east - Meters east of the origin
+ * @param {number} north - Meters north of the origin
+ * @param {number} up - Meters above the origin's tangent plane (default: 0)
+ * @param {{lat: number, lon: number}} origin - Frame origin (default: solarScene.location)
+ * @returns {Array<number>} [lat, lon, height] in degrees and meters
+ */
+export function localToLatLon(east, north, up = 0, origin = solarScene.location) {
+	const f = getFrame(origin);
+	const x = f.ecef[0] - f.sinLon * east - f.sinLat * f.cosLon * north + f.cosLat * f.cosLon * up;
+	const y = f.ecef[1] + f.cosLon * east - f.sinLat * f.sinLon * north + f.cosLat * f.sinLon * up;
+	const z = f.ecef[2] + f.cosLat * north + f.sinLat * up;
+
+	// ECEF to geodetic by fixed-point iteration on latitude (converges to < 1 mm in a few steps)
+	const p = Math.hypot(x, y);
+	let lat = Math.atan2(z, p * (1 - WGS84_E2));
+	let height = 0;
+	for (let i = 0; i < 5; i++) {
+		const sinLat = Math.sin(lat);
+		const N = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinLat * sinLat);
+		height = p / Math.cos(lat) - N;
+		lat = Math.atan2(z, p * (1 - WGS84_E2 * N / (N + height)));
+	}
+	return [lat / DEG, Math.atan2(y, x) / DEG, height];
+}
@@ -1,52 +1,293 @@
-import { parseBuildings } from "./data/osmParser";
-import { draw2D } from "./debug/draw2D";
+import { parseBuildings, parseTrees, parseTreeSize, parseLength, getBuildingBounds } from "./data/osmParser";
+import { loadHeightOverrides, setHeightOverride, getBuildingKey } from "./data/heightOverrides";
+import { loadTreeEdits, addManualTree, updateTree, removeTree } from "./data/treeEdits";
+import { draw2D, getBuildingAt, getTreeAt, canvasToLonLat } from "./debug/draw2D";
 import { solarScene } from "./data/solarScene";
 import { initScene } from "./scene/initScene";
-import { buildOverpassQuery } from "./osm/overpassQuery";
-import { fetchOSM } from "./osm/fetchOSM";
+import { createBoxArea, createPolygonArea, parseAreaInput, getAreaBounds, getAreaCenter, AREA_TYPES } from "./osm/studyArea";
+import { clearOSMCache, OSM_DATA_SOURCES } from "./osm/overpassCache";
+import { parseOSMFile } from "./osm/osmFile";
+import { buildTileQueries, fetchTiles, mergeOSMElements, MAX_TILES } from "./osm/tiledLoader";
 
 const canvas = document.getElementById("map");
 
 const state = {
   zoom: 1,
   offsetX: 0,
-  offsetY: 0
+  offsetY: 0,
+  selection: null // area being drawn, see draw2D
 };
 
-// Generate Overpass query for Dhaka, Bangladesh
-const query = buildOverpassQuery(23.7800, 90.4000, 23.7820, 90.4020);
-// const query = buildOverpassQuery(24.892, 91.863, 24.894, 91.865);
+// 3D view (set once the first buildings have loaded)
+let view3D = null;
 
-// Fetch OSM data
-fetchOSM(query)
-.then(data => {
+// Manual building heights and tree edits saved with the project
+loadHeightOverrides();
+loadTreeEdits();
+
+// Areas larger than this (degrees², roughly 1 km²) ask before downloading
+const LARGE_AREA = 0.0001;
+
+/**
+ * Parses OSM data into solarScene.buildings and solarScene.trees and shows it in both views
+ * Nothing changes if the data holds no buildings.
+ * @param {Object} data - Overpass JSON ({elements})
+ * @param {Object} options - Where to center the scene
+ * @param {{lat: number, lon: number}} options.center - New site location (default: keep it)
+ * @param {boolean} options.recenter - Center on the middle of the buildings instead
+ * @returns {number} Number of buildings loaded
+ */
+function showBuildings(data, options = {}) {
+  const { center = null, recenter = false } = options;
   // Use parseBuildings to get building objects with footprint/height
-  solarScene.buildings = parseBuildings(data);
+  const buildings = parseBuildings(data);
+  if (buildings.length === 0) return 0;
+  solarScene.buildings = buildings;
+  solarScene.trees = parseTrees(data);
+
+  let newCenter = center;
+  if (recenter) {
+    const { minLat, minLon, maxLat, maxLon } = getBuildingBounds(buildings);
+    newCenter = { lat: (minLat + maxLat) / 2, lon: (minLon + maxLon) / 2 };
+  }
+  if (newCenter) {
+    solarScene.location.lat = newCenter.lat;
+    solarScene.location.lon = newCenter.lon;
+    state.offsetX = 0;
+    state.offsetY = 0;
+  }
+
   draw2D(canvas, state);
-  initScene();
-
-  // Toggle logic
-  const btn = document.getElementById('toggle-view');
-  const canvas2d = document.getElementById('map');
-  const container3d = document.getElementById('threejs-container');
-  let is3D = false;
-  btn.addEventListener('click', () => {
-    is3D = !is3D;
-    if (is3D) {
-      canvas2d.style.display = 'none';
-      container3d.style.display = 'block';
-      btn.textContent = 'Switch to 2D View';
-      btn.classList.add('active');
-    } else {
-      canvas2d.style.display = 'block';
-      container3d.style.display = 'none';
-      btn.textContent = 'Switch to 3D View';
-      btn.classList.remove('active');
+  // The 3D scene is set up once; later loads only swap the buildings
+  if (view3D) view3D.reloadBuildings();
+  else view3D = initScene();
+  return buildings.length;
+}
+
+// Study area: starts in Dhaka, Bangladesh; drawn or typed areas replace it
+let area = createBoxArea([23.7800, 90.4000], [23.7820, 90.4020]);
+// let area = createBoxArea([24.892, 91.863], [24.894, 91.865]);
+
+// Bumped by every load so a slow request can't overwrite newer buildings
+let loadId = 0;
+
+// Where the shown buildings came from, next to the refresh button
+const osmStatus = document.getElementById('osm-status');
+const osmProgress = document.getElementById('osm-progress');
+const OSM_SOURCE_LABELS = {
+  [OSM_DATA_SOURCES.NETWORK]: 'Fresh',
+  [OSM_DATA_SOURCES.CACHE]: 'Cached',
+  [OSM_DATA_SOURCES.OFFLINE]: 'Offline copy'
+};
+
+/**
+ * Shows the source and age of the building data
+ * @param {string} label - Source label
+ * @param {number|null} timestamp - When the data was downloaded (ms)
+ * @param {string} title - Tooltip
+ */
+function showOSMStatus(label, timestamp = null, title = '') {
+  if (!osmStatus) return;
+  osmStatus.textContent = timestamp
+    ? `${label} · ${new Date(timestamp).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}`
+    : label;
+  osmStatus.title = title;
+}
+
+/**
+ * Shows how many tiles of the area have arrived
+ * @param {number} done - Tiles loaded or failed
+ * @param {number} total - Tiles in the area, or 0 to hide the progress bar
+ */
+function showTileProgress(done, total) {
+  if (!osmProgress) return;
+  osmProgress.hidden = total <= 1;
+  osmProgress.max = total;
+  osmProgress.value = done;
+  if (total > 1 && done < total) showOSMStatus(`Loading tiles ${done}/${total}…`);
+}
+
+/**
+ * Loads a study area from Overpass (through the cache)
+ * Large areas are fetched in tiles; buildings appear as tiles arrive and
+ * duplicates along tile edges are merged by OSM id. The site location moves to
+ * the area's centroid once the first buildings arrive.
+ * @param {Object} newArea - Area from studyArea
+ * @param {boolean} forceRefresh - Download again even if a fresh copy is cached
+ * @returns {Promise<boolean>} True if buildings were loaded
+ */
+async function loadOSM(newArea, forceRefresh = false) {
+  const id = ++loadId;
+  const queries = buildTileQueries(newArea);
+  const merged = new Map();
+  let shown = false;
+
+  showOSMStatus('Loading…');
+  showTileProgress(0, queries.length);
+
+  const { results, failures } = await fetchTiles(queries, {
+    forceRefresh,
+    isCancelled: () => id !== loadId, // superseded by a newer load or a file
+    onProgress: showTileProgress,
+    onTile: ({ data }) => {
+      mergeOSMElements(merged, data.elements);
+      const elements = { elements: [...merged.values()] };
+      if (!shown) {
+        // First tile with buildings replaces the old area
+        shown = showBuildings(elements, { center: getAreaCenter(newArea) }) > 0;
+        return;
+      }
+      solarScene.buildings = parseBuildings(elements);
+      solarScene.trees = parseTrees(elements);
+      draw2D(canvas, state);
+      view3D.syncBuildings();
+      view3D.reloadTrees();
     }
   });
-})
-.catch(err => {
-  alert(`Failed to load OSM data from Overpass API.\n\n${err.message}`);
+  if (id !== loadId) return false;
+  showTileProgress(0, 0);
+
+  const loaded = results.filter(Boolean);
+  if (loaded.length === 0) {
+    const { error } = failures[0];
+    showOSMStatus('Not loaded');
+    alert(`Failed to load OSM data from Overpass API.\n\n${error.message}\n\n` +
+      'You can still open a saved .osm, Overpass JSON or GeoJSON file.');
+    return false;
+  }
+  if (!shown) {
+    alert('No buildings found in this area.');
+    showOSMStatus('No buildings');
+    return false;
+  }
+  area = newArea;
+
+  // The least fresh tile decides the label; the oldest download is the date shown
+  const sources = [OSM_DATA_SOURCES.NETWORK, OSM_DATA_SOURCES.CACHE, OSM_DATA_SOURCES.OFFLINE];
+  const source = sources[Math.max(...loaded.map(r => sources.indexOf(r.source)))];
+  const timestamp = Math.min(...loaded.map(r => r.timestamp));
+  const offline = loaded.find(r => r.error);
+  const tilesNote = queries.length > 1 ? `\n${loaded.length} of ${queries.length} tiles loaded` : '';
+  showOSMStatus(OSM_SOURCE_LABELS[source], timestamp,
+    (offline ? `Overpass could not be reached:\n${offline.error.message}` : 'OpenStreetMap data from Overpass') + tilesNote);
+
+  if (failures.length > 0) {
+    alert(`${failures.length} of ${queries.length} tiles could not be loaded, so some buildings are missing.\n\n` +
+      `${failures[0].error.message}\n\nUse ↻ to try again.`);
+  }
+  return true;
+}
+
+/**
+ * Asks before an area replaces the current buildings (panels are lost, big areas are slow)
+ * @param {Object} newArea - Area from studyArea
+ * @returns {boolean} True to go ahead
+ */
+function confirmNewArea(newArea) {
+  const tiles = buildTileQueries(newArea).length;
+  if (tiles > MAX_TILES) {
+    alert(`This area would need ${tiles} tiles; at most ${MAX_TILES} can be loaded. Select a smaller area.`);
+    return false;
+  }
+  const { minLat, minLon, maxLat, maxLon } = getAreaBounds(newArea);
+  if ((maxLat - minLat) * (maxLon - minLon) > LARGE_AREA &&
+    !confirm(`This area is large (${tiles} tiles) and may take a long time to download and draw. Continue?`)) {
+    return false;
+  }
+  return !(view3D && view3D.getPanelCount() > 0) ||
+    confirm('Loading a new area removes all placed panels. Continue?');
+}
+
+// Fetch OSM data
+loadOSM(area);
+
+// Manual invalidation: download this area again, or drop every cached area
+const refreshOsmBtn = document.getElementById('refresh-osm');
+if (refreshOsmBtn) {
+  refreshOsmBtn.addEventListener('click', () => {
+    if (view3D && view3D.getPanelCount() > 0 &&
+      !confirm('Reloading the buildings removes all placed panels. Continue?')) {
+      return;
+    }
+    loadOSM(area, true);
+  });
+}
+
+const clearOsmCacheBtn = document.getElementById('clear-osm-cache');
+if (clearOsmCacheBtn) {
+  clearOsmCacheBtn.addEventListener('click', async () => {
+    try {
+      await clearOSMCache();
+      alert('Cached OSM data cleared. The next load downloads it again.');
+    } catch (err) {
+      alert(`Failed to clear the OSM cache.\n\n${err.message}`);
+    }
+  });
+}
+
+// Toggle logic
+const toggleBtn = document.getElementById('toggle-view');
+const container3d = document.getElementById('threejs-container');
+let is3D = false;
+toggleBtn.addEventListener('click', () => {
+  is3D = !is3D;
+  if (is3D) {
+    canvas.style.display = 'none';
+    container3d.style.display = 'block';
+    toggleBtn.textContent = 'Switch to 2D View';
+    toggleBtn.classList.add('active');
+  } else {
+    canvas.style.display = 'block';
+    container3d.style.display = 'none';
+    toggleBtn.textContent = 'Switch to 3D View';
+    toggleBtn.classList.remove('active');
+  }
+});
+
+/**
+ * Loads buildings from an .osm, Overpass JSON or GeoJSON file
+ * @param {File} file - Dropped or picked file
+ */
+async function openBuildingFile(file) {
+  try {
+    const { data } = parseOSMFile(await file.text(), file.name);
+    loadId++; // a pending Overpass request must not replace the file's buildings
+    if (showBuildings(data, { recenter: true }) === 0) {
+      alert(`No buildings found in ${file.name}.`);
+      return;
+    }
+    showOSMStatus(`File: ${file.name}`, null, 'Buildings opened from a file');
+  } catch (err) {
+    alert(`Failed to open ${file.name}.\n\n${err.message}`);
+  }
+}
+
+// Offline data: file dialog and drag-and-drop anywhere on the page
+const openOsmBtn = document.getElementById('open-osm');
+const osmFileInput = document.getElementById('osm-file');
+if (openOsmBtn && osmFileInput) {
+  openOsmBtn.addEventListener('click', () => osmFileInput.click());
+  osmFileInput.addEventListener('change', () => {
+    const file = osmFileInput.files[0];
+    osmFileInput.value = '';
+    if (file) openBuildingFile(file);
+  });
+}
+
+window.addEventListener('dragover', e => {
+  if (!e.dataTransfer.types.includes('Files')) return;
+  e.preventDefault();
+  document.body.classList.add('drop-active');
+});
+window.addEventListener('dragleave', e => {
+  if (e.relatedTarget === null) document.body.classList.remove('drop-active');
+});
+window.addEventListener('drop', e => {
+  if (!e.dataTransfer.types.includes('Files')) return;
+  e.preventDefault();
+  document.body.classList.remove('drop-active');
+  const file = e.dataTransfer.files[0];
+  if (file) openBuildingFile(file);
 });
 
 // Zoom
@@ -56,22 +297,243 @@ canvas.addEventListener("wheel", e => {
   draw2D(canvas, state);
 });
 
+// Area selection: drag a box or click polygon vertices on the map (double-click closes it)
+const areaModeSelect = document.getElementById('area-mode');
+const areaInput = document.getElementById('area-coords');
+const areaLoadBtn = document.getElementById('area-load');
+let areaMode = 'pan';
+let boxStart = null;     // [lon, lat] where the box drag started
+let boxStartPx = null;   // and its client position
+let polygonPoints = [];  // [lon, lat] vertices clicked so far
+
+let movingTree = null;    // {tree, moved} while a tree is dragged in tree mode
+const TREE_MODE = 'tree';
+
+// Switches between panning ('pan'), drawing a box or polygon and editing trees, dropping any unfinished shape
+function setAreaMode(mode) {
+  areaMode = mode;
+  boxStart = null;
+  polygonPoints = [];
+  movingTree = null;
+  state.selection = null;
+  if (areaModeSelect) areaModeSelect.value = mode;
+  canvas.style.cursor = mode === 'pan' ? '' : mode === TREE_MODE ? 'pointer' : 'crosshair';
+  draw2D(canvas, state);
+}
+
+/**
+ * Loads a drawn or typed area after confirmation
+ * @param {Object} newArea - Area from studyArea
+ */
+async function selectArea(newArea) {
+  if (!confirmNewArea(newArea)) {
+    setAreaMode(areaMode);
+    return;
+  }
+  await loadOSM(newArea);
+  setAreaMode('pan');
+}
+
+if (areaModeSelect) {
+  areaModeSelect.addEventListener('change', e => setAreaMode(e.target.value));
+}
+
+if (areaInput && areaLoadBtn) {
+  const loadTyped = () => {
+    let newArea;
+    try {
+      newArea = parseAreaInput(areaInput.value);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    selectArea(newArea);
+  };
+  areaLoadBtn.addEventListener('click', loadTyped);
+  areaInput.addEventListener('keydown', e => {
+    if (e.key === 'Enter') loadTyped();
+  });
+}
+
+window.addEventListener('keydown', e => {
+  if (e.key === 'Escape' && areaMode !== 'pan') setAreaMode('pan');
+});
+
 // Pan
 let dragging = false;
+let dragged = false;
 let startX, startY;
 
 canvas.addEventListener("mousedown", e => {
+  if (areaMode === AREA_TYPES.BOX) {
+    boxStart = canvasToLonLat(canvas, state, e.clientX, e.clientY);
+    boxStartPx = [e.clientX, e.clientY];
+    return;
+  }
+  if (areaMode === TREE_MODE) {
+    const idx = getTreeAt(canvas, state, e.clientX, e.clientY);
+    movingTree = idx >= 0 ? { tree: solarScene.trees[idx], moved: false } : null;
+    return;
+  }
+  if (areaMode !== 'pan') return;
   dragging = true;
+  dragged = false;
   startX = e.clientX - state.offsetX;
   startY = e.clientY - state.offsetY;
 });
 
 canvas.addEventListener("mousemove", e => {
+  if (areaMode === AREA_TYPES.BOX && boxStart) {
+    const [lon, lat] = canvasToLonLat(canvas, state, e.clientX, e.clientY);
+    const [lon0, lat0] = boxStart;
+    state.selection = { points: [[lon0, lat0], [lon, lat0], [lon, lat], [lon0, lat]], closed: true };
+    draw2D(canvas, state);
+    return;
+  }
+  if (areaMode === AREA_TYPES.POLYGON && polygonPoints.length > 0) {
+    const cursor = canvasToLonLat(canvas, state, e.clientX, e.clientY);
+    state.selection = { points: [...polygonPoints, cursor], closed: polygonPoints.length >= 2 };
+    draw2D(canvas, state);
+    return;
+  }
+  if (areaMode === TREE_MODE && movingTree) {
+    movingTree.tree.position = canvasToLonLat(canvas, state, e.clientX, e.clientY);
+    movingTree.moved = true;
+    draw2D(canvas, state);
+    return;
+  }
   if (!dragging) return;
   state.offsetX = e.clientX - startX;
   state.offsetY = e.clientY - startY;
+  dragged = true;
   draw2D(canvas, state);
 });
 
-canvas.addEventListener("mouseup", () => dragging = false);
-canvas.addEventListener("mouseleave", () => dragging = false);
+canvas.addEventListener("mouseup", e => {
+  dragging = false;
+  if (areaMode === TREE_MODE && movingTree && movingTree.moved) {
+    updateTree(movingTree.tree, { position: movingTree.tree.position });
+    if (view3D) view3D.reloadTrees();
+    return; // the click that follows keeps movingTree.moved to skip the size prompt
+  }
+  if (areaMode !== AREA_TYPES.BOX || !boxStart) return;
+
+  const [lon0, lat0] = boxStart;
+  const [lon, lat] = canvasToLonLat(canvas, state, e.clientX, e.clientY);
+  boxStart = null;
+  // A plain click is not a box
+  if (Math.hypot(e.clientX - boxStartPx[0], e.clientY - boxStartPx[1]) < 5) {
+    setAreaMode(AREA_TYPES.BOX);
+    return;
+  }
+  selectArea(createBoxArea([lat0, lon0], [lat, lon]));
+});
+
+canvas.addEventListener("dblclick", () => {
+  if (areaMode !== AREA_TYPES.POLYGON) return;
+  // The double-click's own clicks added the last vertex twice
+  const points = polygonPoints.filter((p, i) => i === 0 ||
+    Math.hypot(p[0] - polygonPoints[i - 1][0], p[1] - polygonPoints[i - 1][1]) > 1e-9);
+  if (points.length < 3) {
+    alert('A polygon needs at least three corners.');
+    return;
+  }
+  selectArea(createPolygonArea(points.map(([lon, lat]) => [lat, lon])));
+});
+
+/**
+ * Reads "height, crown diameter" typed for a tree (either may be left out)
+ * A comma always separates the two values ("8,6" is 8 m and 6 m); decimal
+ * commas only work with a semicolon between the values ("8,5; 6").
+ * @param {string} input - Typed sizes in meters or feet
+ * @returns {{height: number, crownDiameter: number}|null} Sizes in meters, or null if unreadable
+ */
+function parseTreeInput(input) {
+  const parts = input.split(input.includes(';') ? ';' : ',');
+  if (parts.length > 2) return null;
+  const [height, crown] = parts.map(v => v.trim() || undefined);
+  if ((height !== undefined && !(parseLength(height) > 0)) || (crown !== undefined && !(parseLength(crown) > 0))) {
+    return null;
+  }
+  return parseTreeSize({ height, diameter_crown: crown });
+}
+
+/**
+ * Tree mode click: adds a tree on empty ground, or resizes or deletes the tree clicked
+ * @param {MouseEvent} e - Click event
+ */
+function editTreeAt(e) {
+  const moved = movingTree && movingTree.moved;
+  movingTree = null;
+  if (moved) return;
+
+  const idx = getTreeAt(canvas, state, e.clientX, e.clientY);
+  const tree = solarScene.trees[idx];
+  const input = tree
+    ? prompt('Tree height and crown diameter (m or ft, e.g. "8, 6" or "8,5; 6"). Leave empty to delete the tree.',
+      `${tree.height.toFixed(1)}, ${tree.crownDiameter.toFixed(1)}`)
+    : prompt('New tree: height and crown diameter (m or ft, e.g. "8, 6" or "8,5; 6"; the crown can be left out).', '8');
+  if (input === null) return;
+
+  if (tree && !input.trim()) {
+    removeTree(tree);
+    solarScene.trees.splice(idx, 1);
+  } else {
+    const size = parseTreeInput(input);
+    if (!size) {
+      alert(`Could not read "${input}" as tree sizes.`);
+      return;
+    }
+    if (tree) updateTree(tree, size);
+    else solarScene.trees.push(addManualTree(canvasToLonLat(canvas, state, e.clientX, e.clientY), size.height, size.crownDiameter));
+  }
+  draw2D(canvas, state);
+  if (view3D) view3D.reloadTrees();
+}
+
+// Click a building (without dragging) to set or clear its height
+canvas.addEventListener("click", e => {
+  if (areaMode === AREA_TYPES.POLYGON) {
+    polygonPoints.push(canvasToLonLat(canvas, state, e.clientX, e.clientY));
+    state.selection = { points: polygonPoints.slice(), closed: polygonPoints.length >= 3 };
+    draw2D(canvas, state);
+    return;
+  }
+  if (areaMode === TREE_MODE) {
+    editTreeAt(e);
+    return;
+  }
+  if (areaMode !== 'pan' || dragged) return;
+  const idx = getBuildingAt(canvas, state, e.clientX, e.clientY);
+  if (idx < 0) return;
+
+  const building = solarScene.buildings[idx];
+  const input = prompt(
+    `Height of ${getBuildingKey(building)} to the top of the roof (m, ft or 30'6").\n` +
+    `OSM height: ${building.osmHeight.toFixed(1)} m. Leave empty to use it.`,
+    building.heightOverride ? building.heightOverride.toFixed(1) : ""
+  );
+  if (input === null) return;
+
+  const height = input.trim() ? parseLength(input) : null;
+  if (input.trim() && !(height > 0)) {
+    alert(`Could not read "${input}" as a height.`);
+    return;
+  }
+
+  setHeightOverride(building, height);
+  draw2D(canvas, state);
+  const removed = view3D ? view3D.rebuildBuilding(idx) : 0;
+  if (removed > 0) {
+    alert(`${removed} panel(s) on this building were removed because its roof moved.`);
+  }
+});
+
+canvas.addEventListener("mouseleave", () => {
+  dragging = false;
+  if (movingTree && movingTree.moved) {
+    updateTree(movingTree.tree, { position: movingTree.tree.position });
+    if (view3D) view3D.reloadTrees();
+  }
+  movingTree = null;
+});
@@ -0,0 +1,192 @@
+/**
+ * Offline building data files
+ * Reads OSM XML (.osm), saved Overpass JSON and GeoJSON building footprints
+ * into the Overpass JSON shape ({elements: [...]}) that parseBuildings expects,
+ * so files and live queries go through the same parser.
+ */
+
+export const OSM_FILE_FORMATS = {
+  OSM_XML: 'osm-xml',
+  OVERPASS_JSON: 'overpass-json',
+  GEOJSON: 'geojson'
+};
+
+/**
+ * Reads the <tag k v> children of an OSM XML element
+ * @param {Element} el - XML element
+ * @returns {Object|undefined} Tags, or undefined if there are none
+ */
+function readXMLTags(el) {
+  const tags = {};
+  el.querySelectorAll(':scope > tag').forEach(tag => {
+    tags[tag.getAttribute('k')] = tag.getAttribute('v');
+  });
+  return Object.keys(tags).length > 0 ? tags : undefined;
+}
+
+/**
+ * Parses OSM XML into Overpass JSON elements
+ * @param {string} text - .osm file contents
+ * @returns {{elements: Array<Object>}} Nodes, ways and relations
+ */
+export function parseOSMXML(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.querySelector('parsererror') || !doc.querySelector('osm')) {
+    throw new Error('Not a valid OSM XML file.');
+  }
+
+  const elements = [];
+  doc.querySelectorAll('osm > node').forEach(el => {
+    elements.push({
+      type: 'node',
+      id: Number(el.getAttribute('id')),
+      lat: parseFloat(el.getAttribute('lat')),
+      lon: parseFloat(el.getAttribute('lon')),
+      tags: readXMLTags(el)
+    });
+  });
+  doc.querySelectorAll('osm > way').forEach(el => {
+    elements.push({
+      type: 'way',
+      id: Number(el.getAttribute('id')),
+      nodes: [...el.querySelectorAll(':scope > nd')].map(nd => Number(nd.getAttribute('ref'))),
+      tags: readXMLTags(el)
+    });
+  });
+  doc.querySelectorAll('osm > relation').forEach(el => {
+    elements.push({
+      type: 'relation',
+      id: Number(el.getAttribute('id')),
+      members: [...el.querySelectorAll(':scope > member')].map(m => ({
+        type: m.getAttribute('type'),
+        ref: Number(m.getAttribute('ref')),
+        role: m.getAttribute('role') || ''
+      })),
+      tags: readXMLTags(el)
+    });
+  });
+
+  return { elements };
+}
+
+/**
+ * Converts GeoJSON building footprints into Overpass JSON elements
+ * Polygons become closed ways and polygons with holes or MultiPolygons become
+ * multipolygon relations. Feature properties become tags (height, building:levels,
+ * roof:shape, ...); features without a building or building:part property are
+ * tagged building=yes, except woods (natural=wood, landuse=forest). Points tagged
+ * natural=tree and lines tagged natural=tree_row are kept as trees. Elements keep
+ * their OSM id when the feature has one ("way/123" in `id` or `@id`), otherwise
+ * they get negative ids.
+ * @param {Object} geojson - FeatureCollection, Feature or bare geometry
+ * @returns {{elements: Array<Object>}} Nodes, ways and relations
+ */
+export function geoJSONToOSM(geojson) {
+  const features = geojson.type === 'FeatureCollection' ? geojson.features
+    : geojson.type === 'Feature' ? [geojson]
+    : [{ type: 'Feature', geometry: geojson, properties: {} }];
+
+  const elements = [];
+  let nextId = -1;
+
+  // Adds a ring as an untagged closed way and returns its id
+  function addRing(ring, tags = undefined, id = nextId--) {
+    const points = ring.slice();
+    const [x0, y0] = points[0];
+    const [xn, yn] = points[points.length - 1];
+    if (x0 === xn && y0 === yn) points.pop();
+    if (points.length < 3) return null;
+
+    const nodes = points.map(([lon, lat]) => {
+      const nodeId = nextId--;
+      elements.push({ type: 'node', id: nodeId, lon, lat });
+      return nodeId;
+    });
+    nodes.push(nodes[0]);
+    elements.push({ type: 'way', id, nodes, tags });
+    return id;
+  }
+
+  features.forEach(feature => {
+    const geometry = feature && feature.geometry;
+    if (!geometry) return;
+    const tags = {};
+    Object.entries(feature.properties || {}).forEach(([k, v]) => {
+      if (v !== null && typeof v !== 'object') tags[k] = String(v);
+    });
+
+    // OSM id from overpass-turbo style exports ("way/123")
+    const osmId = String(feature.id ?? tags['@id'] ?? '').match(/^(node|way|relation)\/(\d+)$/);
+    const idFor = type => osmId && osmId[1] === type ? Number(osmId[2]) : nextId--;
+
+    if (geometry.type === 'Point' && tags.natural === 'tree') {
+      const [lon, lat] = geometry.coordinates;
+      elements.push({ type: 'node', id: idFor('node'), lon, lat, tags });
+      return;
+    }
+    if (geometry.type === 'LineString' && tags.natural === 'tree_row' && geometry.coordinates.length >= 2) {
+      const nodes = geometry.coordinates.map(([lon, lat]) => {
+        const nodeId = nextId--;
+        elements.push({ type: 'node', id: nodeId, lon, lat });
+        return nodeId;
+      });
+      elements.push({ type: 'way', id: idFor('way'), nodes, tags });
+      return;
+    }
+
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+      : geometry.type === 'MultiPolygon' ? geometry.coordinates
+      : [];
+    if (polygons.length === 0) return;
+
+    const isWood = tags.natural === 'wood' || tags.landuse === 'forest';
+    if (!tags.building && !tags['building:part'] && !isWood) tags.building = 'yes';
+
+    if (polygons.length === 1 && polygons[0].length === 1) {
+      addRing(polygons[0][0], tags, idFor('way'));
+      return;
+    }
+
+    const members = [];
+    polygons.forEach(rings => rings.forEach((ring, i) => {
+      const ref = addRing(ring);
+      if (ref !== null) members.push({ type: 'way', ref, role: i === 0 ? 'outer' : 'inner' });
+    }));
+    elements.push({
+      type: 'relation',
+      id: idFor('relation'),
+      members,
+      tags: { ...tags, type: 'multipolygon' }
+    });
+  });
+
+  return { elements };
+}
+
+/**
+ * Reads a building data file, picking the format from its contents
+ * @param {string} text - File contents
+ * @param {string} fileName - File name (for messages)
+ * @returns {{format: string, data: {elements: Array<Object>}}} Format and Overpass JSON data
+ */
+export function parseOSMFile(text, fileName = '') {
+  const start = text.trimStart();
+  if (start.startsWith('<')) {
+    return { format: OSM_FILE_FORMATS.OSM_XML, data: parseOSMXML(text) };
+  }
+
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${fileName || 'File'} is neither OSM XML nor JSON.`);
+  }
+
+  if (Array.isArray(json.elements)) {
+    return { format: OSM_FILE_FORMATS.OVERPASS_JSON, data: json };
+  }
+  if (['FeatureCollection', 'Feature', 'Polygon', 'MultiPolygon'].includes(json.type)) {
+    return { format: OSM_FILE_FORMATS.GEOJSON, data: geoJSONToOSM(json) };
+  }
+  throw new Error(`${fileName || 'File'} is not Overpass JSON or GeoJSON.`);
+}
@@ -0,0 +1,153 @@
+import { fetchOSM } from './fetchOSM';
+
+/**
+ * Persistent Overpass response cache
+ * Responses are stored in IndexedDB keyed by the normalized query, so the same
+ * area is only downloaded again once its entry is older than the TTL. When every
+ * endpoint fails, an expired entry is still used as an offline fallback.
+ */
+
+export const OSM_DATA_SOURCES = {
+  NETWORK: 'network',   // fresh download
+  CACHE: 'cache',       // cached copy within the TTL
+  OFFLINE: 'offline'    // expired cached copy used because the download failed
+};
+
+export const DEFAULT_CACHE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days in ms
+
+const DB_NAME = 'solar-osm-cache';
+const STORE_NAME = 'responses';
+
+let dbPromise = null;
+
+/**
+ * Opens (and creates on first use) the cache database
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again instead of caching the failure
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+/**
+ * Runs one request against the response store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} action - Called with the object store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function withStore(mode, action) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = action(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Normalizes a query so formatting differences map to the same cache entry
+ * Collapses whitespace and writes numbers without trailing zeros
+ * (23.7800 and 23.78 are the same bounding box).
+ * @param {string} query - Overpass query
+ * @returns {string} Cache key
+ */
+export function normalizeQuery(query) {
+  return query
+    .replace(/-?\d+\.\d+/g, n => String(Number(n)))
+    .replace(/\s+/g, ' ')
+    .replace(/\s*([;(),\[\]])\s*/g, '$1')
+    .trim();
+}
+
+/**
+ * Reads a cached response
+ * @param {string} query - Overpass query
+ * @returns {Promise<{data: Object, timestamp: number}|null>} Cached entry, or null
+ */
+export async function getCachedResponse(query) {
+  const entry = await withStore('readonly', store => store.get(normalizeQuery(query)));
+  return entry ? { data: entry.data, timestamp: entry.timestamp } : null;
+}
+
+/**
+ * Stores a response
+ * @param {string} query - Overpass query
+ * @param {Object} data - Overpass JSON
+ * @returns {Promise<number>} Timestamp of the stored entry
+ */
+export async function putCachedResponse(query, data) {
+  const timestamp = Date.now();
+  await withStore('readwrite', store => store.put({ key: normalizeQuery(query), data, timestamp }));
+  return timestamp;
+}
+
+/**
+ * Removes one query's cached response
+ * @param {string} query - Overpass query
+ * @returns {Promise<void>}
+ */
+export async function invalidateCachedResponse(query) {
+  await withStore('readwrite', store => store.delete(normalizeQuery(query)));
+}
+
+/**
+ * Removes every cached response
+ * @returns {Promise<void>}
+ */
+export async function clearOSMCache() {
+  await withStore('readwrite', store => store.clear());
+}
+
+/**
+ * Fetches OSM data through the cache
+ * Cache errors (e.g. IndexedDB unavailable in private windows) are logged and
+ * the request goes straight to Overpass.
+ * @param {string} query - Overpass query
+ * @param {Object} options - Cache options
+ * @param {number} options.ttl - Maximum age of a cached response in ms (default: 7 days)
+ * @param {boolean} options.forceRefresh - Skip the cache and download again (default: false)
+ * @returns {Promise<{data: Object, source: string, timestamp: number, error: Error|null}>}
+ *   Data, one of OSM_DATA_SOURCES, when it was downloaded, and the download error for offline copies
+ */
+export async function fetchOSMCached(query, options = {}) {
+  const { ttl = DEFAULT_CACHE_TTL, forceRefresh = false } = options;
+
+  let cached = null;
+  try {
+    cached = await getCachedResponse(query);
+  } catch (err) {
+    console.warn('Overpass cache unavailable:', err);
+  }
+
+  if (cached && !forceRefresh && Date.now() - cached.timestamp <= ttl) {
+    return { data: cached.data, source: OSM_DATA_SOURCES.CACHE, timestamp: cached.timestamp, error: null };
+  }
+
+  try {
+    const data = await fetchOSM(query);
+    let timestamp = Date.now();
+    try {
+      timestamp = await putCachedResponse(query, data);
+    } catch (err) {
+      console.warn('Could not cache Overpass response:', err);
+    }
+    return { data, source: OSM_DATA_SOURCES.NETWORK, timestamp, error: null };
+  } catch (err) {
+    // All endpoints failed: an old copy is better than nothing
+    if (cached) {
+      return { data: cached.data, source: OSM_DATA_SOURCES.OFFLINE, timestamp: cached.timestamp, error: err };
+    }
+    throw err;
+  }
+}
@@ -1,21 +1,54 @@
 /**
- * Generates an Overpass API query string to fetch buildings within a bounding box
- * @param {number} minLat - Minimum latitude (south boundary)
- * @param {number} minLon - Minimum longitude (west boundary)
- * @param {number} maxLat - Maximum latitude (north boundary)
- * @param {number} maxLon - Maximum longitude (east boundary)
+ * Wraps an area filter in the building query
+ * Includes building:part ways and multipolygon relations, plus trees, tree rows
+ * and woods that shade the roofs; `>` pulls in the relations' member ways and
+ * all referenced nodes.
+ * @param {string} area - Overpass area filter, e.g. "(s,w,n,e)" or "(poly:\"...\")"
  * @returns {string} Overpass API query string
  */
-export function buildOverpassQuery(minLat, minLon, maxLat, maxLon) {
+function buildBuildingQuery(area) {
   return `[out:json];
 (
-  way["building"](${minLat},${minLon},${maxLat},${maxLon});
+  way["building"]${area};
+  way["building:part"]${area};
+  relation["building"]["type"="multipolygon"]${area};
+  relation["building:part"]["type"="multipolygon"]${area};
+  node["natural"="tree"]${area};
+  way["natural"="tree_row"]${area};
+  way["natural"="wood"]${area};
+  way["landuse"="forest"]${area};
+  relation["natural"="wood"]["type"="multipolygon"]${area};
+  relation["landuse"="forest"]["type"="multipolygon"]${area};
 );
 out body;
 >;
 out skel qt;`;
 }
 
+/**
+ * Generates an Overpass API query string to fetch buildings within a bounding box
+ * @param {number} minLat - Minimum latitude (south boundary)
+ * @param {number} minLon - Minimum longitude (west boundary)
+ * @param {number} maxLat - Maximum latitude (north boundary)
+ * @param {number} maxLon - Maximum longitude (east boundary)
+ * @returns {string} Overpass API query string
+ */
+export function buildOverpassQuery(minLat, minLon, maxLat, maxLon) {
+  return buildBuildingQuery(`(${minLat},${minLon},${maxLat},${maxLon})`);
+}
+
+/**
+ * Generates an Overpass API query string to fetch buildings within a polygon
+ * @param {Array<Array<number>>} points - Polygon vertices as [lat, lon]
+ * @param {Object} bounds - Also limit to this box {minLat, minLon, maxLat, maxLon} (optional, for tiles)
+ * @returns {string} Overpass API query string
+ */
+export function buildOverpassPolygonQuery(points, bounds = null) {
+  const poly = points.map(([lat, lon]) => `${lat} ${lon}`).join(' ');
+  const box = bounds ? `(${bounds.minLat},${bounds.minLon},${bounds.maxLat},${bounds.maxLon})` : '';
+  return buildBuildingQuery(`(poly:"${poly}")${box}`);
+}
+
 /**
  * Generates an Overpass API query for buildings at a specific location with a bounding box size
  * @param {number} lat - Center latitude
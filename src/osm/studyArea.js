@@ -0,0 +1,146 @@
+import { buildOverpassQuery, buildOverpassPolygonQuery } from './overpassQuery';
+
+/**
+ * Study areas
+ * An area is either a bounding box or a polygon; it gives the Overpass query
+ * and the site location (its centroid) used to center the scene.
+ */
+
+export const AREA_TYPES = {
+  BOX: 'box',
+  POLYGON: 'polygon'
+};
+
+// Side of the box loaded around a single typed point (degrees, about 220 m)
+const POINT_AREA_SIZE = 0.002;
+
+/**
+ * Creates a box area from two opposite corners
+ * @param {Array<number>} a - Corner [lat, lon]
+ * @param {Array<number>} b - Opposite corner [lat, lon]
+ * @returns {Object} Area {type, minLat, minLon, maxLat, maxLon}
+ */
+export function createBoxArea([latA, lonA], [latB, lonB]) {
+  return {
+    type: AREA_TYPES.BOX,
+    minLat: Math.min(latA, latB),
+    minLon: Math.min(lonA, lonB),
+    maxLat: Math.max(latA, latB),
+    maxLon: Math.max(lonA, lonB)
+  };
+}
+
+/**
+ * Creates a polygon area
+ * @param {Array<Array<number>>} points - Vertices as [lat, lon] (at least 3)
+ * @returns {Object} Area {type, points}
+ */
+export function createPolygonArea(points) {
+  return { type: AREA_TYPES.POLYGON, points: points.map(([lat, lon]) => [lat, lon]) };
+}
+
+/**
+ * Parses typed coordinates
+ * Accepts "south, west, north, east" for a box, "lat, lon" for a small box
+ * around a point, or three or more "lat lon" pairs separated by semicolons
+ * for a polygon.
+ * @param {string} text - Typed coordinates
+ * @returns {Object} Area
+ */
+export function parseAreaInput(text) {
+  const pairs = text.split(';').map(s => s.trim()).filter(Boolean);
+  const numbers = s => (s.match(/-?\d+(?:\.\d+)?/g) || []).map(Number);
+
+  if (pairs.length >= 3) {
+    const points = pairs.map(numbers);
+    if (points.some(p => p.length !== 2)) throw new Error('Each polygon vertex needs a latitude and a longitude.');
+    points.forEach(checkLatLon);
+    return createPolygonArea(points);
+  }
+
+  const values = numbers(text);
+  if (values.length === 4) {
+    const [south, west, north, east] = values;
+    checkLatLon([south, west]);
+    checkLatLon([north, east]);
+    if (south === north || west === east) throw new Error('The box has no area.');
+    return createBoxArea([south, west], [north, east]);
+  }
+  if (values.length === 2) {
+    checkLatLon(values);
+    const [lat, lon] = values;
+    const half = POINT_AREA_SIZE / 2;
+    return createBoxArea([lat - half, lon - half], [lat + half, lon + half]);
+  }
+  throw new Error('Enter "south, west, north, east", "lat, lon", or "lat lon; lat lon; lat lon; …".');
+}
+
+/**
+ * Throws if a coordinate pair is out of range
+ * @param {Array<number>} point - [lat, lon]
+ */
+function checkLatLon([lat, lon]) {
+  if (!(Math.abs(lat) <= 90) || !(Math.abs(lon) <= 180)) {
+    throw new Error(`${lat}, ${lon} is not a valid latitude, longitude.`);
+  }
+}
+
+/**
+ * Bounding box of an area
+ * @param {Object} area - Area
+ * @returns {{minLat: number, minLon: number, maxLat: number, maxLon: number}} Bounds
+ */
+export function getAreaBounds(area) {
+  if (area.type === AREA_TYPES.BOX) {
+    const { minLat, minLon, maxLat, maxLon } = area;
+    return { minLat, minLon, maxLat, maxLon };
+  }
+  const lats = area.points.map(p => p[0]);
+  const lons = area.points.map(p => p[1]);
+  return {
+    minLat: Math.min(...lats), minLon: Math.min(...lons),
+    maxLat: Math.max(...lats), maxLon: Math.max(...lons)
+  };
+}
+
+/**
+ * Centroid of an area (polygons use the area-weighted centroid)
+ * @param {Object} area - Area
+ * @returns {{lat: number, lon: number}} Centroid
+ */
+export function getAreaCenter(area) {
+  if (area.type === AREA_TYPES.BOX) {
+    return { lat: (area.minLat + area.maxLat) / 2, lon: (area.minLon + area.maxLon) / 2 };
+  }
+
+  // Relative to the first vertex to keep precision
+  const [lat0, lon0] = area.points[0];
+  const points = area.points.map(([lat, lon]) => [lat - lat0, lon - lon0]);
+  let twiceArea = 0, cLat = 0, cLon = 0;
+  points.forEach(([latA, lonA], i) => {
+    const [latB, lonB] = points[(i + 1) % points.length];
+    const cross = lonA * latB - lonB * latA;
+    twiceArea += cross;
+    cLon += (lonA + lonB) * cross;
+    cLat += (latA + latB) * cross;
+  });
+  if (Math.abs(twiceArea) < 1e-18) {
+    // Degenerate polygon: fall back to the vertex average
+    const n = area.points.length;
+    return {
+      lat: area.points.reduce((sum, p) => sum + p[0], 0) / n,
+      lon: area.points.reduce((sum, p) => sum + p[1], 0) / n
+    };
+  }
+  return { lat: lat0 + cLat / (3 * twiceArea), lon: lon0 + cLon / (3 * twiceArea) };
+}
+
+/**
+ * Overpass query for the buildings in an area
+ * @param {Object} area - Area
+ * @returns {string} Overpass API query string
+ */
+export function buildAreaQuery(area) {
+  if (area.type === AREA_TYPES.POLYGON) return buildOverpassPolygonQuery(area.points);
+  return buildOverpassQuery(area.minLat, area.minLon, area.maxLat, area.maxLon);
+}
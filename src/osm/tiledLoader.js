@@ -0,0 +1,128 @@
+import { buildOverpassQuery, buildOverpassPolygonQuery } from './overpassQuery';
+import { fetchOSMCached } from './overpassCache';
+import { AREA_TYPES, getAreaBounds, buildAreaQuery } from './studyArea';
+
+/**
+ * Tiled loading of large study areas
+ * Overpass times out or refuses big bounding boxes, so larger areas are split
+ * into tiles that are fetched (and cached) separately, a few at a time, and
+ * merged into one element list. Buildings crossing a tile edge come back in
+ * both tiles; merging by OSM type and id keeps one copy.
+ */
+
+// Side of a tile in degrees (about 450 m at the equator)
+export const DEFAULT_TILE_SIZE = 0.004;
+
+// Parallel requests; the public Overpass servers allow only a couple per client
+export const MAX_CONCURRENT_TILES = 2;
+
+// Areas needing more tiles than this are refused
+export const MAX_TILES = 100;
+
+/**
+ * Splits bounds into a grid of tiles
+ * Tiles are shrunk evenly so the grid covers the bounds exactly.
+ * @param {{minLat: number, minLon: number, maxLat: number, maxLon: number}} bounds - Area bounds
+ * @param {number} tileSize - Largest tile side in degrees
+ * @returns {Array<{minLat: number, minLon: number, maxLat: number, maxLon: number}>} Tiles, row by row from the south-west
+ */
+export function splitIntoTiles(bounds, tileSize = DEFAULT_TILE_SIZE) {
+  const { minLat, minLon, maxLat, maxLon } = bounds;
+  const rows = Math.max(1, Math.ceil((maxLat - minLat) / tileSize - 1e-9));
+  const cols = Math.max(1, Math.ceil((maxLon - minLon) / tileSize - 1e-9));
+  const dLat = (maxLat - minLat) / rows;
+  const dLon = (maxLon - minLon) / cols;
+
+  // 7 decimals (~1 cm) keep the queries short; neighbouring tiles share the same rounded edge
+  const round = v => Math.round(v * 1e7) / 1e7;
+  const tiles = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      tiles.push({
+        minLat: r === 0 ? minLat : round(minLat + r * dLat),
+        minLon: c === 0 ? minLon : round(minLon + c * dLon),
+        maxLat: r === rows - 1 ? maxLat : round(minLat + (r + 1) * dLat),
+        maxLon: c === cols - 1 ? maxLon : round(minLon + (c + 1) * dLon)
+      });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Overpass queries for an area, one per tile
+ * An area that fits in one tile keeps its plain query (and its cache entry).
+ * Polygon tiles combine the polygon with the tile's box.
+ * @param {Object} area - Area from studyArea
+ * @param {number} tileSize - Largest tile side in degrees
+ * @returns {Array<string>} Overpass queries
+ */
+export function buildTileQueries(area, tileSize = DEFAULT_TILE_SIZE) {
+  const tiles = splitIntoTiles(getAreaBounds(area), tileSize);
+  if (tiles.length === 1) return [buildAreaQuery(area)];
+  return tiles.map(tile => area.type === AREA_TYPES.POLYGON
+    ? buildOverpassPolygonQuery(area.points, tile)
+    : buildOverpassQuery(tile.minLat, tile.minLon, tile.maxLat, tile.maxLon));
+}
+
+/**
+ * Merges Overpass elements by type and id
+ * A way can come back bare (as a relation member) in one tile and tagged in
+ * another; the tagged copy is kept.
+ * @param {Map<string, Object>} merged - Elements by "type/id", updated in place
+ * @param {Array<Object>} elements - Elements of one response
+ * @returns {Map<string, Object>} The merged map
+ */
+export function mergeOSMElements(merged, elements) {
+  elements.forEach(el => {
+    const key = `${el.type}/${el.id}`;
+    const existing = merged.get(key);
+    if (!existing || (el.tags && !existing.tags)) merged.set(key, el);
+  });
+  return merged;
+}
+
+/**
+ * Fetches tile queries through the cache, a few at a time
+ * Failed tiles don't stop the others; they are returned with their errors.
+ * @param {Array<string>} queries - Overpass queries (see buildTileQueries)
+ * @param {Object} options - Loading options
+ * @param {number} options.concurrency - Parallel requests (default: MAX_CONCURRENT_TILES)
+ * @param {boolean} options.forceRefresh - Skip the cache (default: false)
+ * @param {Function} options.onTile - Called with (result, index) as each tile arrives
+ * @param {Function} options.onProgress - Called with (done, total) after each tile, loaded or failed
+ * @param {Function} options.isCancelled - Returns true to stop starting new tiles
+ * @returns {Promise<{results: Array<Object>, failures: Array<{index: number, error: Error}>}>}
+ *   Tile results from fetchOSMCached (undefined for failed or skipped tiles) and the failures
+ */
+export async function fetchTiles(queries, options = {}) {
+  const {
+    concurrency = MAX_CONCURRENT_TILES,
+    forceRefresh = false,
+    onTile = null,
+    onProgress = null,
+    isCancelled = () => false
+  } = options;
+  const results = new Array(queries.length);
+  const failures = [];
+  let next = 0;
+  let done = 0;
+
+  async function worker() {
+    while (next < queries.length && !isCancelled()) {
+      const index = next++;
+      try {
+        results[index] = await fetchOSMCached(queries[index], { forceRefresh });
+      } catch (err) {
+        failures.push({ index, error: err });
+      }
+      if (isCancelled()) return;
+      done++;
+      if (onTile && results[index]) onTile(results[index], index);
+      if (onProgress) onProgress(done, queries.length);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, queries.length) }, worker));
+  return { results, failures };
+}
@@ -0,0 +1,149 @@
+import * as THREE from 'three';
+import { getRoofFaceHeight } from '../scene/roofGeometry';
+import { isClearOfObstructions } from './obstructions';
+import { pointInRing } from '../data/osmParser';
+
+/**
+ * Automatic roof fill layout
+ * Packs rows of identical modules into a roof face polygon. Rows run
+ * perpendicular to the panel azimuth; each row's depth is the module's
+ * horizontal projection at the chosen tilt plus the row spacing.
+ */
+
+// Sub-steps tried when shifting the grid along the row to fit more panels
+const GRID_OFFSET_STEPS = 4;
+
+// Rounding tolerance for setback checks (m)
+const EPSILON = 1e-6;
+
+/**
+ * Distance from a point to the nearest polygon edge
+ * @param {THREE.Vector2} p - Point
+ * @param {Array<THREE.Vector2>} polygon - Polygon vertices
+ * @returns {number} Distance in meters
+ */
+function distanceToEdges(p, polygon) {
+  let min = Infinity;
+  const edge = new THREE.Line3();
+  const closest = new THREE.Vector3();
+  const point = new THREE.Vector3(p.x, p.y, 0);
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    edge.set(new THREE.Vector3(polygon[j].x, polygon[j].y, 0), new THREE.Vector3(polygon[i].x, polygon[i].y, 0));
+    edge.closestPointToPoint(point, true, closest);
+    min = Math.min(min, closest.distanceTo(point));
+  }
+  return min;
+}
+
+/**
+ * Checks that a rectangle fits in the polygon with a setback from every edge
+ * Corners must be inside and far enough from the edges, and no polygon vertex
+ * (e.g. a concave corner) may poke into the rectangle. Courtyards count as
+ * roof edges too.
+ * @param {Array<THREE.Vector2>} corners - Rectangle corners in order
+ * @param {Array<THREE.Vector2>} polygon - Roof polygon
+ * @param {number} setback - Minimum distance to the roof edge in meters
+ * @param {Array<Array<THREE.Vector2>>} holes - Courtyard polygons (default: none)
+ * @returns {boolean} True if the rectangle fits
+ */
+function rectangleFits(corners, polygon, setback, holes = []) {
+  const toRing = points => points.map(v => [v.x, v.y]);
+  const outer = toRing(polygon);
+  const inner = holes.map(toRing);
+  for (const c of corners) {
+    if (!pointInRing([c.x, c.y], outer)) return false;
+    if (distanceToEdges(c, polygon) < setback - EPSILON) return false;
+    for (let h = 0; h < holes.length; h++) {
+      if (pointInRing([c.x, c.y], inner[h])) return false;
+      if (distanceToEdges(c, holes[h]) < setback - EPSILON) return false;
+    }
+  }
+  // Polygon vertices inside the rectangle mean the roof edge cuts through it
+  const rectangle = toRing(corners);
+  return ![outer, ...inner].some(ring => ring.some(v => pointInRing(v, rectangle)));
+}
+
+/**
+ * Generates panel positions that fill a flat roof face
+ * @param {Object} face - Roof face from addBuildings3D (roof.faces[i]) {normal, polygon, holes}
+ * @param {Object} options - Layout inputs
+ * @param {number} options.panelWidth - Module size along the row in meters
+ * @param {number} options.panelHeight - Module size up the slope in meters
+ * @param {number} options.tilt - Panel tilt in degrees
+ * @param {number} options.azimuth - Panel azimuth in degrees (0 = North, 180 = South)
+ * @param {number} options.setback - Clearance from the roof edge in meters (default: 0.5)
+ * @param {number} options.rowSpacing - Gap between a row's back edge and the next row in meters (default: 0.5)
+ * @param {number} options.columnSpacing - Gap between modules in a row in meters (default: 0.02)
+ * @param {boolean} options.raise - Raise positions so a tilted module's low edge rests on the roof (default: true);
+ *   turn off for flush and tilt-rack panels, which stand off the surface themselves
+ * @param {Array<Array<THREE.Vector2>>} options.obstructions - Rooftop obstruction footprints to keep clear of (default: none)
+ * @param {number} options.keepOut - Clearance from obstructions in meters (default: 0.5)
+ * @returns {Array<THREE.Vector3>} Panel positions on the roof face
+ */
+export function generateRoofLayout(face, options) {
+  const {
+    panelWidth,
+    panelHeight,
+    tilt = 0,
+    azimuth = 180,
+    setback = 0.5,
+    rowSpacing = 0.5,
+    columnSpacing = 0.02,
+    raise = true,
+    obstructions = [],
+    keepOut = 0.5
+  } = options;
+
+  // Work in plan view; the face plane gives each panel's height
+  const polygon = face.polygon.map(p => new THREE.Vector2(p.x, p.y));
+  if (polygon.length < 3) return [];
+  const holes = (face.holes || []).map(hole => hole.map(p => new THREE.Vector2(p.x, p.y)));
+
+  // Layout frame: v points the way the panels face, u runs along the rows
+  const azRad = (azimuth * Math.PI) / 180;
+  const v = new THREE.Vector2(Math.sin(azRad), Math.cos(azRad));
+  const u = new THREE.Vector2(Math.cos(azRad), -Math.sin(azRad));
+
+  // Module footprint on the roof and grid pitch
+  const tiltRad = (tilt * Math.PI) / 180;
+  const depth = panelHeight * Math.cos(tiltRad);
+  const pitchU = panelWidth + columnSpacing;
+  const pitchV = depth + rowSpacing;
+
+  // Polygon extent in the layout frame
+  let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+  polygon.forEach(p => {
+    const pu = p.dot(u);
+    const pv = p.dot(v);
+    minU = Math.min(minU, pu); maxU = Math.max(maxU, pu);
+    minV = Math.min(minV, pv); maxV = Math.max(maxV, pv);
+  });
+
+  const toWorld = (pu, pv) => u.clone().multiplyScalar(pu).add(v.clone().multiplyScalar(pv));
+  const halfW = panelWidth / 2;
+  const halfD = depth / 2;
+
+  // Rows start at the front (sun-facing) edge; try a few shifts along the row and keep the best
+  let best = [];
+  for (let k = 0; k < GRID_OFFSET_STEPS; k++) {
+    const offset = (k / GRID_OFFSET_STEPS) * pitchU;
+    const centers = [];
+    for (let pv = maxV - setback - halfD; pv - halfD >= minV + setback; pv -= pitchV) {
+      for (let pu = minU + setback + halfW + offset; pu + halfW <= maxU - setback; pu += pitchU) {
+        const corners = [
+          toWorld(pu - halfW, pv - halfD),
+          toWorld(pu + halfW, pv - halfD),
+          toWorld(pu + halfW, pv + halfD),
+          toWorld(pu - halfW, pv + halfD)
+        ];
+        if (rectangleFits(corners, polygon, setback, holes) && isClearOfObstructions(corners, obstructions, keepOut)) {
+          centers.push(toWorld(pu, pv));
+        }
+      }
+    }
+    if (centers.length > best.length) best = centers;
+  }
+
+  const lift = raise ? (panelHeight / 2) * Math.sin(tiltRad) : 0;
+  return best.map(c => new THREE.Vector3(c.x, c.y, getRoofFaceHeight(face, c.x, c.y) + lift));
+}
@@ -0,0 +1,223 @@
+import { splitCSVLine } from '../weather/weatherFile';
+
+/**
+ * PV module catalog
+ * Built-in datasheet values for common module formats plus modules imported
+ * from CSV or PVsyst .PAN files. Dimensions are in mm, power in Wp,
+ * temperature coefficient as a fraction per °C.
+ */
+
+const DEFAULT_NOCT = 45; // °C, typical glass/backsheet module
+
+// Representative datasheet values for the common cell formats
+const BUILT_IN_MODULES = [
+  {
+    id: 'generic-60-330',
+    manufacturer: 'Generic',
+    model: '60-cell mono PERC 330 W',
+    cells: 60,
+    length: 1665, width: 1002, thickness: 35,
+    ratedPower: 330, tempCoeff: -0.0037, noct: 45,
+    voc: 40.6, isc: 10.4, vmp: 33.8, imp: 9.77
+  },
+  {
+    id: 'generic-72-400',
+    manufacturer: 'Generic',
+    model: '72-cell mono PERC 400 W',
+    cells: 72,
+    length: 1979, width: 1002, thickness: 40,
+    ratedPower: 400, tempCoeff: -0.0036, noct: 45,
+    voc: 49.3, isc: 10.4, vmp: 41.0, imp: 9.76
+  },
+  {
+    id: 'generic-108-410',
+    manufacturer: 'Generic',
+    model: '108 half-cell mono 410 W',
+    cells: 108,
+    length: 1722, width: 1134, thickness: 30,
+    ratedPower: 410, tempCoeff: -0.0034, noct: 45,
+    voc: 37.3, isc: 13.9, vmp: 31.0, imp: 13.2
+  },
+  {
+    id: 'generic-144-540',
+    manufacturer: 'Generic',
+    model: '144 half-cell mono 540 W',
+    cells: 144,
+    length: 2279, width: 1134, thickness: 35,
+    ratedPower: 540, tempCoeff: -0.0035, noct: 45,
+    voc: 49.5, isc: 13.9, vmp: 41.6, imp: 13.0
+  }
+].map(withEfficiency);
+
+// Modules imported during this session
+const importedModules = [];
+
+/**
+ * Fills in STC efficiency from rated power and area when the datasheet omits it
+ * @param {Object} module - Module spec
+ * @returns {Object} Module spec with efficiency (0..1)
+ */
+function withEfficiency(module) {
+  if (module.efficiency) return module;
+  const area = (module.length / 1000) * (module.width / 1000);
+  return { ...module, efficiency: area > 0 ? module.ratedPower / (area * 1000) : 0 };
+}
+
+/**
+ * Checks that an imported module has the values placement and the PV model need
+ * @param {Object} module - Module spec
+ * @param {string} source - Where it came from (for error messages)
+ */
+function validateModule(module, source) {
+  const missing = ['length', 'width', 'ratedPower'].filter(k => !(module[k] > 0));
+  if (!module.model || missing.length > 0) {
+    throw new Error(`${source}: module "${module.model || '?'}" is missing ${missing.join(', ') || 'a model name'}`);
+  }
+}
+
+/**
+ * Gets every module: built-in ones first, then imported ones
+ * @returns {Array<Object>} Module specs
+ */
+export function getModuleCatalog() {
+  return [...BUILT_IN_MODULES, ...importedModules];
+}
+
+/**
+ * Finds a module by id
+ * @param {string} id - Module id
+ * @returns {Object|null} Module spec
+ */
+export function getModule(id) {
+  return getModuleCatalog().find(m => m.id === id) || null;
+}
+
+/**
+ * Gets a display label for a module
+ * @param {Object} module - Module spec
+ * @returns {string} "Manufacturer Model (cells)"
+ */
+export function getModuleLabel(module) {
+  const cells = module.cells ? ` (${module.cells} cells)` : '';
+  return `${module.manufacturer ? module.manufacturer + ' ' : ''}${module.model}${cells}`;
+}
+
+/**
+ * Parses a CSV file of module datasheets, one module per row
+ * Header names are matched case-insensitively; recognized columns:
+ * manufacturer, model, cells, length_mm, width_mm, thickness_mm, pmax_w,
+ * efficiency (% or fraction), temp_coeff_pmax (%/°C), noct, voc, isc, vmp, imp
+ * @param {string} text - CSV contents
+ * @returns {Array<Object>} Module specs
+ */
+export function parseModuleCSV(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  if (lines.length < 2) throw new Error('Module CSV needs a header row and at least one module');
+
+  const header = splitCSVLine(lines[0]).map(h => h.toLowerCase());
+  const column = (...names) => header.findIndex(h => names.includes(h));
+  const col = {
+    manufacturer: column('manufacturer', 'make'),
+    model: column('model', 'name'),
+    cells: column('cells', 'cell_count'),
+    length: column('length_mm', 'length'),
+    width: column('width_mm', 'width'),
+    thickness: column('thickness_mm', 'thickness', 'depth_mm'),
+    ratedPower: column('pmax_w', 'pmax', 'power_w', 'wp'),
+    efficiency: column('efficiency'),
+    tempCoeff: column('temp_coeff_pmax', 'gamma_pmax'),
+    noct: column('noct'),
+    voc: column('voc'),
+    isc: column('isc'),
+    vmp: column('vmp'),
+    imp: column('imp')
+  };
+
+  return lines.slice(1).map((line, i) => {
+    const f = splitCSVLine(line);
+    const num = key => (col[key] >= 0 ? parseFloat(f[col[key]]) : NaN);
+
+    let efficiency = num('efficiency');
+    if (efficiency > 1) efficiency /= 100; // given in %
+    const tempCoeff = num('tempCoeff');
+
+    const module = withEfficiency({
+      manufacturer: col.manufacturer >= 0 ? f[col.manufacturer] : '',
+      model: col.model >= 0 ? f[col.model] : '',
+      cells: num('cells') || null,
+      length: num('length'),
+      width: num('width'),
+      thickness: num('thickness') || 35,
+      ratedPower: num('ratedPower'),
+      efficiency: isNaN(efficiency) ? null : efficiency,
+      tempCoeff: isNaN(tempCoeff) ? -0.0035 : tempCoeff / 100,
+      noct: num('noct') || DEFAULT_NOCT,
+      voc: num('voc') || null,
+      isc: num('isc') || null,
+      vmp: num('vmp') || null,
+      imp: num('imp') || null
+    });
+    validateModule(module, `CSV row ${i + 2}`);
+    return module;
+  });
+}
+
+/**
+ * Parses a text PVsyst .PAN module file
+ * Reads the indented "Key=Value" lines; dimensions in the file are in meters.
+ * @param {string} text - .PAN contents
+ * @returns {Object} Module spec
+ */
+export function parsePAN(text) {
+  if (!/PVObject_\s*=\s*pvModule/i.test(text)) {
+    throw new Error('Not a text PVsyst .PAN file (binary .PAN files must be exported as text from PVsyst)');
+  }
+
+  const values = {};
+  text.split(/\r?\n/).forEach(line => {
+    const eq = line.indexOf('=');
+    if (eq < 0) return;
+    const key = line.slice(0, eq).trim();
+    // First occurrence wins (the commercial block comes before sub-objects)
+    if (!(key in values)) values[key] = line.slice(eq + 1).trim();
+  });
+  const num = key => parseFloat(values[key]);
+
+  const cells = (num('NCelS') || 0) * (num('NCelP') || 1);
+  const ratedPower = num('PNom');
+  // muPmpReq is the Pmax temperature coefficient in %/°C
+  const tempCoeff = isNaN(num('muPmpReq')) ? -0.0035 : num('muPmpReq') / 100;
+
+  const module = withEfficiency({
+    manufacturer: values.Manufacturer || '',
+    model: values.Model || '',
+    cells: cells || null,
+    length: num('Height') * 1000,
+    width: num('Width') * 1000,
+    thickness: (num('Depth') || 0.035) * 1000,
+    ratedPower,
+    tempCoeff,
+    noct: num('NOCT') || DEFAULT_NOCT,
+    voc: num('Voc') || null,
+    isc: num('Isc') || null,
+    vmp: num('Vmp') || null,
+    imp: num('Imp') || null
+  });
+  validateModule(module, '.PAN file');
+  return module;
+}
+
+/**
+ * Imports modules from a CSV or .PAN file and adds them to the catalog
+ * @param {string} text - File contents
+ * @param {string} fileName - File name (its extension picks the parser)
+ * @returns {Array<Object>} The imported module specs (with ids)
+ */
+export function importModuleFile(text, fileName) {
+  const modules = /\.pan$/i.test(fileName) ? [parsePAN(text)] : parseModuleCSV(text);
+  return modules.map(module => {
+    const imported = { ...module, id: `imported-${importedModules.length + 1}` };
+    importedModules.push(imported);
+    return imported;
+  });
+}
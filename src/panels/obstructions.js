@@ -0,0 +1,222 @@
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils';
+import { getRoofFaceHeight } from '../scene/roofGeometry';
+import { pointInRing } from '../data/osmParser';
+
+/**
+ * Rooftop obstructions
+ * Water tanks, stair heads, AC units (boxes or cylinders) and parapet walls
+ * placed on a roof face. They are opaque shadow casters like the buildings,
+ * and panels may not be placed within the keep-out buffer around their
+ * footprint.
+ */
+
+export const OBSTRUCTION_TYPES = {
+  BOX: 'box',
+  CYLINDER: 'cylinder',
+  PARAPET: 'parapet'
+};
+
+// Settings for the next obstruction placed, and the keep-out buffer for panels
+export const obstructionConfig = {
+  type: OBSTRUCTION_TYPES.BOX,
+  width: 1.5,      // m across (diameter of cylinders)
+  depth: 1.5,      // m, boxes only
+  height: 1.5,     // m above the roof (parapets: above the roof edge)
+  rotation: 0,     // degrees counterclockwise from the East axis, boxes only
+  thickness: 0.2,  // m, parapet walls
+  keepOut: 0.5     // m clearance between panels and any obstruction
+};
+
+const OBSTRUCTION_COLOR = 0xb0aca4;
+const CYLINDER_SEGMENTS = 16;
+
+// Plan-view tolerance for two faces sharing an edge (m)
+const SHARED_EDGE_TOLERANCE = 1e-3;
+
+/**
+ * Edges of a roof face that lie on the building's outer walls or courtyard walls
+ * Ridges, hips and other edges shared with a neighbouring face are left out.
+ * Each edge comes with the direction toward the roof surface next to it.
+ * @param {Object} face - Roof face (roof.faces[i])
+ * @param {Array<Object>} faces - All faces of the same roof
+ * @returns {Array<{a: THREE.Vector2, b: THREE.Vector2, inward: THREE.Vector2}>} Wall edges
+ */
+function getWallEdges(face, faces) {
+  const toRing = ring => ring.map(p => new THREE.Vector2(p.x, p.y));
+  const others = faces.filter(other => other !== face).map(other => toRing(other.polygon));
+  const isShared = (a, b) => {
+    const mid = a.clone().add(b).multiplyScalar(0.5);
+    return others.some(ring => ring.some((c, i) =>
+      distanceToSegment(mid, c, ring[(i + 1) % ring.length]) < SHARED_EDGE_TOLERANCE));
+  };
+
+  const rings = [
+    { ring: toRing(face.polygon), hole: false },
+    ...(face.holes || []).map(hole => ({ ring: toRing(hole), hole: true }))
+  ];
+  return rings.flatMap(({ ring, hole }) => {
+    const area = ring.reduce((sum, a, i) => {
+      const b = ring[(i + 1) % ring.length];
+      return sum + a.x * b.y - b.x * a.y;
+    }, 0);
+    // The roof is left of counterclockwise outer edges and right of counterclockwise hole edges
+    const side = (area > 0) !== hole ? 1 : -1;
+    return ring.map((a, i) => ({ a, b: ring[(i + 1) % ring.length] }))
+      .filter(({ a, b }) => a.distanceTo(b) > SHARED_EDGE_TOLERANCE && (hole || !isShared(a, b)))
+      .map(({ a, b }) => ({ a, b, inward: new THREE.Vector2(a.y - b.y, b.x - a.x).normalize().multiplyScalar(side) }));
+  });
+}
+
+/**
+ * Plan-view footprint polygons of an obstruction (convex pieces)
+ * @param {Object} obstruction - {type, position, width, depth, rotation, thickness}
+ * @param {Object} face - Roof face it stands on (parapets follow its wall edges)
+ * @param {Array<Object>} faces - All faces of the same roof
+ * @returns {Array<Array<THREE.Vector2>>} Footprint polygons in scene meters
+ */
+function getObstructionFootprints(obstruction, face, faces) {
+  const { type, position, width, depth, rotation, thickness } = obstruction;
+  const center = new THREE.Vector2(position.x, position.y);
+
+  if (type === OBSTRUCTION_TYPES.CYLINDER) {
+    return [Array.from({ length: CYLINDER_SEGMENTS }, (_, i) => {
+      const angle = (i / CYLINDER_SEGMENTS) * Math.PI * 2;
+      return new THREE.Vector2(Math.cos(angle), Math.sin(angle)).multiplyScalar(width / 2).add(center);
+    })];
+  }
+
+  if (type === OBSTRUCTION_TYPES.PARAPET) {
+    // One wall piece per outer or courtyard wall edge, on the roof side of it
+    return getWallEdges(face, faces).map(({ a, b, inward }) => {
+      const offset = inward.clone().multiplyScalar(thickness);
+      return [a.clone(), b.clone(), b.clone().add(offset), a.clone().add(offset)];
+    });
+  }
+
+  const angle = (rotation * Math.PI) / 180;
+  return [[[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) =>
+    new THREE.Vector2(sx * width / 2, sy * depth / 2).rotateAround(new THREE.Vector2(), angle).add(center))];
+}
+
+/**
+ * Builds an upright prism over a convex footprint, from the lowest roof point
+ * under it up to `top`
+ * @param {Array<THREE.Vector2>} footprint - Convex footprint
+ * @param {Object} face - Roof face below it
+ * @param {number} top - Height of the top in scene meters
+ * @returns {THREE.BufferGeometry} Prism geometry
+ */
+function createPrismGeometry(footprint, face, top) {
+  const base = Math.min(...footprint.map(p => getRoofFaceHeight(face, p.x, p.y)));
+  const geometry = new THREE.ExtrudeGeometry(new THREE.Shape(footprint), {
+    depth: Math.max(top - base, 0.01),
+    bevelEnabled: false
+  });
+  geometry.translate(0, 0, base);
+  return geometry;
+}
+
+/**
+ * Creates an obstruction on a roof face with the current obstructionConfig
+ * Boxes and cylinders stand centered on the clicked point; parapets run along
+ * the face's edges on the building's outer and courtyard walls, not along
+ * ridges or hips shared with the other faces.
+ * @param {Object} face - Roof face (roof.faces[i])
+ * @param {THREE.Vector3} point - Clicked point on the face
+ * @param {Array<Object>} faces - All faces of the same roof (default: just this face)
+ * @returns {{mesh: THREE.Mesh, obstruction: Object, footprints: Array<Array<THREE.Vector2>>}|null} Shadow
+ *   caster, or null for a parapet on a face without wall edges
+ */
+export function createObstruction(face, point, faces = [face]) {
+  const { type, width, depth, height, rotation, thickness } = obstructionConfig;
+  const obstruction = { type, faceIndex: face.index, position: point.clone(), width, depth, height, rotation, thickness };
+  const footprints = getObstructionFootprints(obstruction, face, faces);
+  if (footprints.length === 0) return null;
+
+  const pieces = type === OBSTRUCTION_TYPES.PARAPET
+    ? footprints.map(footprint => createPrismGeometry(footprint, face,
+      Math.max(...footprint.map(p => getRoofFaceHeight(face, p.x, p.y))) + height))
+    : footprints.map(footprint => createPrismGeometry(footprint, face, point.z + height));
+  const geometry = pieces.length === 1 ? pieces[0] : mergeGeometries(pieces);
+  if (pieces.length > 1) pieces.forEach(piece => piece.dispose());
+
+  const mesh = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({ color: OBSTRUCTION_COLOR }));
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+  return { mesh, obstruction, footprints };
+}
+
+/**
+ * Plan-view outline of a placed panel
+ * @param {THREE.Mesh} panel - Panel mesh from createPanelMesh
+ * @returns {Array<THREE.Vector2>} Four corners in order
+ */
+export function getPanelFootprint(panel) {
+  panel.updateMatrixWorld(true);
+  panel.geometry.computeBoundingBox();
+  const { min, max } = panel.geometry.boundingBox;
+  return [[min.x, min.y], [max.x, min.y], [max.x, max.y], [min.x, max.y]].map(([x, y]) => {
+    const p = new THREE.Vector3(x, y, 0).applyMatrix4(panel.matrixWorld);
+    return new THREE.Vector2(p.x, p.y);
+  });
+}
+
+/**
+ * Distance from a point to a segment
+ * @param {THREE.Vector2} p - Point
+ * @param {THREE.Vector2} a - Segment start
+ * @param {THREE.Vector2} b - Segment end
+ * @returns {number} Distance in meters
+ */
+function distanceToSegment(p, a, b) {
+  const ab = b.clone().sub(a);
+  const t = ab.lengthSq() > 0 ? THREE.MathUtils.clamp(p.clone().sub(a).dot(ab) / ab.lengthSq(), 0, 1) : 0;
+  return a.clone().addScaledVector(ab, t).distanceTo(p);
+}
+
+/**
+ * Checks whether two segments cross
+ * @param {THREE.Vector2} a - First segment start
+ * @param {THREE.Vector2} b - First segment end
+ * @param {THREE.Vector2} c - Second segment start
+ * @param {THREE.Vector2} d - Second segment end
+ * @returns {boolean} True if segment ab crosses segment cd
+ */
+function segmentsCross(a, b, c, d) {
+  const cross = (o, p, q) => (p.x - o.x) * (q.y - o.y) - (p.y - o.y) * (q.x - o.x);
+  return cross(a, b, c) * cross(a, b, d) < 0 && cross(c, d, a) * cross(c, d, b) < 0;
+}
+
+/**
+ * Gap between two polygons in plan view
+ * @param {Array<THREE.Vector2>} a - First polygon
+ * @param {Array<THREE.Vector2>} b - Second polygon
+ * @returns {number} Distance in meters (0 if they overlap)
+ */
+function polygonGap(a, b) {
+  const ringA = a.map(p => [p.x, p.y]);
+  const ringB = b.map(p => [p.x, p.y]);
+  if (ringA.some(p => pointInRing(p, ringB)) || ringB.some(p => pointInRing(p, ringA))) return 0;
+  let gap = Infinity;
+  a.forEach((p, i) => {
+    const q = a[(i + 1) % a.length];
+    b.forEach((r, j) => {
+      const s = b[(j + 1) % b.length];
+      if (segmentsCross(p, q, r, s)) gap = 0;
+      gap = Math.min(gap, distanceToSegment(p, r, s), distanceToSegment(r, p, q));
+    });
+  });
+  return gap;
+}
+
+/**
+ * Checks that a panel footprint keeps clear of every obstruction footprint
+ * @param {Array<THREE.Vector2>} corners - Panel footprint (see getPanelFootprint)
+ * @param {Array<Array<THREE.Vector2>>} footprints - Obstruction footprint polygons
+ * @param {number} keepOut - Required clearance in meters (default: obstructionConfig.keepOut)
+ * @returns {boolean} True if the panel may go there
+ */
+export function isClearOfObstructions(corners, footprints, keepOut = obstructionConfig.keepOut) {
+  return footprints.every(footprint => polygonGap(corners, footprint) >= keepOut - 1e-6);
+}
@@ -1,27 +1,49 @@
+import { getModule } from './moduleCatalog';
+
 // Panel configuration - stores current panel settings
+// Dimensions come from the selected catalog module
 export const panelConfig = {
-  width: 200,      // cm (default: 200cm = 2m)
-  height: 100,     // cm (default: 100cm = 1m)
-  thickness: 5,    // cm (default: 5cm)
-  shape: 'rectangular', // 'rectangular', 'square', 'circular'
+  moduleId: null,  // catalog id of the selected module
+  width: 100,      // cm across the slope (module width in portrait)
+  height: 200,     // cm along the slope (module length in portrait)
+  thickness: 4,    // cm
+  cells: null,     // solar cells per module, sets the shading grid (null = 72)
+  layout: 'portrait', // 'portrait' (long side up the slope) or 'landscape'
+  mountMode: 'fixed', // 'fixed' (tilt from horizontal), 'flush' (follows the roof) or 'tilt-rack' (tilt added to the roof)
   tilt: 0,         // degrees (0 = flat/horizontal, 90 = vertical)
   azimuth: 180,    // degrees (0 = North, 90 = East, 180 = South, 270 = West)
+  efficiency: 0.20, // module efficiency (fraction of plane-of-array irradiance converted)
+  ratedPower: null, // Wp at STC (null = efficiency × area × 1000 W/m²)
+  tempCoeff: -0.0035, // power temperature coefficient per °C
+  noct: 45,        // nominal operating cell temperature in °C
+  
+  // Auto roof fill
+  setback: 0.5,    // m clearance from roof edges
+  rowSpacing: 0.5, // m gap between the back of one row and the front of the next
   
-  // Update configuration
-  setSize(width, height, thickness) {
-    this.width = width;
-    this.height = height;
-    this.thickness = thickness;
+  // Select a catalog module: copies its dimensions and electrical parameters
+  setModule(id) {
+    const module = getModule(id);
+    if (!module) return;
+    this.moduleId = id;
+    this.thickness = module.thickness / 10;
+    this.cells = module.cells || null;
+    this.efficiency = module.efficiency;
+    this.ratedPower = module.ratedPower;
+    this.tempCoeff = module.tempCoeff;
+    this.noct = module.noct;
+    this.setLayout(this.layout);
   },
   
-  setShape(shape) {
-    this.shape = shape;
-    // Auto-adjust for square shape
-    if (shape === 'square') {
-      const size = Math.max(this.width, this.height);
-      this.width = size;
-      this.height = size;
-    }
+  // Portrait puts the module's long side along the slope
+  setLayout(layout) {
+    this.layout = layout;
+    const module = getModule(this.moduleId);
+    if (!module) return;
+    const long = module.length / 10;
+    const short = module.width / 10;
+    this.width = layout === 'landscape' ? long : short;
+    this.height = layout === 'landscape' ? short : long;
   },
   
   setOrientation(tilt, azimuth) {
@@ -30,3 +52,4 @@ export const panelConfig = {
   }
 };
 
+panelConfig.setModule('generic-72-400');
@@ -1,3 +1,6 @@
+import { STC_IRRADIANCE } from '../solar/irradiance';
+import { getModule } from './moduleCatalog';
+
 /**
  * Manages the panel information sidebar display
  * Updates the sidebar with panel data and handles interactions
@@ -45,15 +48,20 @@ function createPanelCard(panel, panelNumber) {
 
   // Get panel data from userData
   const irradiance = panel.userData.irradiance || 0;
-  const shadowFactor = panel.userData.shadowFactor || 1;
-  const tilt = panel.userData.tilt || 0;
-  const azimuth = panel.userData.azimuth !== undefined ? panel.userData.azimuth : 180;
+  const poa = panel.userData.poa || { beam: 0, skyDiffuse: 0, groundDiffuse: 0 };
+  const shadowFactor = panel.userData.shadowFactor ?? 1;
+  const shading = panel.userData.shading;
+  // Flush and tilt-rack panels take fractional angles from the roof
+  const tilt = Math.round(panel.userData.tilt || 0);
+  const azimuth = Math.round(panel.userData.azimuth !== undefined ? panel.userData.azimuth : 180);
   const inShadow = panel.userData.inShadow || false;
+  const power = panel.userData.power;
+  const module = getModule(panel.userData.moduleId);
 
   // Determine shadow status
   let shadowStatus = 'clear';
   let shadowText = 'CLEAR';
-  if (irradiance < 0.01) {
+  if (irradiance < 1) {
     shadowStatus = 'shadowed';
     shadowText = 'NO SUN';
   } else if (shadowFactor < 0.5) {
@@ -68,8 +76,9 @@ function createPanelCard(panel, panelNumber) {
   const azimuthDirection = getAzimuthDirection(azimuth);
 
   // Get irradiance category for color coding
-  const irradianceCategory = getIrradianceCategory(irradiance);
-  const irradiancePercent = Math.round(irradiance * 100);
+  const irradianceLevel = irradiance / STC_IRRADIANCE;
+  const irradianceCategory = getIrradianceCategory(irradianceLevel);
+  const irradiancePercent = Math.min(100, Math.round(irradianceLevel * 100));
 
   // Create card HTML
   card.innerHTML = `
@@ -78,18 +87,53 @@ function createPanelCard(panel, panelNumber) {
       <span class="status-badge ${shadowStatus}">${shadowText}</span>
     </div>
     <div class="metric-row">
-      <span class="metric-label">Irradiance</span>
+      <span class="metric-label">Irradiance (POA)</span>
       <span class="metric-value irradiance-value">
-        ${irradiance.toFixed(3)}
+        ${irradiance.toFixed(0)} W/m²
         <div class="irradiance-bar">
           <div class="irradiance-fill ${irradianceCategory}" style="width: ${irradiancePercent}%"></div>
         </div>
       </span>
     </div>
+    <div class="metric-row">
+      <span class="metric-label">Beam / Diffuse / Ground</span>
+      <span class="metric-value">${poa.beam.toFixed(0)} / ${poa.skyDiffuse.toFixed(0)} / ${poa.groundDiffuse.toFixed(0)}</span>
+    </div>
     <div class="metric-row">
       <span class="metric-label">Shadow Factor</span>
       <span class="metric-value">${shadowFactor.toFixed(2)}</span>
     </div>
+    ${shading && shading.strings.length > 1 ? `
+    <div class="metric-row">
+      <span class="metric-label">Sun on Cell Strings</span>
+      <span class="metric-value">${Array.from(shading.strings, share => Math.round(share * 100)).join(' / ')} %</span>
+    </div>` : ''}
+    ${power ? `
+    <div class="metric-row">
+      <span class="metric-label">DC / AC Power</span>
+      <span class="metric-value">${power.dcPower.toFixed(0)} / ${power.acPower.toFixed(0)} W</span>
+    </div>
+    <div class="metric-row">
+      <span class="metric-label">Cell Temperature</span>
+      <span class="metric-value">${power.cellTemp.toFixed(1)} °C</span>
+    </div>` : ''}
+    ${panel.userData.yield ? `
+    <div class="metric-row">
+      <span class="metric-label">Annual Energy (DC / AC)</span>
+      <span class="metric-value">${panel.userData.yield.dcAnnual.toFixed(0)} / ${panel.userData.yield.annual.toFixed(0)} kWh</span>
+    </div>
+    <div class="metric-row">
+      <span class="metric-label">Annual Insolation</span>
+      <span class="metric-value">${panel.userData.yield.insolation.toFixed(0)} kWh/m²</span>
+    </div>` : ''}
+    <div class="metric-row">
+      <span class="metric-label">Module</span>
+      <span class="metric-value module-name"></span>
+    </div>
+    <div class="metric-row">
+      <span class="metric-label">Rated Power</span>
+      <span class="metric-value">${(panel.userData.ratedPower || 0).toFixed(0)} Wp</span>
+    </div>
     <div class="metric-row">
       <span class="metric-label">Tilt</span>
       <span class="metric-value">${tilt}°</span>
@@ -99,6 +143,8 @@ function createPanelCard(panel, panelNumber) {
       <span class="metric-value">${azimuth}° (${azimuthDirection})</span>
     </div>
   `;
+  // Imported names are plain text, never markup
+  card.querySelector('.module-name').textContent = module ? module.model : 'Custom';
 
   return card;
 }
@@ -126,18 +172,78 @@ function getAzimuthDirection(azimuth) {
 
 /**
  * Gets the irradiance category for color coding
- * @param {number} irradiance - Irradiance value (0-1)
+ * @param {number} level - Irradiance as a fraction of STC (1000 W/m²)
  * @returns {string} Category name
  */
-function getIrradianceCategory(irradiance) {
-  if (irradiance < 0.1) return 'low';
-  if (irradiance < 0.25) return 'medium-low';
-  if (irradiance < 0.4) return 'medium';
-  if (irradiance < 0.55) return 'medium-high';
-  if (irradiance < 0.7) return 'high';
+function getIrradianceCategory(level) {
+  if (level < 0.1) return 'low';
+  if (level < 0.25) return 'medium-low';
+  if (level < 0.4) return 'medium';
+  if (level < 0.55) return 'medium-high';
+  if (level < 0.7) return 'high';
   return 'very-high';
 }
 
+const MONTH_LABELS = ['J', 'F', 'M', 'A', 'M', 'J', 'J', 'A', 'S', 'O', 'N', 'D'];
+
+/**
+ * Shows the system's simulated annual energy and a monthly bar chart
+ * @param {Object|null} result - Result of simulateAnnualYield, or null to clear
+ */
+export function updateYieldSummary(result) {
+  const summary = document.getElementById('yield-summary');
+  if (!summary) return;
+
+  if (!result) {
+    summary.innerHTML = '';
+    return;
+  }
+
+  const { system, year, stepMinutes, panels } = result;
+  const maxMonth = Math.max(...system.monthly, 1);
+  const bars = system.monthly.map((kWh, m) => `
+    <div class="yield-month" title="${kWh.toFixed(0)} kWh">
+      <div class="yield-month-bar" style="height: ${(kWh / maxMonth) * 100}%"></div>
+      <span>${MONTH_LABELS[m]}</span>
+    </div>
+  `).join('');
+
+  summary.innerHTML = `
+    <div class="yield-total">
+      <span>System ${year} (${panels.length} panels, ${stepMinutes} min steps)</span>
+      <strong>${system.annual.toFixed(0)} kWh AC</strong>
+    </div>
+    <div class="yield-total">
+      <span>DC energy before inverter</span>
+      <span>${system.dcAnnual.toFixed(0)} kWh</span>
+    </div>
+    <div class="yield-months">${bars}</div>
+  `;
+}
+
+/**
+ * Shows the current sky irradiance at the top of the sidebar
+ * @param {Object} sky - Sky irradiance {ghi, dni, dhi, tempAir, windSpeed} in W/m²
+ * @param {Object|null} weather - Loaded weather data, or null for the clear-sky model
+ */
+export function updateSkySummary(sky, weather = null) {
+  const summary = document.getElementById('sky-summary');
+  if (!summary) return;
+
+  const source = weather ? (weather.meta.name || weather.fileName) : 'clear sky';
+  const conditions = [];
+  if (sky.tempAir !== null && sky.tempAir !== undefined) conditions.push(`${sky.tempAir.toFixed(1)} °C`);
+  if (sky.windSpeed !== null && sky.windSpeed !== undefined) conditions.push(`${sky.windSpeed.toFixed(1)} m/s`);
+
+  summary.innerHTML = `
+    <span><strong>GHI</strong> ${sky.ghi.toFixed(0)}</span>
+    <span><strong>DNI</strong> ${sky.dni.toFixed(0)}</span>
+    <span><strong>DHI</strong> ${sky.dhi.toFixed(0)}</span>
+    <span class="sky-unit">W/m² ${source}</span>
+    ${conditions.length ? `<span class="sky-unit">${conditions.join(' · ')}</span>` : ''}
+  `;
+}
+
 /**
  * Sets up sidebar toggle functionality
  * @param {Function} onPanelSelect - Callback when a panel is selected
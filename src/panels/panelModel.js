@@ -1,6 +1,16 @@
 import * as THREE from 'three';
 import { panelConfig } from './panelConfig';
 
+// How a panel's orientation relates to the surface it is placed on
+export const MOUNT_MODES = {
+  FIXED: 'fixed',         // tilt and azimuth measured from horizontal, surface ignored
+  FLUSH: 'flush',         // lies in the surface plane
+  TILT_RACK: 'tilt-rack'  // tilted by panelConfig.tilt relative to the surface plane
+};
+
+// Below this tilt (degrees) a panel has no meaningful facing direction
+const FLAT_TILT = 0.01;
+
 /**
  * Calculates the normal vector of a panel based on its tilt and azimuth
  * @param {number} tilt - Tilt angle in degrees (0 = flat, 90 = vertical)
@@ -14,92 +24,111 @@ export function calculatePanelNormal(tilt, azimuth) {
   // Convert to radians
   const tiltRad = (tilt * Math.PI) / 180;
   
-  // Convert panel azimuth to Three.js coordinate system
   // Panel azimuth: 0°=North, 90°=East, 180°=South, 270°=West (same as solar azimuth)
-  // Three.js: +Y=North, +X=East, -Y=South, -X=West
-  // Convert to Three.js angle: threeJsAngle = 90° - panelAzimuth
-  // But we need to match the sun vector coordinate system
-  // Sun uses: threeJsAzRad = ((90 - solarAzimuth) * PI) / 180
-  // So panel should use the same: threeJsAzRad = ((90 - azimuth) * PI) / 180
-  // However, the panel rotation uses (azimuth - 180), so we need to adjust
-  // Actually, let's use the same conversion as the sun vector for consistency
-  const threeJsAzRad = ((90 - azimuth) * Math.PI) / 180;
+  // Scene axes: +Y=North, +X=East, so a clockwise azimuth is a negative Z rotation
+  const azRad = (azimuth * Math.PI) / 180;
   
   // Apply rotations in same order as panel mesh:
-  // 1. Tilt around X-axis (negative rotation to tilt toward South)
+  // 1. Tilt around X-axis (negative rotation tilts the normal toward North, azimuth 0°)
   normal.applyAxisAngle(new THREE.Vector3(1, 0, 0), -tiltRad);
   
-  // 2. Azimuth rotation around Z-axis
-  // Use the same coordinate system as sun vector and panel rotation
-  normal.applyAxisAngle(new THREE.Vector3(0, 0, 1), threeJsAzRad);
+  // 2. Azimuth rotation around Z-axis (clockwise from North)
+  normal.applyAxisAngle(new THREE.Vector3(0, 0, 1), -azRad);
   
   return normal.normalize();
 }
 
+/**
+ * Resolves the tilt and azimuth a panel ends up with on a surface
+ * Flush panels take the surface orientation; tilt-rack panels are raised by
+ * config.tilt from the surface toward config.azimuth (projected onto the surface).
+ * @param {Object} config - Panel configuration {mountMode, tilt, azimuth}
+ * @param {THREE.Vector3} surfaceNormal - World-space normal of the surface (null = horizontal)
+ * @returns {{tilt: number, azimuth: number, rackTilt: number}} Effective tilt and azimuth in degrees,
+ *   and the tilt relative to the surface (0 unless tilt-rack)
+ */
+export function getMountedOrientation(config, surfaceNormal = null) {
+  const mode = config.mountMode || MOUNT_MODES.FIXED;
+  const tilt = config.tilt || 0;
+  const azimuth = config.azimuth !== undefined ? config.azimuth : 180;
+  if (mode === MOUNT_MODES.FIXED || !surfaceNormal) {
+    return { tilt, azimuth, rackTilt: 0 };
+  }
+
+  const rackTilt = mode === MOUNT_MODES.TILT_RACK ? tilt : 0;
+  const surface = surfaceNormal.clone().normalize();
+  const normal = surface.clone();
+
+  // Direction the rack leans toward, in the surface plane
+  const azRad = (azimuth * Math.PI) / 180;
+  const facing = new THREE.Vector3(Math.sin(azRad), Math.cos(azRad), 0);
+  facing.addScaledVector(surface, -facing.dot(surface));
+  if (rackTilt > 0 && facing.lengthSq() > 1e-9) {
+    const rackRad = (rackTilt * Math.PI) / 180;
+    normal.multiplyScalar(Math.cos(rackRad)).addScaledVector(facing.normalize(), Math.sin(rackRad));
+  }
+
+  const mountedTilt = Math.acos(Math.min(1, Math.max(-1, normal.z))) * 180 / Math.PI;
+  // A flat panel keeps the configured azimuth so its edges follow the rows
+  const mountedAzimuth = mountedTilt < FLAT_TILT
+    ? azimuth
+    : (Math.atan2(normal.x, normal.y) * 180 / Math.PI + 360) % 360;
+  return { tilt: mountedTilt, azimuth: mountedAzimuth, rackTilt };
+}
+
 /**
  * Creates a panel mesh with custom configuration including tilt and azimuth
+ * In fixed mode the panel sits on `position` with tilt and azimuth taken from the
+ * horizontal; flush and tilt-rack panels are oriented from `surfaceNormal` and
+ * stand off the surface along it.
  * @param {THREE.Vector3} position - Position where the panel should be placed
  * @param {Object} config - Panel configuration (optional, uses panelConfig if not provided)
+ * @param {THREE.Vector3} surfaceNormal - World-space normal of the surface at position (optional)
  * @returns {THREE.Mesh} The panel mesh
  */
-export function createPanelMesh(position, config = null) {
+export function createPanelMesh(position, config = null, surfaceNormal = null) {
   // Use provided config or fall back to global panelConfig
   const cfg = config || panelConfig;
   
-  let panelGeom;
-  const width = cfg.width / 100; // Convert cm to meters
-  const height = cfg.height / 100; // Convert cm to meters
+  const width = cfg.width / 100; // Convert cm to meters (across the slope)
+  const height = cfg.height / 100; // Convert cm to meters (along the slope)
   const thickness = cfg.thickness / 100; // Convert cm to meters
   
-  // Get tilt and azimuth (default to 0 if not provided)
-  const tilt = cfg.tilt || 0;
-  const azimuth = cfg.azimuth !== undefined ? cfg.azimuth : 180; // Default to South
-  
-  // Create geometry based on shape
-  switch (cfg.shape) {
-    case 'square':
-      // Square: use the larger dimension
-      const size = Math.max(width, height);
-      panelGeom = new THREE.BoxGeometry(size, size, thickness);
-      break;
-    case 'circular':
-      // Circular: use cylinder with radius based on average dimension
-      const radius = Math.max(width, height) / 2;
-      panelGeom = new THREE.CylinderGeometry(radius, radius, thickness, 32);
-      // Rotate cylinder to lie flat (rotate 90 degrees around X-axis)
-      panelGeom.rotateX(Math.PI / 2);
-      break;
-    case 'rectangular':
-    default:
-      // Rectangular: standard box
-      panelGeom = new THREE.BoxGeometry(width, height, thickness);
-      break;
-  }
+  // Tilt and azimuth after mounting on the surface
+  const mountMode = cfg.mountMode || MOUNT_MODES.FIXED;
+  const { tilt, azimuth, rackTilt } = getMountedOrientation(cfg, surfaceNormal);
+  
+  // Modules are flat rectangular boxes
+  const panelGeom = new THREE.BoxGeometry(width, height, thickness);
   
   const panelMat = new THREE.MeshPhongMaterial({ color: 0x00c3ff, emissive: 0x0077ff });
   const panel = new THREE.Mesh(panelGeom, panelMat);
   
   // Position panel on roof
   panel.position.copy(position);
-  panel.position.z += thickness / 2; // Position slightly above roof based on thickness
+  if (mountMode === MOUNT_MODES.FIXED || !surfaceNormal) {
+    panel.position.z += thickness / 2; // Position slightly above roof based on thickness
+  } else {
+    // Stand off along the surface normal; a rack also lifts the module's upper half
+    const standoff = thickness / 2 + (height / 2) * Math.sin((rackTilt * Math.PI) / 180);
+    panel.position.addScaledVector(surfaceNormal.clone().normalize(), standoff);
+  }
   
   // Apply rotations for tilt and azimuth
-  // For a panel on a horizontal roof:
-  // 1. First tilt around X-axis (makes it lean toward a direction)
-  // 2. Then rotate around Z-axis for azimuth (which direction it faces)
-  
-  // Tilt rotation: rotate around X-axis (pitch)
-  // Tilt: 0° = flat/horizontal, 90° = vertical
-  // Positive rotation tilts panel toward -Y direction (South when azimuth = 180)
-  const tiltRad = (tilt * Math.PI) / 180;
-  panel.rotateX(-tiltRad); // Negative to tilt toward correct direction
+  // For a panel on a horizontal roof the normal must end up as calculatePanelNormal():
+  // tilted toward North first, then turned clockwise to the azimuth.
+  // Object rotations compose in local space, so apply azimuth (Z) before tilt (X).
   
   // Azimuth rotation: rotate around Z-axis (yaw)
   // In Three.js: +Y is North, +X is East
   // Azimuth: 0° = North, 90° = East, 180° = South, 270° = West
-  // Use same coordinate conversion as sun vector: threeJsAngle = 90° - azimuth
-  const threeJsAzRad = ((90 - azimuth) * Math.PI) / 180;
-  panel.rotateZ(threeJsAzRad);
+  const azRad = (azimuth * Math.PI) / 180;
+  panel.rotateZ(-azRad);
+  
+  // Tilt rotation: rotate around local X-axis (pitch)
+  // Tilt: 0° = flat/horizontal, 90° = vertical
+  const tiltRad = (tilt * Math.PI) / 180;
+  panel.rotateX(-tiltRad); // Negative tilts the panel face toward its azimuth
   
   panel.castShadow = true;
   panel.receiveShadow = true;
@@ -108,6 +137,18 @@ export function createPanelMesh(position, config = null) {
   panel.userData.normal = calculatePanelNormal(tilt, azimuth);
   panel.userData.tilt = tilt;
   panel.userData.azimuth = azimuth;
+  panel.userData.mountMode = mountMode;
+  
+  // Collecting area (m²) and electrical parameters for the PV performance model
+  const area = width * height;
+  const efficiency = cfg.efficiency ?? panelConfig.efficiency;
+  panel.userData.area = area;
+  panel.userData.efficiency = efficiency;
+  panel.userData.ratedPower = cfg.ratedPower ?? efficiency * area * 1000; // Wp at 1000 W/m²
+  panel.userData.tempCoeff = cfg.tempCoeff ?? panelConfig.tempCoeff;
+  panel.userData.noct = cfg.noct ?? panelConfig.noct;
+  panel.userData.moduleId = cfg.moduleId ?? null;
+  panel.userData.cells = cfg.cells ?? panelConfig.cells;
   
   return panel;
 }
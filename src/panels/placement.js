@@ -1,10 +1,65 @@
 import * as THREE from 'three';
 import { panelConfig } from './panelConfig';
-import { createPanelMesh } from './panelModel';
-import { calcPanelIrradiance, calcIrradiance } from '../solar/irradiance';
-import { calculatePanelShadowFactor } from '../solar/shadowAnalysis';
+import { createPanelMesh, getMountedOrientation, MOUNT_MODES } from './panelModel';
+import { calcPlaneOfArrayIrradiance, calcStringIrradiance, STC_IRRADIANCE } from '../solar/irradiance';
+import { calculatePanelShading, getShadowCasters } from '../solar/shadowAnalysis';
+import { updatePanelPower } from '../pv/panelPower';
+import { generateRoofLayout } from './autoLayout';
+import { createObstruction, getPanelFootprint, isClearOfObstructions, obstructionConfig } from './obstructions';
+import { getHitRoofFace } from '../scene/addBuildings3D';
 import { updatePanelInfoSidebar, setupSidebarToggle, highlightPanelCard } from './panelInfo';
 
+// Roof faces steeper than this can't be auto-filled with fixed-tilt rows
+const MAX_FILL_SLOPE = 5; // degrees
+
+/**
+ * Maps panel irradiance to a display color
+ * Optimized for low sun elevation: More variation in lower ranges
+ * Blue (low/shadowed) -> Cyan -> Green -> Yellow -> Orange -> Red (high)
+ * @param {number} level - Irradiance as a fraction of STC (1000 W/m²), 0..1
+ * @param {number} shadowFactor - Shadow factor (0-1, where 1 = no shadow)
+ * @returns {THREE.Color} Panel color
+ */
+function getIrradianceColor(level, shadowFactor) {
+  let color;
+  if (level < 0.1) {
+    // Very low or fully shadowed: dark blue/purple
+    color = new THREE.Color().setHSL(0.6, 1, 0.2);
+  } else if (level < 0.25) {
+    // Low: blue to cyan (more variation here)
+    const t = (level - 0.1) / 0.15;
+    color = new THREE.Color().setHSL(0.6 - t * 0.2, 1, 0.2 + t * 0.25);
+  } else if (level < 0.4) {
+    // Medium-low: cyan to green
+    const t = (level - 0.25) / 0.15;
+    color = new THREE.Color().setHSL(0.4 - t * 0.15, 1, 0.45 + t * 0.15);
+  } else if (level < 0.55) {
+    // Medium: green to yellow-green
+    const t = (level - 0.4) / 0.15;
+    color = new THREE.Color().setHSL(0.25 - t * 0.1, 1, 0.6 + t * 0.1);
+  } else if (level < 0.7) {
+    // Medium-high: yellow-green to yellow
+    const t = (level - 0.55) / 0.15;
+    color = new THREE.Color().setHSL(0.15 - t * 0.05, 1, 0.7 + t * 0.05);
+  } else if (level < 0.85) {
+    // High: yellow to orange
+    const t = (level - 0.7) / 0.15;
+    color = new THREE.Color().setHSL(0.1 - t * 0.05, 1, 0.75 - t * 0.1);
+  } else {
+    // Very high: orange to red
+    const t = Math.min(1, (level - 0.85) / 0.15);
+    color = new THREE.Color().setHSL(0.05 - t * 0.05, 1, 0.65 - t * 0.2);
+  }
+
+  // Darken color if panel is significantly shadowed (visual feedback)
+  if (shadowFactor < 0.5) {
+    color.multiplyScalar(0.6); // Make shadowed panels noticeably darker
+  } else if (shadowFactor < 1.0) {
+    color.multiplyScalar(0.8 + shadowFactor * 0.2); // Partial shadow
+  }
+  return color;
+}
+
 /**
  * Sets up panel placement system with raycasting and event handlers
  * @param {THREE.Scene} scene - Three.js scene
@@ -12,12 +67,17 @@ import { updatePanelInfoSidebar, setupSidebarToggle, highlightPanelCard } from '
  * @param {THREE.WebGLRenderer} renderer - Three.js renderer
  * @param {Array} roofMeshes - Array of roof mesh objects for picking
  * @param {THREE.Vector3} sunVec - Normalized sun direction vector for irradiance calculations
+ * @param {Object} sky - Current sky irradiance {ghi, dni, dhi, ...} in W/m² (updated in place by the caller)
+ * @param {Array} obstacles - Terrain and tree shadow casters {mesh, ...} (updated in place by the caller);
+ *   rooftop obstructions placed here are added to it as {mesh, obstruction, roofIdx, footprints}
  * @returns {Object} Object containing panel arrays and control functions
  */
-export function setupPanelPlacement(scene, camera, renderer, roofMeshes, sunVec) {
+export function setupPanelPlacement(scene, camera, renderer, roofMeshes, sunVec, sky, obstacles = []) {
   const placedPanels = [];
   const panelMeshes = [];
   let placingPanel = false;
+  let fillingRoof = false;
+  let placingObstruction = false;
   let selectedPanelIndex = -1;
   
   // Store panel-to-roof mapping for shadow analysis
@@ -26,106 +86,21 @@ export function setupPanelPlacement(scene, camera, renderer, roofMeshes, sunVec)
   // Store original materials for highlighting
   const originalMaterials = new Map();
 
-  // Helper to add a panel mesh to the scene with irradiance-based coloring
-  function addPanelToScene(position, config = null, panelRoof = null) {
-    const panel = createPanelMesh(position, config);
+  // Recomputes DC/AC power (the inverter is shared, so every panel changes) and redraws the sidebar
+  function refreshPanelInfo() {
+    updatePanelPower(panelMeshes, sky);
+    updatePanelInfoSidebar(panelMeshes);
+  }
+
+  // Helper to add a panel mesh to the scene
+  // surfaceNormal (world space) orients flush and tilt-rack panels. The panel gets its
+  // shading and color from the updatePanelIrradiance call that follows every batch of new panels.
+  function addPanelToScene(position, config = null, panelRoof = null, surfaceNormal = null) {
+    const panel = createPanelMesh(position, config, surfaceNormal);
     
     // Store roof mesh immediately if provided
     if (panelRoof) {
       panel.userData.roofMesh = panelRoof;
-      console.log(`[PANEL] Creating panel with roof mesh reference`, panelRoof);
-    } else {
-      console.log(`[PANEL] Creating panel WITHOUT roof mesh reference`);
-    }
-    
-    // Calculate irradiance for this panel
-    if (sunVec) {
-      // Get the actual world-space normal from the rotated panel
-      // This ensures the normal matches the visual orientation
-      panel.updateMatrixWorld(true);
-      
-      // Create a vector pointing up in panel's local space
-      const localUp = new THREE.Vector3(0, 0, 1);
-      // Transform to world space using panel's rotation matrix
-      const worldNormal = localUp.clone();
-      worldNormal.transformDirection(panel.matrixWorld);
-      worldNormal.normalize();
-      
-      // Use the world-space normal for irradiance calculation
-      let irradiance = calcIrradiance(sunVec, worldNormal);
-      
-      // Debug: log normal and dot product for tilted panels
-      if (panel.userData.tilt > 0 && panelMeshes.length < 5) {
-        const dot = sunVec.dot(worldNormal);
-        console.log(`  Panel ${panelMeshes.length + 1} Debug: Tilt=${panel.userData.tilt}° Azimuth=${panel.userData.azimuth}°`);
-        console.log(`    World Normal: (${worldNormal.x.toFixed(3)}, ${worldNormal.y.toFixed(3)}, ${worldNormal.z.toFixed(3)})`);
-        console.log(`    Sun Vec: (${sunVec.x.toFixed(3)}, ${sunVec.y.toFixed(3)}, ${sunVec.z.toFixed(3)})`);
-        console.log(`    Dot product: ${dot.toFixed(3)} → Irradiance: ${irradiance.toFixed(3)}`);
-      }
-      
-      // Phase 3: Shadow Analysis - Check if panel is blocked by buildings
-      // Use the provided roof or try to get it from userData
-      const excludeRoof = panelRoof || panel.userData.roofMesh;
-      console.log(`[PANEL] Shadow calc - excludeRoof is ${excludeRoof ? 'SET' : 'NULL'}`);
-      const shadowFactor = calculatePanelShadowFactor(panel, sunVec, roofMeshes, 4, excludeRoof);
-      irradiance *= shadowFactor; // Reduce irradiance if in shadow
-      
-      // Store shadow info for debugging
-      panel.userData.shadowFactor = shadowFactor;
-      panel.userData.inShadow = shadowFactor < 0.5; // Consider shadowed if more than 50% blocked
-      
-      // Debug: log irradiance for all panels (with color and shadow info)
-      const shadowStatus = shadowFactor < 0.5 ? 'SHADOWED' : shadowFactor < 1 ? 'PARTIAL' : 'CLEAR';
-      console.log(`Panel ${panelMeshes.length + 1}: Tilt=${panel.userData.tilt}° Azimuth=${panel.userData.azimuth}° → Irradiance=${irradiance.toFixed(3)} Shadow=${shadowFactor.toFixed(2)} (${shadowStatus})`);
-      
-      // Also store in userData for reference
-      panel.userData.irradiance = irradiance;
-      panel.userData.worldNormal = worldNormal; // Store for later use
-      
-      // Color panel based on irradiance (now includes shadow effects)
-      // Optimized for low sun elevation: More variation in lower ranges
-      // Blue (low/shadowed) -> Cyan -> Green -> Yellow -> Orange -> Red (high)
-      let color;
-      if (irradiance < 0.1) {
-        // Very low or fully shadowed: dark blue/purple
-        color = new THREE.Color().setHSL(0.6, 1, 0.2);
-      } else if (irradiance < 0.25) {
-        // Low: blue to cyan (more variation here)
-        const t = (irradiance - 0.1) / 0.15;
-        color = new THREE.Color().setHSL(0.6 - t * 0.2, 1, 0.2 + t * 0.25);
-      } else if (irradiance < 0.4) {
-        // Medium-low: cyan to green
-        const t = (irradiance - 0.25) / 0.15;
-        color = new THREE.Color().setHSL(0.4 - t * 0.15, 1, 0.45 + t * 0.15);
-      } else if (irradiance < 0.55) {
-        // Medium: green to yellow-green
-        const t = (irradiance - 0.4) / 0.15;
-        color = new THREE.Color().setHSL(0.25 - t * 0.1, 1, 0.6 + t * 0.1);
-      } else if (irradiance < 0.7) {
-        // Medium-high: yellow-green to yellow
-        const t = (irradiance - 0.55) / 0.15;
-        color = new THREE.Color().setHSL(0.15 - t * 0.05, 1, 0.7 + t * 0.05);
-      } else if (irradiance < 0.85) {
-        // High: yellow to orange
-        const t = (irradiance - 0.7) / 0.15;
-        color = new THREE.Color().setHSL(0.1 - t * 0.05, 1, 0.75 - t * 0.1);
-      } else {
-        // Very high: orange to red
-        const t = (irradiance - 0.85) / 0.15;
-        color = new THREE.Color().setHSL(0.05 - t * 0.05, 1, 0.65 - t * 0.2);
-      }
-      
-      // Darken color if panel is significantly shadowed (visual feedback)
-      if (shadowFactor < 0.5) {
-        color.multiplyScalar(0.6); // Make shadowed panels noticeably darker
-      } else if (shadowFactor < 1.0) {
-        color.multiplyScalar(0.8 + shadowFactor * 0.2); // Partial shadow
-      }
-      
-      // Update panel material color based on irradiance
-      panel.material.color.copy(color);
-      // Keep some emissive glow but reduce it for low irradiance
-      panel.material.emissive.set(color).multiplyScalar(0.3 * irradiance);
     }
     
     scene.add(panel);
@@ -135,7 +110,11 @@ export function setupPanelPlacement(scene, camera, renderer, roofMeshes, sunVec)
   
   // Function to update all panel colors based on current sun position
   function updatePanelIrradiance(newSunVec) {
+    // Panels placed from now on use the new sun position too
+    sunVec = newSunVec;
     const wasHighlighted = selectedPanelIndex >= 0;
+    // Every panel can shade the ones behind it
+    const shadowCasters = getShadowCasters(roofMeshes, panelMeshes, obstacles);
     
     panelMeshes.forEach((panel, index) => {
       // Get world-space normal from panel rotation
@@ -145,14 +124,17 @@ export function setupPanelPlacement(scene, camera, renderer, roofMeshes, sunVec)
       worldNormal.transformDirection(panel.matrixWorld);
       worldNormal.normalize();
       
-      let irradiance = calcIrradiance(newSunVec, worldNormal);
-      
       // Phase 3: Recalculate shadow factor with new sun position
       const panelRoof = panel.userData.roofMesh;
-      const shadowFactor = calculatePanelShadowFactor(panel, newSunVec, roofMeshes, 4, panelRoof);
-      irradiance *= shadowFactor;
+      const shading = calculatePanelShading(panel, newSunVec, shadowCasters, panelRoof);
+      const shadowFactor = shading.factor;
+      const poa = calcPlaneOfArrayIrradiance(newSunVec, worldNormal, sky, shadowFactor);
+      const irradiance = poa.global;
+      panel.userData.poa = poa;
       
       // Update shadow info
+      panel.userData.shading = shading;
+      panel.userData.stringIrradiance = calcStringIrradiance(newSunVec, worldNormal, sky, shading.strings);
       panel.userData.shadowFactor = shadowFactor;
       panel.userData.inShadow = shadowFactor < 0.5;
       
@@ -160,35 +142,7 @@ export function setupPanelPlacement(scene, camera, renderer, roofMeshes, sunVec)
       panel.userData.irradiance = irradiance;
       
       // Use same color gradient as addPanelToScene
-      let color;
-      if (irradiance < 0.1) {
-        color = new THREE.Color().setHSL(0.6, 1, 0.2);
-      } else if (irradiance < 0.25) {
-        const t = (irradiance - 0.1) / 0.15;
-        color = new THREE.Color().setHSL(0.6 - t * 0.2, 1, 0.2 + t * 0.25);
-      } else if (irradiance < 0.4) {
-        const t = (irradiance - 0.25) / 0.15;
-        color = new THREE.Color().setHSL(0.4 - t * 0.15, 1, 0.45 + t * 0.15);
-      } else if (irradiance < 0.55) {
-        const t = (irradiance - 0.4) / 0.15;
-        color = new THREE.Color().setHSL(0.25 - t * 0.1, 1, 0.6 + t * 0.1);
-      } else if (irradiance < 0.7) {
-        const t = (irradiance - 0.55) / 0.15;
-        color = new THREE.Color().setHSL(0.15 - t * 0.05, 1, 0.7 + t * 0.05);
-      } else if (irradiance < 0.85) {
-        const t = (irradiance - 0.7) / 0.15;
-        color = new THREE.Color().setHSL(0.1 - t * 0.05, 1, 0.75 - t * 0.1);
-      } else {
-        const t = (irradiance - 0.85) / 0.15;
-        color = new THREE.Color().setHSL(0.05 - t * 0.05, 1, 0.65 - t * 0.2);
-      }
-      
-      // Darken if shadowed
-      if (shadowFactor < 0.5) {
-        color.multiplyScalar(0.6);
-      } else if (shadowFactor < 1.0) {
-        color.multiplyScalar(0.8 + shadowFactor * 0.2);
-      }
+      const color = getIrradianceColor(irradiance / STC_IRRADIANCE, shadowFactor);
       
       // Update material (preserve highlight if this panel is selected)
       if (index === selectedPanelIndex && wasHighlighted) {
@@ -198,30 +152,234 @@ export function setupPanelPlacement(scene, camera, renderer, roofMeshes, sunVec)
         panel.material.emissiveIntensity = 1.5;
       } else {
         panel.material.color.copy(color);
-        panel.material.emissive.set(color).multiplyScalar(0.3 * irradiance);
+        panel.material.emissive.set(color).multiplyScalar(0.3 * irradiance / STC_IRRADIANCE);
       }
       
       // Update original material for future highlighting
       if (originalMaterials.has(panel)) {
         const origMat = originalMaterials.get(panel);
         origMat.color.copy(color);
-        origMat.emissive.set(color).multiplyScalar(0.3 * irradiance);
+        origMat.emissive.set(color).multiplyScalar(0.3 * irradiance / STC_IRRADIANCE);
       }
     });
     
     // Update sidebar after recalculating irradiance
-    updatePanelInfoSidebar(panelMeshes);
+    refreshPanelInfo();
+  }
+
+  // Snapshot of the current panel settings, stored with each placed panel
+  function getCurrentPanelConfig() {
+    return {
+      moduleId: panelConfig.moduleId,
+      layout: panelConfig.layout,
+      mountMode: panelConfig.mountMode,
+      width: panelConfig.width,
+      height: panelConfig.height,
+      thickness: panelConfig.thickness,
+      cells: panelConfig.cells,
+      tilt: panelConfig.tilt || 0,
+      azimuth: panelConfig.azimuth !== undefined ? panelConfig.azimuth : 180,
+      efficiency: panelConfig.efficiency,
+      ratedPower: panelConfig.ratedPower,
+      tempCoeff: panelConfig.tempCoeff,
+      noct: panelConfig.noct
+    };
+  }
+
+  // Removes one panel from the scene and from both panel arrays
+  function removePanel(panel) {
+    scene.remove(panel);
+    // Dispose of geometry and material
+    panel.geometry.dispose();
+    panel.material.dispose();
+    // Remove from arrays
+    const idx = panelMeshes.indexOf(panel);
+    if (idx !== -1) {
+      panelMeshes.splice(idx, 1);
+      placedPanels.splice(idx, 1);
+      // Clear selection if removed panel was selected
+      if (selectedPanelIndex === idx) {
+        selectedPanelIndex = -1;
+        clearPanelHighlight();
+      } else if (selectedPanelIndex > idx) {
+        selectedPanelIndex--; // Adjust selection index
+      }
+      // Remove from original materials map
+      originalMaterials.delete(panel);
+    }
+  }
+
+  /**
+   * Removes every panel on one roof (e.g. before the building is rebuilt)
+   * The remaining panels keep their shading; call updatePanelIrradiance once the
+   * roof has its new geometry.
+   * @param {number} roofIdx - Index into roofMeshes
+   * @returns {number} Number of panels removed
+   */
+  function removeRoofPanels(roofIdx) {
+    const onRoof = panelMeshes.filter((panel, i) => placedPanels[i].roofIdx === roofIdx);
+    onRoof.forEach(removePanel);
+    return onRoof.length;
+  }
+
+  // Footprints of every rooftop obstruction, for the keep-out check
+  function getObstructionFootprints() {
+    return obstacles.filter(o => o.obstruction).flatMap(o => o.footprints);
+  }
+
+  // Whether a panel with this position and configuration keeps clear of the obstructions
+  function isPanelClear(position, config, surfaceNormal) {
+    const panel = createPanelMesh(position, config, surfaceNormal);
+    const clear = isClearOfObstructions(getPanelFootprint(panel), getObstructionFootprints(), obstructionConfig.keepOut);
+    panel.geometry.dispose();
+    panel.material.dispose();
+    return clear;
+  }
+
+  /**
+   * Places a rooftop obstruction with the current obstructionConfig
+   * Panels inside its keep-out buffer are removed.
+   * @param {number} roofIdx - Index into roofMeshes
+   * @param {Object} face - Roof face it stands on
+   * @param {THREE.Vector3} point - Clicked point on the face
+   * @returns {number} Number of panels removed
+   */
+  function addObstruction(roofIdx, face, point) {
+    const obstruction = createObstruction(face, point, roofMeshes[roofIdx].faces);
+    if (!obstruction) return 0;
+    const record = { ...obstruction, roofIdx };
+    scene.add(record.mesh);
+    obstacles.push(record);
+
+    const blocked = panelMeshes.filter(panel =>
+      !isClearOfObstructions(getPanelFootprint(panel), record.footprints, obstructionConfig.keepOut));
+    blocked.forEach(removePanel);
+    // The obstruction shades the panels around it
+    updatePanelIrradiance(sunVec);
+    return blocked.length;
+  }
+
+  // Removes one obstruction from the scene and from the shadow casters
+  function removeObstruction(record) {
+    scene.remove(record.mesh);
+    record.mesh.geometry.dispose();
+    record.mesh.material.dispose();
+    const idx = obstacles.indexOf(record);
+    if (idx !== -1) obstacles.splice(idx, 1);
+  }
+
+  /**
+   * Removes every obstruction on one roof (e.g. before the building is rebuilt)
+   * Like removeRoofPanels, it leaves the irradiance refresh to the caller.
+   * @param {number} roofIdx - Index into roofMeshes
+   * @returns {number} Number of obstructions removed
+   */
+  function removeRoofObstructions(roofIdx) {
+    const onRoof = obstacles.filter(o => o.obstruction && o.roofIdx === roofIdx);
+    onRoof.forEach(removeObstruction);
+    return onRoof.length;
   }
 
-  // Panel placement button handler
+  // Removes every obstruction (used when a new set of buildings is loaded)
+  function removeAllObstructions() {
+    obstacles.filter(o => o.obstruction).forEach(removeObstruction);
+  }
+
+  /**
+   * Follows the roofs after the building list was re-synced
+   * Panels and obstructions on roofs that were removed or rebuilt are dropped;
+   * the others get their new roof index.
+   * @param {Map<number, number>} indexMap - New roof index by old roof index
+   * @returns {number} Number of panels removed
+   */
+  function remapRoofPanels(indexMap) {
+    const orphaned = panelMeshes.filter((panel, i) => !indexMap.has(placedPanels[i].roofIdx));
+    orphaned.forEach(removePanel);
+    placedPanels.forEach(p => {
+      p.roofIdx = indexMap.get(p.roofIdx);
+    });
+    obstacles.filter(o => o.obstruction && !indexMap.has(o.roofIdx)).forEach(removeObstruction);
+    obstacles.forEach(o => {
+      if (o.obstruction) o.roofIdx = indexMap.get(o.roofIdx);
+    });
+    if (orphaned.length > 0) updatePanelIrradiance(sunVec);
+    return orphaned.length;
+  }
+
+  /**
+   * Fills a roof face with panels using the current module, layout, tilt and azimuth
+   * Panels already on that face are replaced.
+   * @param {number} roofIdx - Index into roofMeshes
+   * @param {Object} face - Roof face (roofMeshes[roofIdx].faces[i])
+   * @returns {number} Number of panels placed
+   */
+  function fillRoof(roofIdx, face) {
+    const roof = roofMeshes[roofIdx];
+    if (!roof || !face) return 0;
+
+    // Replace any earlier layout on this face
+    panelMeshes
+      .filter((panel, i) => placedPanels[i].roofIdx === roofIdx && placedPanels[i].faceIndex === face.index)
+      .forEach(removePanel);
+
+    const config = getCurrentPanelConfig();
+    // Rows are laid out for the orientation the panels end up with on this face
+    const mounted = config.mountMode !== MOUNT_MODES.FIXED;
+    const surfaceNormal = mounted ? face.normal.clone() : null;
+    const { tilt, azimuth } = getMountedOrientation(config, surfaceNormal);
+    const positions = generateRoofLayout(face, {
+      panelWidth: config.width / 100,
+      panelHeight: config.height / 100,
+      tilt,
+      azimuth,
+      setback: panelConfig.setback,
+      rowSpacing: panelConfig.rowSpacing,
+      raise: !mounted,
+      obstructions: getObstructionFootprints(),
+      keepOut: obstructionConfig.keepOut
+    });
+
+    positions.forEach(position => {
+      placedPanels.push({ position: position.clone(), roofIdx, faceIndex: face.index, surfaceNormal, config });
+      addPanelToScene(position, config, roof.mesh, surfaceNormal);
+    });
+    // New rows shade each other: recompute every panel (also refreshes the sidebar)
+    updatePanelIrradiance(sunVec);
+    return positions.length;
+  }
+
+  // Panel placement, auto-fill and obstruction buttons (the modes are exclusive)
   const placePanelBtn = document.getElementById('place-panel');
-  if (placePanelBtn) {
-    placePanelBtn.addEventListener('click', () => {
-      placingPanel = !placingPanel;
+  const autoFillBtn = document.getElementById('auto-fill');
+  const placeObstructionBtn = document.getElementById('place-obstruction');
+
+  function setPlacementMode(placing, filling, obstructing = false) {
+    placingPanel = placing;
+    fillingRoof = filling;
+    placingObstruction = obstructing;
+    if (placePanelBtn) {
       placePanelBtn.textContent = placingPanel ? 'Exit Panel Placement' : 'Place Panel';
       placePanelBtn.classList.toggle('active', placingPanel);
-      renderer.domElement.style.cursor = placingPanel ? 'crosshair' : '';
-    });
+    }
+    if (autoFillBtn) {
+      autoFillBtn.textContent = fillingRoof ? 'Exit Auto Fill' : 'Auto Fill Roof';
+      autoFillBtn.classList.toggle('active', fillingRoof);
+    }
+    if (placeObstructionBtn) {
+      placeObstructionBtn.textContent = placingObstruction ? 'Exit Obstructions' : 'Add Obstruction';
+      placeObstructionBtn.classList.toggle('active', placingObstruction);
+    }
+    renderer.domElement.style.cursor = placingPanel || fillingRoof || placingObstruction ? 'crosshair' : '';
+  }
+
+  if (placePanelBtn) {
+    placePanelBtn.addEventListener('click', () => setPlacementMode(!placingPanel, false));
+  }
+  if (autoFillBtn) {
+    autoFillBtn.addEventListener('click', () => setPlacementMode(false, !fillingRoof));
+  }
+  if (placeObstructionBtn) {
+    placeObstructionBtn.addEventListener('click', () => setPlacementMode(false, false, !placingObstruction));
   }
 
   // Raycaster for picking
@@ -242,18 +400,22 @@ export function setupPanelPlacement(scene, camera, renderer, roofMeshes, sunVec)
       const intersects = raycaster.intersectObjects(roofMeshes.map(r => r.mesh));
       if (intersects.length > 0) {
         const hit = intersects[0];
-        // Read current panel configuration from panelConfig (updated by sliders)
-        const config = {
-          width: panelConfig.width,
-          height: panelConfig.height,
-          thickness: panelConfig.thickness,
-          shape: panelConfig.shape,
-          tilt: panelConfig.tilt || 0,
-          azimuth: panelConfig.azimuth !== undefined ? panelConfig.azimuth : 180
-        };
+        // Read current panel configuration from panelConfig (updated by the settings modal)
+        const config = getCurrentPanelConfig();
         
         const roofIdx = roofMeshes.findIndex(r => r.mesh === hit.object);
         const roofMesh = roofMeshes[roofIdx].mesh;
+        // Panels go on roof faces only, not walls
+        const face = getHitRoofFace(roofMeshes[roofIdx], hit);
+        if (!face) return;
+        // Flush and tilt-rack panels follow the surface that was hit
+        const surfaceNormal = config.mountMode !== MOUNT_MODES.FIXED && hit.face
+          ? hit.face.normal.clone().transformDirection(hit.object.matrixWorld)
+          : null;
+        if (!isPanelClear(hit.point, config, surfaceNormal)) {
+          alert(`Panels must stay ${obstructionConfig.keepOut.toFixed(1)} m clear of rooftop obstructions.`);
+          return;
+        }
         
         console.log(`[PLACEMENT] Roof index: ${roofIdx}, total roofs: ${roofMeshes.length}`);
         
@@ -261,69 +423,65 @@ export function setupPanelPlacement(scene, camera, renderer, roofMeshes, sunVec)
         placedPanels.push({
           position: hit.point.clone(),
           roofIdx: roofIdx,
+          faceIndex: face.index,
+          surfaceNormal,
           config
         });
         
-        // Visualize panel immediately with current configuration
-        // Pass the roof mesh so shadow analysis works correctly from the start
-        const panel = addPanelToScene(hit.point, config, roofMesh);
-        // Store reference to roof for shadow analysis (exclude this roof from shadow checks)
-        if (panel) {
-          panel.userData.roofMesh = roofMesh;
-          // Recalculate shadow with roofMesh now set (if sunVec exists)
-          if (sunVec) {
-            panel.updateMatrixWorld(true);
-            const localUp = new THREE.Vector3(0, 0, 1);
-            const worldNormal = localUp.clone();
-            worldNormal.transformDirection(panel.matrixWorld);
-            worldNormal.normalize();
-            let irradiance = calcIrradiance(sunVec, worldNormal);
-            const shadowFactor = calculatePanelShadowFactor(panel, sunVec, roofMeshes, 4, roofMesh);
-            irradiance *= shadowFactor;
-            panel.userData.shadowFactor = shadowFactor;
-            panel.userData.inShadow = shadowFactor < 0.5;
-            panel.userData.irradiance = irradiance;
-            
-            // Update panel color based on recalculated irradiance
-            let color;
-            if (irradiance < 0.1) {
-              color = new THREE.Color().setHSL(0.6, 1, 0.2);
-            } else if (irradiance < 0.25) {
-              const t = (irradiance - 0.1) / 0.15;
-              color = new THREE.Color().setHSL(0.6 - t * 0.2, 1, 0.2 + t * 0.25);
-            } else if (irradiance < 0.4) {
-              const t = (irradiance - 0.25) / 0.15;
-              color = new THREE.Color().setHSL(0.4 - t * 0.15, 1, 0.45 + t * 0.15);
-            } else if (irradiance < 0.55) {
-              const t = (irradiance - 0.4) / 0.15;
-              color = new THREE.Color().setHSL(0.25 - t * 0.1, 1, 0.6 + t * 0.1);
-            } else if (irradiance < 0.7) {
-              const t = (irradiance - 0.55) / 0.15;
-              color = new THREE.Color().setHSL(0.15 - t * 0.05, 1, 0.7 + t * 0.05);
-            } else if (irradiance < 0.85) {
-              const t = (irradiance - 0.7) / 0.15;
-              color = new THREE.Color().setHSL(0.1 - t * 0.05, 1, 0.75 - t * 0.1);
-            } else {
-              const t = (irradiance - 0.85) / 0.15;
-              color = new THREE.Color().setHSL(0.05 - t * 0.05, 1, 0.65 - t * 0.2);
-            }
-            
-            if (shadowFactor < 0.5) {
-              color.multiplyScalar(0.6);
-            } else if (shadowFactor < 1.0) {
-              color.multiplyScalar(0.8 + shadowFactor * 0.2);
-            }
-            
-            panel.material.color.copy(color);
-            panel.material.emissive.set(color).multiplyScalar(0.3 * irradiance);
-          }
+        // Pass the roof mesh so shadow analysis excludes the roof the panel sits on
+        addPanelToScene(hit.point, config, roofMesh, surfaceNormal);
+        // Shade the new panel, which may also shade its neighbours (also refreshes the sidebar)
+        updatePanelIrradiance(sunVec);
+      }
+    }
+
+    // Left-click in auto-fill mode: fill the clicked roof
+    if (event.button === 0 && fillingRoof) {
+      const rect = renderer.domElement.getBoundingClientRect();
+      const mouse = new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+      );
+      raycaster.setFromCamera(mouse, camera);
+
+      const intersects = raycaster.intersectObjects(roofMeshes.map(r => r.mesh));
+      if (intersects.length > 0) {
+        const roofIdx = roofMeshes.findIndex(r => r.mesh === intersects[0].object);
+        const face = getHitRoofFace(roofMeshes[roofIdx], intersects[0]);
+        const slope = face ? Math.acos(Math.min(1, face.normal.z)) * 180 / Math.PI : 0;
+        if (!face) {
+          // Clicked a wall
+        } else if (slope > MAX_FILL_SLOPE && panelConfig.mountMode === MOUNT_MODES.FIXED) {
+          alert(`Fixed-tilt auto fill needs a flat roof face; this face slopes ${slope.toFixed(0)}°. ` +
+            'Switch the mounting to flush or tilt rack to fill sloped faces.');
+        } else if (fillRoof(roofIdx, face) === 0) {
+          alert('No panels fit on this roof with the current module, setback and row spacing.');
         }
-        // Update sidebar after panel is added
-        updatePanelInfoSidebar(panelMeshes);
       }
     }
 
-    // Right-click (button 2): Remove panel (always available)
+    // Left-click in obstruction mode: place an obstruction on the clicked roof face
+    if (event.button === 0 && placingObstruction) {
+      const rect = renderer.domElement.getBoundingClientRect();
+      const mouse = new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+      );
+      raycaster.setFromCamera(mouse, camera);
+
+      const intersects = raycaster.intersectObjects(roofMeshes.map(r => r.mesh));
+      if (intersects.length > 0) {
+        const roofIdx = roofMeshes.findIndex(r => r.mesh === intersects[0].object);
+        const face = getHitRoofFace(roofMeshes[roofIdx], intersects[0]);
+        if (!face) return; // Clicked a wall
+        const removed = addObstruction(roofIdx, face, intersects[0].point);
+        if (removed > 0) {
+          alert(`${removed} panel(s) inside the obstruction's keep-out zone were removed.`);
+        }
+      }
+    }
+
+    // Right-click (button 2): Remove panel, or else an obstruction (always available)
     if (event.button === 2) {
       event.preventDefault();
       const rect = renderer.domElement.getBoundingClientRect();
@@ -336,29 +494,17 @@ export function setupPanelPlacement(scene, camera, renderer, roofMeshes, sunVec)
       // Intersect with panel meshes only
       const intersects = raycaster.intersectObjects(panelMeshes);
       if (intersects.length > 0) {
-        const hitPanel = intersects[0].object;
-        // Remove from scene
-        scene.remove(hitPanel);
-        // Dispose of geometry and material
-        hitPanel.geometry.dispose();
-        hitPanel.material.dispose();
-        // Remove from arrays
-        const idx = panelMeshes.indexOf(hitPanel);
-        if (idx !== -1) {
-          panelMeshes.splice(idx, 1);
-          placedPanels.splice(idx, 1);
-          // Clear selection if removed panel was selected
-          if (selectedPanelIndex === idx) {
-            selectedPanelIndex = -1;
-            clearPanelHighlight();
-          } else if (selectedPanelIndex > idx) {
-            selectedPanelIndex--; // Adjust selection index
-          }
-          // Remove from original materials map
-          originalMaterials.delete(hitPanel);
-        }
-        // Update sidebar after removing panel
-        updatePanelInfoSidebar(panelMeshes);
+        removePanel(intersects[0].object);
+        // Panels it was shading get their sun back (also refreshes the sidebar)
+        updatePanelIrradiance(sunVec);
+        return;
+      }
+
+      const obstructions = obstacles.filter(o => o.obstruction);
+      const obstructionHits = raycaster.intersectObjects(obstructions.map(o => o.mesh));
+      if (obstructionHits.length > 0) {
+        removeObstruction(obstructions.find(o => o.mesh === obstructionHits[0].object));
+        updatePanelIrradiance(sunVec);
       }
     }
   });
@@ -366,22 +512,25 @@ export function setupPanelPlacement(scene, camera, renderer, roofMeshes, sunVec)
   // Remove all panels button handler
   const removePanelsBtn = document.getElementById('remove-panels');
   if (removePanelsBtn) {
-    removePanelsBtn.addEventListener('click', () => {
-      // Remove all panel meshes from the scene
-      panelMeshes.forEach(panel => {
-        scene.remove(panel);
-        // Dispose of geometry and material to free memory
-        panel.geometry.dispose();
-        panel.material.dispose();
-      });
-      // Clear the arrays
-      panelMeshes.length = 0;
-      placedPanels.length = 0;
-      selectedPanelIndex = -1;
-      originalMaterials.clear();
-      // Update sidebar
-      updatePanelInfoSidebar(panelMeshes);
+    removePanelsBtn.addEventListener('click', () => removeAllPanels());
+  }
+
+  // Removes every panel (also used when a new set of buildings is loaded)
+  function removeAllPanels() {
+    // Remove all panel meshes from the scene
+    panelMeshes.forEach(panel => {
+      scene.remove(panel);
+      // Dispose of geometry and material to free memory
+      panel.geometry.dispose();
+      panel.material.dispose();
     });
+    // Clear the arrays
+    panelMeshes.length = 0;
+    placedPanels.length = 0;
+    selectedPanelIndex = -1;
+    originalMaterials.clear();
+    // Update sidebar
+    refreshPanelInfo();
   }
 
   // Function to restore previously placed panels
@@ -393,13 +542,14 @@ export function setupPanelPlacement(scene, camera, renderer, roofMeshes, sunVec)
         : null;
       
       // Pass roof mesh so shadow analysis works correctly
-      const panel = addPanelToScene(p.position, p.config, roofMesh);
+      const panel = addPanelToScene(p.position, p.config, roofMesh, p.surfaceNormal);
       // Also store roof reference in userData for shadow analysis
       if (panel && roofMesh) {
         panel.userData.roofMesh = roofMesh;
       }
     });
-    updatePanelInfoSidebar(panelMeshes);
+    // Shading between restored panels is only known once all are back
+    updatePanelIrradiance(sunVec);
   }
 
   // Panel highlighting functions
@@ -457,14 +607,21 @@ export function setupPanelPlacement(scene, camera, renderer, roofMeshes, sunVec)
   });
 
   // Initialize sidebar (show empty state)
-  updatePanelInfoSidebar(panelMeshes);
+  refreshPanelInfo();
 
   return {
     placedPanels,
     panelMeshes,
     restorePanels,
     addPanelToScene,
+    fillRoof,
+    removeRoofPanels,
+    removeAllPanels,
+    remapRoofPanels,
+    removeRoofObstructions,
+    removeAllObstructions,
     updatePanelIrradiance,
+    updatePanelPower: refreshPanelInfo,
     highlightPanel,
     clearPanelHighlight
   };
@@ -0,0 +1,37 @@
+import { calculateSystemPower } from './pvModel';
+import { pvConfig } from './pvConfig';
+
+/**
+ * Module electrical parameters stored on a panel mesh by createPanelMesh
+ * @param {THREE.Mesh} panel - Panel mesh
+ * @returns {{ratedPower: number, efficiency: number, tempCoeff: number, noct: number}}
+ */
+export function getPanelModule(panel) {
+  const { ratedPower, efficiency, tempCoeff, noct } = panel.userData;
+  return { ratedPower, efficiency, tempCoeff, noct };
+}
+
+/**
+ * Recomputes DC and AC power of every panel for the current sky
+ * Uses each panel's last plane-of-array irradiance (userData.irradiance) and that
+ * of its cell strings (userData.stringIrradiance), and stores {cellTemp, dcPower,
+ * acPower} in userData.power.
+ * @param {Array<THREE.Mesh>} panelMeshes - Placed panel meshes
+ * @param {Object} sky - Current sky {tempAir, windSpeed} (null values use defaults)
+ * @returns {Object} System power (see calculateSystemPower)
+ */
+export function updatePanelPower(panelMeshes, sky) {
+  const modules = panelMeshes.map(panel => ({
+    ...getPanelModule(panel),
+    poa: panel.userData.irradiance || 0,
+    stringPoa: panel.userData.stringIrradiance || null,
+    tempAir: sky.tempAir,
+    windSpeed: sky.windSpeed
+  }));
+
+  const system = calculateSystemPower(modules, pvConfig);
+  panelMeshes.forEach((panel, i) => {
+    panel.userData.power = system.modules[i];
+  });
+  return system;
+}
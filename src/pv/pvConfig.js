@@ -0,0 +1,29 @@
+import { CELL_TEMPERATURE_MODELS } from './pvModel';
+
+// PV system configuration - cell temperature model, loss chain and inverter
+export const pvConfig = {
+  cellTemperatureModel: CELL_TEMPERATURE_MODELS.FAIMAN, // 'noct' or 'faiman'
+  faiman: { u0: 25.0, u1: 6.84 },                       // heat loss coefficients (open rack)
+
+  // Loss fractions (0..1); soiling, mismatch and wiring derate DC, availability derates AC
+  losses: {
+    soiling: 0.02,
+    wiring: 0.02,
+    mismatch: 0.02,
+    availability: 0.03
+  },
+
+  inverter: {
+    dcAcRatio: 1.2,           // array rated DC power / inverter rated AC power
+    nominalEfficiency: 0.97,  // used to size the inverter's rated DC input
+    // [load fraction of rated DC input, efficiency] (typical string inverter, CEC-style points)
+    efficiencyCurve: [
+      [0.1, 0.940],
+      [0.2, 0.962],
+      [0.3, 0.968],
+      [0.5, 0.972],
+      [0.75, 0.971],
+      [1.0, 0.968]
+    ]
+  }
+};
@@ -0,0 +1,164 @@
+// PV electrical performance model: cell temperature, module DC power,
+// system losses and inverter efficiency. Power in W, irradiance in W/m², temperatures in °C.
+
+import { STC_IRRADIANCE } from '../solar/irradiance';
+
+export const STC_TEMPERATURE = 25; // °C
+
+// Available cell temperature models
+// NOCT: steady state from the Nominal Operating Cell Temperature (800 W/m², 20 °C, 1 m/s)
+// FAIMAN: Faiman (2008) heat loss coefficients, wind dependent (as in PVsyst / IEC 61853)
+export const CELL_TEMPERATURE_MODELS = {
+	NOCT: 'noct',
+	FAIMAN: 'faiman'
+};
+
+// Ambient conditions assumed when the sky has no weather data (clear-sky model)
+export const DEFAULT_AMBIENT_TEMPERATURE = 25;
+export const DEFAULT_WIND_SPEED = 1;
+
+/**
+ * Cell temperature from the module's NOCT (simple NOCT model)
+ * @param {number} poa - Plane-of-array irradiance
+ * @param {number} tempAir - Ambient temperature
+ * @param {number} noct - Nominal operating cell temperature (typically 42..48 °C)
+ * @param {number} efficiency - Module efficiency at STC (0..1)
+ * @returns {number} Cell temperature
+ */
+export function cellTemperatureNOCT(poa, tempAir, noct, efficiency = 0) {
+	// The (1 - η/τα) term removes the share of absorbed light leaving as electricity (τα ≈ 0.9)
+	return tempAir + (poa / 800) * (noct - 20) * (1 - efficiency / 0.9);
+}
+
+/**
+ * Module temperature with the Faiman model
+ * @param {number} poa - Plane-of-array irradiance
+ * @param {number} tempAir - Ambient temperature
+ * @param {number} windSpeed - Wind speed in m/s
+ * @param {number} u0 - Constant heat loss coefficient in W/(m²·K) (default: 25)
+ * @param {number} u1 - Wind heat loss coefficient in W·s/(m³·K) (default: 6.84)
+ * @returns {number} Module (cell) temperature
+ */
+export function cellTemperatureFaiman(poa, tempAir, windSpeed, u0 = 25, u1 = 6.84) {
+	return tempAir + poa / (u0 + u1 * Math.max(0, windSpeed));
+}
+
+/**
+ * Cell temperature for a module with the configured model
+ * @param {number} poa - Plane-of-array irradiance
+ * @param {number|null} tempAir - Ambient temperature (null uses DEFAULT_AMBIENT_TEMPERATURE)
+ * @param {number|null} windSpeed - Wind speed in m/s (null uses DEFAULT_WIND_SPEED)
+ * @param {Object} module - Module parameters {noct, efficiency}
+ * @param {Object} config - {cellTemperatureModel, faiman: {u0, u1}}
+ * @returns {number} Cell temperature
+ */
+export function getCellTemperature(poa, tempAir, windSpeed, module, config) {
+	const ta = tempAir ?? DEFAULT_AMBIENT_TEMPERATURE;
+	const ws = windSpeed ?? DEFAULT_WIND_SPEED;
+	if (config.cellTemperatureModel === CELL_TEMPERATURE_MODELS.NOCT) {
+		return cellTemperatureNOCT(poa, ta, module.noct, module.efficiency);
+	}
+	return cellTemperatureFaiman(poa, ta, ws, config.faiman.u0, config.faiman.u1);
+}
+
+/**
+ * Module DC power (PVWatts-style linear temperature derate)
+ * @param {number} poa - Plane-of-array irradiance reaching the cells
+ * @param {number} cellTemp - Cell temperature
+ * @param {number} ratedPower - Rated power at STC in Wp
+ * @param {number} tempCoeff - Power temperature coefficient per °C (e.g. -0.0035)
+ * @returns {number} DC power in W
+ */
+export function moduleDcPower(poa, cellTemp, ratedPower, tempCoeff) {
+	const power = ratedPower * (poa / STC_IRRADIANCE) * (1 + tempCoeff * (cellTemp - STC_TEMPERATURE));
+	return Math.max(0, power);
+}
+
+/**
+ * Irradiance that gives an evenly lit module the same DC power as its unevenly lit cell strings
+ * The strings are wired in series, each across a bypass diode: the module current
+ * is that of the weakest string still conducting, and darker strings are bypassed.
+ * The best choice keeps the k brightest strings, for k/n of the voltage at the
+ * k-th brightest string's current (diode voltage drops are neglected).
+ * @param {Array<number>} stringPoa - Plane-of-array irradiance on each cell string, limited by its most shaded cell
+ * @returns {number} Effective irradiance for the whole module
+ */
+export function bypassDiodeIrradiance(stringPoa) {
+	const sorted = [...stringPoa].sort((a, b) => b - a);
+	return sorted.reduce((best, poa, k) => Math.max(best, poa * (k + 1) / sorted.length), 0);
+}
+
+/**
+ * Combined derate of the DC-side losses
+ * @param {Object} losses - Loss fractions {soiling, wiring, mismatch}
+ * @returns {number} Fraction of module DC power reaching the inverter
+ */
+export function dcLossFactor(losses) {
+	return (1 - losses.soiling) * (1 - losses.mismatch) * (1 - losses.wiring);
+}
+
+/**
+ * Inverter efficiency at a load, interpolated from an efficiency curve
+ * @param {number} loadFraction - DC input as a fraction of the inverter's rated DC input
+ * @param {Array<[number, number]>} curve - [loadFraction, efficiency] points sorted by load
+ * @returns {number} Efficiency (0..1); 0 when the inverter has no input
+ */
+export function inverterEfficiency(loadFraction, curve) {
+	if (loadFraction <= 0 || curve.length === 0) return 0;
+	if (loadFraction <= curve[0][0]) {
+		// Below the first point efficiency collapses toward zero (self-consumption)
+		return curve[0][1] * loadFraction / curve[0][0];
+	}
+	for (let i = 1; i < curve.length; i++) {
+		const [x1, y1] = curve[i];
+		if (loadFraction <= x1) {
+			const [x0, y0] = curve[i - 1];
+			return y0 + (y1 - y0) * (loadFraction - x0) / (x1 - x0);
+		}
+	}
+	return curve[curve.length - 1][1];
+}
+
+/**
+ * DC and AC power of a PV array feeding one central inverter
+ * The inverter is sized from the array's rated power and the DC/AC ratio; its
+ * output (after clipping and availability) is shared back to modules in
+ * proportion to their DC power. Modules with per-string irradiance (stringPoa)
+ * produce DC power from bypassDiodeIrradiance; the mean poa still sets their temperature.
+ * @param {Array<Object>} modules - Per-module inputs {poa, stringPoa?, tempAir, windSpeed, ratedPower, tempCoeff, noct, efficiency}
+ * @param {Object} config - PV system configuration (see pvConfig)
+ * @returns {{modules: Array<{cellTemp: number, dcPower: number, acPower: number}>, dcPower: number,
+ *   acPower: number, inverterEfficiency: number, clipped: number}} Power in W
+ */
+export function calculateSystemPower(modules, config) {
+	const dcFactor = dcLossFactor(config.losses);
+	let ratedTotal = 0;
+	let dcTotal = 0;
+
+	const results = modules.map(m => {
+		const cellTemp = getCellTemperature(m.poa, m.tempAir, m.windSpeed, m, config);
+		const poa = m.stringPoa && m.stringPoa.length > 0 ? bypassDiodeIrradiance(m.stringPoa) : m.poa;
+		const dcPower = moduleDcPower(poa, cellTemp, m.ratedPower, m.tempCoeff) * dcFactor;
+		ratedTotal += m.ratedPower;
+		dcTotal += dcPower;
+		return { cellTemp, dcPower, acPower: 0 };
+	});
+
+	const acRated = ratedTotal / config.inverter.dcAcRatio;
+	const dcRated = acRated / config.inverter.nominalEfficiency;
+	const efficiency = dcRated > 0 ? inverterEfficiency(dcTotal / dcRated, config.inverter.efficiencyCurve) : 0;
+	const unclipped = dcTotal * efficiency;
+	const acInverter = Math.min(unclipped, acRated);
+	const acTotal = acInverter * (1 - config.losses.availability);
+
+	const share = dcTotal > 0 ? acTotal / dcTotal : 0;
+	results.forEach(r => { r.acPower = r.dcPower * share; });
+
+	return {
+		modules: results,
+		dcPower: dcTotal,
+		acPower: acTotal,
+		inverterEfficiency: efficiency,
+		clipped: unclipped - acInverter
+	};
+}
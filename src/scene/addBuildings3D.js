@@ -1,59 +1,210 @@
 import * as THREE from 'three';
 import { solarScene } from '../data/solarScene';
-import { latLonToMeters } from '../geo/latLonToMeters';
-import { calcIrradiance } from '../solar/irradiance';
+import { latLonToLocal } from '../geo/localProjection';
+import { calcPlaneOfArrayIrradiance, STC_IRRADIANCE } from '../solar/irradiance';
+import { buildBuildingGeometry } from './roofGeometry';
+import { getBuildingKey } from '../data/heightOverrides';
+import { getGroundHeight } from './terrain';
+
+/**
+ * Maps roof irradiance to a color: blue (low) to red (high)
+ * @param {number} irr - Irradiance in W/m²
+ * @returns {THREE.Color} Roof color
+ */
+function roofColor(irr) {
+  const level = Math.min(1, irr / STC_IRRADIANCE);
+  return new THREE.Color().setHSL(0.67 - 0.67 * level, 1, 0.5); // 0.67=blue, 0=red
+}
+
+/**
+ * Converts a ring of [lon, lat] to scene meters
+ * @param {Array<Array<number>>} ring - Ring of [lon, lat]
+ * @param {{lat: number, lon: number}} origin - Scene origin
+ * @returns {Array<THREE.Vector2>} Ring in scene meters (East, North)
+ */
+function ringToScene(ring, origin) {
+  return ring.map(([lon, lat]) => {
+    const [x, y] = latLonToLocal(lat, lon, 0, origin);
+    return new THREE.Vector2(x, y);
+  });
+}
+
+/**
+ * Builds the mesh for one building
+ * @param {Object} b - Parsed building
+ * @param {number} idx - Index in solarScene.buildings
+ * @param {{lat: number, lon: number}} origin - Scene origin (see localProjection)
+ * @param {THREE.Vector3} sunVec - Normalized sun direction vector
+ * @param {Object} sky - Current sky irradiance {ghi, dni, dhi, ...} in W/m²
+ * @returns {Object} Roof mesh object {mesh, building, shape, idx, faces, roofShape, wallHeight, roofHeight, baseHeight, groundHeight}
+ */
+function createBuildingMesh(b, idx, origin, sunVec, sky) {
+  // Create shape from building footprint, with courtyards as holes
+  const shape = new THREE.Shape(ringToScene(b.footprint, origin));
+  (b.holes || []).forEach(hole => shape.holes.push(new THREE.Path(ringToScene(hole, origin))));
+  
+  // Walls plus one planar piece per roof face
+  const { geometry, faces, shape: roofShape, wallHeight, roofHeight, baseHeight } = buildBuildingGeometry(
+    shape.getPoints(),
+    b,
+    shape.holes.map(hole => hole.getPoints())
+  );
+
+  // On terrain the building stands on the lowest ground under its outline
+  const groundHeight = Math.min(...b.footprint.map(([lon, lat]) => getGroundHeight(lat, lon, origin)));
+  if (groundHeight !== 0) {
+    geometry.translate(0, 0, groundHeight);
+    faces.forEach(face => [face.polygon, ...face.holes].forEach(ring => ring.forEach(p => { p.z += groundHeight; })));
+  }
+
+  // Multi-material: walls white, each roof face colored by its own irradiance
+  const materials = [
+    new THREE.MeshLambertMaterial({ color: 0xffffff }), // walls
+    ...faces.map(face => new THREE.MeshLambertMaterial({
+      color: roofColor(calcPlaneOfArrayIrradiance(sunVec, face.normal, sky).global)
+    }))
+  ];
+  
+  const mesh = new THREE.Mesh(geometry, materials);
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+
+  return { mesh, building: b, shape, idx, faces, roofShape, wallHeight, roofHeight, baseHeight, groundHeight };
+}
 
 /**
  * Adds buildings to the 3D scene with shadow casting and irradiance-colored roofs
+ * Roofs follow the OSM roof tags (flat, gabled, hipped, pyramidal, skillion);
+ * each roof face is colored by the irradiance on its own plane. Courtyards are
+ * cut out as shape holes and building parts start at their own base height.
  * @param {THREE.Scene} scene - Three.js scene to add buildings to
- * @param {Array<number>} center - Center point [x, y] in meters
+ * @param {{lat: number, lon: number}} origin - Scene origin (see localProjection)
  * @param {THREE.Vector3} sunVec - Normalized sun direction vector
- * @returns {Array} Array of roof mesh objects for picking
+ * @param {Object} sky - Current sky irradiance {ghi, dni, dhi, ...} in W/m²
+ * @returns {Array} Roof mesh objects for picking {mesh, building, shape, idx, faces, roofShape, wallHeight, roofHeight, baseHeight, groundHeight}
  */
-export function addBuildings3D(scene, center, sunVec) {
+export function addBuildings3D(scene, origin, sunVec, sky) {
   const roofMeshes = [];
   
   solarScene.buildings.forEach((b, idx) => {
-    // Create shape from building footprint
-    const shape = new THREE.Shape();
-    b.footprint.forEach(([lon, lat], i) => {
-      const [x, y] = latLonToMeters(lat, lon);
-      const px = x - center[0];
-      const py = y - center[1];
-      if (i === 0) shape.moveTo(px, py);
-      else shape.lineTo(px, py);
-    });
-    
-    // Extrude along Z (height)
-    const geometry = new THREE.ExtrudeGeometry(shape, {
-      depth: b.height,
-      bevelEnabled: false
-    });
-    geometry.translate(0, 0, 0);
-
-    // Calculate irradiance for a flat roof (normal = +Z)
-    const roofNormal = new THREE.Vector3(0, 0, 1);
-    const irr = calcIrradiance(sunVec, roofNormal); // 0..1
-
-    // Color: blue (low) to red (high)
-    const color = new THREE.Color().setHSL(0.67 - 0.67 * irr, 1, 0.5); // 0.67=blue, 0=red
-
-    // Multi-material: roof colored by irradiance, walls white
-    const materials = [
-      new THREE.MeshLambertMaterial({ color: 0xffffff }), // walls
-      new THREE.MeshLambertMaterial({ color }) // roof
-    ];
-    
-    // Use groups created by ExtrudeGeometry: group 0 = walls, group 1 = roof
-    const mesh = new THREE.Mesh(geometry, materials);
-    mesh.castShadow = true;
-    mesh.receiveShadow = true;
-    scene.add(mesh);
+    const roof = createBuildingMesh(b, idx, origin, sunVec, sky);
+    scene.add(roof.mesh);
 
     // Store for picking
-    roofMeshes.push({ mesh, building: b, shape, idx });
+    roofMeshes.push(roof);
   });
   
   return roofMeshes;
 }
 
+/**
+ * Rebuilds one building after its height or tags changed
+ * The roof mesh object is updated in place so indices and references stay valid.
+ * @param {THREE.Scene} scene - Three.js scene holding the building
+ * @param {Object} roof - Roof mesh object from addBuildings3D
+ * @param {{lat: number, lon: number}} origin - Scene origin (see localProjection)
+ * @param {THREE.Vector3} sunVec - Normalized sun direction vector
+ * @param {Object} sky - Current sky irradiance {ghi, dni, dhi, ...} in W/m²
+ */
+export function rebuildBuilding3D(scene, roof, origin, sunVec, sky) {
+  disposeBuilding3D(scene, roof);
+
+  Object.assign(roof, createBuildingMesh(roof.building, roof.idx, origin, sunVec, sky));
+  scene.add(roof.mesh);
+}
+
+/**
+ * Removes a building mesh from the scene and frees it
+ * @param {THREE.Scene} scene - Three.js scene holding the building
+ * @param {Object} roof - Roof mesh object from addBuildings3D
+ */
+function disposeBuilding3D(scene, roof) {
+  scene.remove(roof.mesh);
+  roof.mesh.geometry.dispose();
+  roof.mesh.material.forEach(m => m.dispose());
+}
+
+/**
+ * Identity of a building across re-parses: OSM element plus multipolygon ring
+ * @param {Object} b - Parsed building
+ * @returns {string} Key
+ */
+function buildingIdentity(b) {
+  return `${getBuildingKey(b)}#${b.ring || 0}`;
+}
+
+/**
+ * Everything the geometry is built from, to detect buildings that changed
+ * @param {Object} b - Parsed building
+ * @returns {string} Signature
+ */
+function buildingSignature(b) {
+  return JSON.stringify([b.footprint, b.holes, b.height, b.minHeight, b.roof]);
+}
+
+/**
+ * Brings the 3D buildings in line with solarScene.buildings after a re-parse
+ * Unchanged buildings keep their meshes, new or changed ones are built, and
+ * buildings that disappeared are removed. roofMeshes is reordered in place to
+ * match solarScene.buildings.
+ * @param {THREE.Scene} scene - Three.js scene
+ * @param {Array} roofMeshes - Roof mesh objects from addBuildings3D (updated in place)
+ * @param {{lat: number, lon: number}} origin - Scene origin (see localProjection)
+ * @param {THREE.Vector3} sunVec - Normalized sun direction vector
+ * @param {Object} sky - Current sky irradiance {ghi, dni, dhi, ...} in W/m²
+ * @returns {{indexMap: Map<number, number>, removed: Array<number>}} New index of each kept
+ *   building by old index, and old indices of buildings that were removed or rebuilt
+ */
+export function syncBuildings3D(scene, roofMeshes, origin, sunVec, sky) {
+  const oldByKey = new Map(roofMeshes.map((roof, i) => [buildingIdentity(roof.building), { roof, index: i }]));
+  const indexMap = new Map();
+
+  const next = solarScene.buildings.map((b, idx) => {
+    const old = oldByKey.get(buildingIdentity(b));
+    if (old && buildingSignature(old.roof.building) === buildingSignature(b)) {
+      oldByKey.delete(buildingIdentity(b));
+      indexMap.set(old.index, idx);
+      old.roof.building = b;
+      old.roof.idx = idx;
+      return old.roof;
+    }
+    const roof = createBuildingMesh(b, idx, origin, sunVec, sky);
+    scene.add(roof.mesh);
+    return roof;
+  });
+
+  // Whatever was not reused is gone or replaced
+  const removed = [...oldByKey.values()].map(({ roof, index }) => {
+    disposeBuilding3D(scene, roof);
+    return index;
+  });
+
+  roofMeshes.splice(0, roofMeshes.length, ...next);
+  return { indexMap, removed };
+}
+
+/**
+ * Recolors roofs for a new sun position
+ * @param {Array} roofMeshes - Roof mesh objects returned by addBuildings3D
+ * @param {THREE.Vector3} sunVec - Normalized sun direction vector
+ * @param {Object} sky - Current sky irradiance {ghi, dni, dhi, ...} in W/m²
+ */
+export function updateRoofIrradiance(roofMeshes, sunVec, sky) {
+  roofMeshes.forEach(({ mesh, faces }) => {
+    faces.forEach(face => {
+      const irr = calcPlaneOfArrayIrradiance(sunVec, face.normal, sky).global;
+      mesh.material[face.materialIndex].color.copy(roofColor(irr));
+    });
+  });
+}
+
+/**
+ * Finds the roof face a raycast hit landed on
+ * @param {Object} roof - Roof mesh object from addBuildings3D
+ * @param {Object} hit - THREE.Raycaster intersection with roof.mesh
+ * @returns {Object|null} Roof face {normal, polygon, materialIndex}, or null for a wall
+ */
+export function getHitRoofFace(roof, hit) {
+  if (!hit.face) return null;
+  return roof.faces.find(face => face.materialIndex === hit.face.materialIndex) || null;
+}
@@ -0,0 +1,109 @@
+import * as THREE from 'three';
+import { solarScene } from '../data/solarScene';
+import { latLonToLocal } from '../geo/localProjection';
+import { getGroundHeight } from './terrain';
+
+const TRUNK_COLOR = 0x7a5230;
+const CROWN_COLOR = 0x3f8f3a;
+const FOREST_CANOPY_BASE = 0.3; // woods are drawn as a canopy layer from 30% of their height
+
+/**
+ * Builds the meshes of a single tree: an ellipsoid crown and a trunk
+ * They are separate meshes because only the crown lets light through.
+ * @param {Object} tree - Tree (kind "tree") from solarScene.trees
+ * @param {{lat: number, lon: number}} origin - Scene origin
+ * @returns {{mesh: THREE.Mesh, trunk: THREE.Mesh}} Crown and trunk meshes
+ */
+function createTreeMeshes(tree, origin) {
+  const [lon, lat] = tree.position;
+  const [x, y] = latLonToLocal(lat, lon, 0, origin);
+  const radius = tree.crownDiameter / 2;
+  const crownHalfHeight = Math.min(radius, tree.height * 0.4);
+  const trunkHeight = tree.height - crownHalfHeight;
+  const trunkRadius = Math.max(0.15, radius * 0.08);
+
+  const trunk = new THREE.CylinderGeometry(trunkRadius, trunkRadius, trunkHeight, 8);
+  trunk.rotateX(Math.PI / 2); // cylinder axis along +Z
+  trunk.translate(0, 0, trunkHeight / 2);
+  const crown = new THREE.SphereGeometry(1, 14, 10);
+  crown.scale(radius, radius, crownHalfHeight);
+  crown.translate(0, 0, trunkHeight);
+
+  const mesh = new THREE.Mesh(crown, new THREE.MeshLambertMaterial({ color: CROWN_COLOR, transparent: true }));
+  const trunkMesh = new THREE.Mesh(trunk, new THREE.MeshLambertMaterial({ color: TRUNK_COLOR }));
+  const ground = getGroundHeight(lat, lon, origin);
+  mesh.position.set(x, y, ground);
+  trunkMesh.position.set(x, y, ground);
+  return { mesh, trunk: trunkMesh };
+}
+
+/**
+ * Builds the canopy mesh of a wood or forest polygon
+ * @param {Object} forest - Wood (kind "forest") from solarScene.trees
+ * @param {{lat: number, lon: number}} origin - Scene origin
+ * @returns {THREE.Mesh} Canopy mesh
+ */
+function createForestMesh(forest, origin) {
+  const toScene = ring => ring.map(([lon, lat]) => {
+    const [x, y] = latLonToLocal(lat, lon, 0, origin);
+    return new THREE.Vector2(x, y);
+  });
+  const shape = new THREE.Shape(toScene(forest.footprint));
+  (forest.holes || []).forEach(hole => shape.holes.push(new THREE.Path(toScene(hole))));
+
+  const base = forest.height * FOREST_CANOPY_BASE;
+  const geometry = new THREE.ExtrudeGeometry(shape, { depth: forest.height - base, bevelEnabled: false });
+  const ground = Math.min(...forest.footprint.map(([lon, lat]) => getGroundHeight(lat, lon, origin)));
+  geometry.translate(0, 0, ground + base);
+
+  return new THREE.Mesh(geometry, [
+    new THREE.MeshLambertMaterial({ color: CROWN_COLOR, transparent: true }),
+    new THREE.MeshLambertMaterial({ color: CROWN_COLOR, transparent: true })
+  ]);
+}
+
+/**
+ * Adds trees and woods to the 3D scene
+ * @param {THREE.Scene} scene - Three.js scene to add trees to
+ * @param {{lat: number, lon: number}} origin - Scene origin (see localProjection)
+ * @returns {Array} Shadow casters {mesh, trunk?, tree, idx, transmittance}; set the crown transmittance with
+ *   setObstacleSeason. Single trees carry their opaque trunk mesh (see getShadowCasters)
+ */
+export function addTrees3D(scene, origin) {
+  return solarScene.trees.map((tree, idx) => {
+    const meshes = tree.kind === 'forest' ? { mesh: createForestMesh(tree, origin) } : createTreeMeshes(tree, origin);
+    [meshes.mesh, meshes.trunk].filter(Boolean).forEach(mesh => {
+      mesh.castShadow = true;
+      mesh.receiveShadow = true;
+      scene.add(mesh);
+    });
+    return { ...meshes, tree, idx, transmittance: 0 };
+  });
+}
+
+/**
+ * Removes tree meshes from the scene and frees them
+ * @param {THREE.Scene} scene - Three.js scene holding the trees
+ * @param {Array} trees - Shadow casters from addTrees3D
+ */
+export function disposeTrees3D(scene, trees) {
+  trees.forEach(({ mesh, trunk }) => {
+    [mesh, trunk].filter(Boolean).forEach(m => {
+      scene.remove(m);
+      m.geometry.dispose();
+      [].concat(m.material).forEach(material => material.dispose());
+    });
+  });
+}
+
+/**
+ * Shows each crown's current transmittance as its opacity (bare crowns look thinner)
+ * @param {Array} trees - Shadow casters from addTrees3D
+ */
+export function updateTreeOpacity(trees) {
+  trees.forEach(({ mesh, transmittance }) => {
+    [].concat(mesh.material).forEach(m => {
+      if (m.transparent) m.opacity = 1 - transmittance * 0.8;
+    });
+  });
+}
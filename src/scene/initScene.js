@@ -1,12 +1,29 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
 import { solarScene } from '../data/solarScene';
-import { latLonToMeters } from '../geo/latLonToMeters';
-import { getSunPosition } from '../solar/sunPosition';
+import { getSunPosition, SUN_ALGORITHMS } from '../solar/sunPosition';
+import { getSunVector } from '../solar/sunVector';
+import { siteTimeToUTC, getSiteTimeParts, getStandardTimeOffset } from '../solar/siteTime';
+import { skyConfig } from '../solar/skyConfig';
+import { shadingConfig } from '../solar/shadingConfig';
 import { createGround } from './ground';
-import { addBuildings3D } from './addBuildings3D';
+import { createTerrain, disposeTerrain } from './terrain';
+import { addTrees3D, disposeTrees3D, updateTreeOpacity } from './addTrees3D';
+import { addBuildings3D, updateRoofIrradiance, rebuildBuilding3D, syncBuildings3D } from './addBuildings3D';
+import { setupTimeControls } from './timeControls';
 import { setupPanelPlacement } from '../panels/placement';
 import { panelConfig } from '../panels/panelConfig';
+import { obstructionConfig, OBSTRUCTION_TYPES } from '../panels/obstructions';
+import { MOUNT_MODES } from '../panels/panelModel';
+import { getModuleCatalog, getModule, getModuleLabel, importModuleFile } from '../panels/moduleCatalog';
+import { updateSkySummary, updatePanelInfoSidebar, updateYieldSummary } from '../panels/panelInfo';
+import { simulateAnnualYield } from '../simulation/yieldSimulation';
+import { getSiteSky } from '../weather/weatherSky';
+import { pvConfig } from '../pv/pvConfig';
+import { calculateMinimumRowPitch } from '../solar/rowSpacing';
+import { parseWeatherFile, checkWeatherLocation } from '../weather/weatherFile';
+import { parseDEMFile, demCovers, sampleDEM } from '../terrain/demFile';
+import { setObstacleSeason } from '../vegetation/leafSeason';
 
 export function initScene() {
   // Create renderer
@@ -46,6 +63,8 @@ export function initScene() {
   const panSpeed = 50; // Pan distance per key press
   const keys = {};
   window.addEventListener('keydown', (event) => {
+    // Typing coordinates or values must not move the camera
+    if (event.target.matches && event.target.matches('input, select, textarea')) return;
     keys[event.code] = true;
   });
   window.addEventListener('keyup', (event) => {
@@ -73,57 +92,15 @@ export function initScene() {
   scene.add(ambient);
 
   // --- Sun position for shadow casting ---
-  // Note: getSunPosition uses UTC time internally, but we pass local time
-  // For Bangladesh (UTC+6), we need to convert local time to UTC
-  // const now = new Date();
-
-  //fixed date and time to view constant sunlight
-  const now = new Date('2025-12-22T14:00:00');
-
-  // Convert local time to UTC (Bangladesh is UTC+6)
-  // If it's 3:09 PM local, that's 9:09 AM UTC
-  const utcTime = new Date(now.getTime() - (now.getTimezoneOffset() * 60000));
-  // But getSunPosition already uses getUTCHours(), so we can just pass the Date object
-  // Actually, let's use the current local time and let getSunPosition handle it
-  // The function uses UTC internally, so we need to adjust
-  const { azimuth, elevation } = getSunPosition(now, solarScene.location.lat, solarScene.location.lon);
-  
-  // Debug: log sun position and time
-  const localHours = now.getHours();
-  const localMinutes = now.getMinutes();
-  console.log(`Local time: ${localHours}:${localMinutes.toString().padStart(2, '0')} (BDT, UTC+6)`);
-  console.log('Sun position - Azimuth:', azimuth.toFixed(1), '° Elevation:', elevation.toFixed(1), '°');
-  // --- Fix: Make sun position and shadows realistic ---
-  const sunDist = 2000; // farther for more parallel shadows
+  // Start at a fixed site-local date and time; the time controls move the sun from here
+  // siteTimeToUTC turns the site's wall-clock time into the instant getSunPosition needs
+  const startDate = siteTimeToUTC({ year: 2025, month: 12, day: 22, hour: 14, minute: 0 });
+
   // In OSM/Three.js, Y is north, X is east, Z is up
-  // Solar azimuth: 0=north, 90=east, 180=south, 270=west
-  // Three.js: +Y=north, +X=east, -Y=south, -X=west
-  // Convert solar azimuth to Three.js coordinates
-  // Solar 180° (South) should be Three.js -Y direction
-  const azRad = (azimuth * Math.PI) / 180; // Convert to radians (0-360°)
-  const elRad = elevation * Math.PI / 180;
-  
-  // Convert from solar azimuth to Three.js coordinates
-  // Solar azimuth: 0°=North, 90°=East, 180°=South, 270°=West (clockwise from North)
-  // Three.js: +Y=North, +X=East, -Y=South, -X=West
-  // Standard conversion: Three.js angle = 90° - solar azimuth (in degrees)
-  // But we need to be careful: solar uses clockwise, Three.js uses counter-clockwise
-  // For solar azimuth 180° (South), we want -Y direction
-  // For solar azimuth 0° (North), we want +Y direction
-  // For solar azimuth 90° (East), we want +X direction
-  // For solar azimuth 270° (West), we want -X direction
-  const threeJsAzRad = ((90 - azimuth) * Math.PI) / 180;
-  
-  const sunX = sunDist * Math.cos(elRad) * Math.sin(threeJsAzRad);
-  const sunY = sunDist * Math.cos(elRad) * Math.cos(threeJsAzRad);
-  const sunZ = sunDist * Math.sin(elRad);
-  
-  // Debug: verify sun position
-  console.log('Sun 3D position:', sunX.toFixed(1), sunY.toFixed(1), sunZ.toFixed(1));
+  const sunDist = 2000; // farther for more parallel shadows
 
   // Directional light for sun
   const sunLight = new THREE.DirectionalLight(0xffffff, 0.8);
-  sunLight.position.set(sunX, sunY, sunZ);
   sunLight.target.position.set(0, 0, 0);
   sunLight.castShadow = true;
   sunLight.shadow.mapSize.width = 2048;
@@ -137,57 +114,132 @@ export function initScene() {
   scene.add(sunLight);
   scene.add(sunLight.target);
 
+  // --- Sun visualization ---
+  // Sun sphere with emissive material for glow effect
+  const sunGeom = new THREE.SphereGeometry(40, 32, 32);
+  const sunMat = new THREE.MeshPhongMaterial({ color: 0xFFD700, emissive: 0xFFD700, emissiveIntensity: 1 });
+  const sunMesh = new THREE.Mesh(sunGeom, sunMat);
+  sunMesh.castShadow = false;
+  sunMesh.receiveShadow = false;
+  scene.add(sunMesh);
 
-  // Convert OSM footprints to meters, center at (0,0)
-  const center = latLonToMeters(solarScene.location.lat, solarScene.location.lon);
-
-  // Add ground plane
-  createGround(scene);
-
-  // Calculate normalized sun direction vector (FROM surface TO sun)
-  // For Lambert's cosine law, we need the direction FROM surface TO sun
-  // This is the opposite of the direction FROM sun TO surface
-  // Sun is at elevation 23.1° above horizon, so direction should point upward (positive Z)
-  // The sun position is (sunX, sunY, sunZ), so direction FROM surface TO sun is: (sunX, sunY, sunZ) normalized
-  // But we need to recalculate from azimuth/elevation to ensure correct direction
-  // For Three.js: +Y=North, +X=East, +Z=Up
-  // Solar azimuth: 0°=North, 90°=East, 180°=South, 270°=West
-  // Direction FROM surface TO sun (pointing toward sun):
-  const sunVec = new THREE.Vector3(
-    Math.cos(elRad) * Math.sin(threeJsAzRad),
-    Math.cos(elRad) * Math.cos(threeJsAzRad),
-    Math.sin(elRad)  // Positive Z because sun is above horizon
-  ).normalize();
-  
-  // Debug: log sun position and vector for troubleshooting
+  // Add a subtle sunbeam (directional helper)
+  const sunRayGeom = new THREE.CylinderGeometry(2, 2, sunDist * 0.8, 8, 1, true);
+  const sunRayMat = new THREE.MeshBasicMaterial({ color: 0xFFFACD, transparent: true, opacity: 0.25 });
+  const sunRay = new THREE.Mesh(sunRayGeom, sunRayMat);
+  scene.add(sunRay);
+
+  // Normalized sun direction vector (FROM surface TO sun), updated in place
+  // so every module holding a reference sees the current sun
+  const sunVec = new THREE.Vector3();
+
+  // Sky irradiance {ghi, dni, dhi} in W/m² for the current sun (weather file or clear sky),
+  // updated in place too
+  const sky = { ghi: 0, dni: 0, dhi: 0 };
+
+  // Shadow casters besides roofs and panels: terrain {mesh, terrain: true},
+  // trees {mesh, trunk, tree, transmittance} and rooftop obstructions {mesh, obstruction}
+  // (refilled in place when they are rebuilt)
+  const obstacles = [];
+
+  /**
+   * Moves the sun light, sun sphere and sunbeam to the sun position for a date
+   * and updates sunVec, sky and the leaf season of the trees to match
+   * @param {Date} date - Absolute instant to show
+   * @returns {{azimuth: number, elevation: number}} Sun position in degrees
+   */
+  function applySunPosition(date) {
+    // Precise algorithm with refraction: this is where the sun appears in the sky
+    const { azimuth, elevation } = getSunPosition(date, solarScene.location.lat, solarScene.location.lon, {
+      algorithm: SUN_ALGORITHMS.PRECISE,
+      refraction: true,
+      altitude: solarScene.location.altitude
+    });
+
+    // Direction FROM surface TO sun (positive Z while the sun is above the horizon)
+    getSunVector(azimuth, elevation, sunVec);
+
+    const sunPos = sunVec.clone().multiplyScalar(sunDist);
+    sunLight.position.copy(sunPos);
+    sunMesh.position.copy(sunPos);
+    sunRay.position.copy(sunPos).multiplyScalar(0.5);
+    sunRay.lookAt(0, 0, 0);
+
+    // Below the horizon there is no direct light to cast shadows
+    const isDay = elevation > 0;
+    sunLight.visible = isDay;
+    sunMesh.visible = isDay;
+    sunRay.visible = isDay;
+
+    // Sky irradiance uses the apparent (refracted) zenith
+    Object.assign(sky, getSiteSky(date, 90 - elevation));
+    updateSkySummary(sky, solarScene.weather);
+
+    setObstacleSeason(obstacles, getSiteTimeParts(date).month, solarScene.location.lat);
+    updateTreeOpacity(obstacles.filter(o => o.tree));
+
+    return { azimuth, elevation };
+  }
+
+  const { azimuth, elevation } = applySunPosition(startDate);
   console.log('Sun position - Azimuth:', azimuth.toFixed(1), '° Elevation:', elevation.toFixed(1), '°');
-  console.log('Sun vector (FROM sun TO surface):', sunVec.x.toFixed(3), sunVec.y.toFixed(3), sunVec.z.toFixed(3));
-  
-  // Test: Calculate irradiance for a flat panel (should be cos(elevation))
-  const flatNormal = new THREE.Vector3(0, 0, 1);
-  const flatIrradiance = Math.max(0, sunVec.dot(flatNormal));
-  console.log('Flat panel irradiance:', flatIrradiance.toFixed(3), 'Expected cos(elevation):', Math.cos(elRad).toFixed(3), 'Actual sin(elevation):', Math.sin(elRad).toFixed(3));
-  console.log('Sun vector Z component:', sunVec.z.toFixed(3), 'Should equal sin(elevation) for correct direction');
+
+  // Scene origin: footprints are projected to local East-North-Up meters around the site
+  // (updated in place when a new area is loaded)
+  const origin = { lat: solarScene.location.lat, lon: solarScene.location.lon };
+
+  // Add ground plane, replaced by the terrain while a DEM is loaded
+  const ground = createGround(scene);
+
+  /**
+   * Rebuilds the terrain for solarScene.terrain around the current origin
+   * The site altitude (sun position and clear-sky model) follows the DEM when it covers the site.
+   */
+  function updateTerrain() {
+    obstacles.filter(o => o.terrain).forEach(({ mesh }) => disposeTerrain(scene, mesh));
+    obstacles.splice(0, obstacles.length, ...obstacles.filter(o => !o.terrain));
+
+    const dem = solarScene.terrain;
+    if (dem && demCovers(dem, origin.lat, origin.lon)) {
+      const elevation = sampleDEM(dem, origin.lat, origin.lon);
+      if (elevation !== null) solarScene.location.altitude = Math.round(elevation);
+    }
+    const terrain = createTerrain(scene, origin);
+    if (terrain) obstacles.push({ mesh: terrain, terrain: true });
+    ground.visible = !terrain;
+  }
+  updateTerrain();
+
+  /**
+   * Rebuilds the trees for solarScene.trees around the current origin
+   * (call after the terrain, which they stand on)
+   * @param {Date} date - Shown instant, for the leaf season
+   */
+  function updateTrees(date) {
+    disposeTrees3D(scene, obstacles.filter(o => o.tree));
+    obstacles.splice(0, obstacles.length, ...obstacles.filter(o => !o.tree), ...addTrees3D(scene, origin));
+    setObstacleSeason(obstacles, getSiteTimeParts(date).month, solarScene.location.lat);
+    updateTreeOpacity(obstacles.filter(o => o.tree));
+  }
+  updateTrees(startDate);
 
   // Add buildings with shadow casting and irradiance-colored roofs
-  const roofMeshes = addBuildings3D(scene, center, sunVec);
+  const roofMeshes = addBuildings3D(scene, origin, sunVec, sky);
 
-  // Setup panel placement system (pass sunVec for irradiance calculations)
-  const panelSystem = setupPanelPlacement(scene, camera, renderer, roofMeshes, sunVec);
+  // Setup panel placement system (pass sunVec, sky and obstacles for irradiance calculations)
+  const panelSystem = setupPanelPlacement(scene, camera, renderer, roofMeshes, sunVec, sky, obstacles);
 
   // Panel customization modal controls
   const panelModal = document.getElementById('panel-customization-modal');
   const panelSettingsBtn = document.getElementById('panel-settings');
   const closeModalBtn = document.getElementById('close-modal');
-  const widthSlider = document.getElementById('panel-width');
-  const heightSlider = document.getElementById('panel-height');
-  const thicknessSlider = document.getElementById('panel-thickness');
+  const moduleSelect = document.getElementById('module-select');
+  const moduleImportBtn = document.getElementById('module-import');
+  const moduleFileInput = document.getElementById('module-file');
+  const moduleSpecs = document.getElementById('module-specs');
+  const layoutSelect = document.getElementById('module-layout');
   const tiltSlider = document.getElementById('panel-tilt');
   const azimuthSlider = document.getElementById('panel-azimuth');
-  const shapeSelect = document.getElementById('panel-shape');
-  const widthValue = document.getElementById('width-value');
-  const heightValue = document.getElementById('height-value');
-  const thicknessValue = document.getElementById('thickness-value');
   const tiltValue = document.getElementById('tilt-value');
   const azimuthValue = document.getElementById('azimuth-value');
 
@@ -221,38 +273,155 @@ export function initScene() {
     });
   }
 
-  if (widthSlider && heightSlider && thicknessSlider && tiltSlider && azimuthSlider && shapeSelect) {
-    // Update panel configuration when sliders change
-    widthSlider.addEventListener('input', (e) => {
-      const value = parseInt(e.target.value);
-      panelConfig.width = value;
-      widthValue.textContent = value;
-      // For square shape, update height too
-      if (panelConfig.shape === 'square') {
-        panelConfig.height = value;
-        heightSlider.value = value;
-        heightValue.textContent = value;
-      }
+  // Module catalog: picking a module sets panel dimensions and electrical parameters
+  function renderModuleOptions() {
+    // Imported names are plain text, never markup
+    moduleSelect.replaceChildren(...getModuleCatalog().map(m => {
+      const option = document.createElement('option');
+      option.value = m.id;
+      option.textContent = getModuleLabel(m);
+      return option;
+    }));
+    moduleSelect.value = panelConfig.moduleId;
+  }
+
+  function renderModuleSpecs() {
+    const module = getModule(panelConfig.moduleId);
+    if (!module || !moduleSpecs) return;
+    moduleSpecs.innerHTML = `
+      <span>${module.ratedPower.toFixed(0)} Wp</span>
+      <span>${(module.efficiency * 100).toFixed(1)}%</span>
+      <span>${module.length} × ${module.width} × ${module.thickness} mm</span>
+      <span>γ ${(module.tempCoeff * 100).toFixed(2)} %/°C</span>
+      <span>NOCT ${module.noct} °C</span>
+    `;
+  }
+
+  if (moduleSelect && layoutSelect) {
+    renderModuleOptions();
+    renderModuleSpecs();
+    layoutSelect.value = panelConfig.layout;
+
+    moduleSelect.addEventListener('change', (e) => {
+      panelConfig.setModule(e.target.value);
+      renderModuleSpecs();
     });
 
-    heightSlider.addEventListener('input', (e) => {
-      const value = parseInt(e.target.value);
-      panelConfig.height = value;
-      heightValue.textContent = value;
-      // For square shape, update width too
-      if (panelConfig.shape === 'square') {
-        panelConfig.width = value;
-        widthSlider.value = value;
-        widthValue.textContent = value;
+    layoutSelect.addEventListener('change', (e) => {
+      panelConfig.setLayout(e.target.value);
+    });
+  }
+
+  if (moduleImportBtn && moduleFileInput) {
+    moduleImportBtn.addEventListener('click', () => moduleFileInput.click());
+
+    moduleFileInput.addEventListener('change', async () => {
+      const file = moduleFileInput.files[0];
+      moduleFileInput.value = '';
+      if (!file) return;
+
+      try {
+        const imported = importModuleFile(await file.text(), file.name);
+        panelConfig.setModule(imported[0].id);
+        renderModuleOptions();
+        renderModuleSpecs();
+      } catch (err) {
+        alert(`Failed to import module file.\n\n${err.message}`);
       }
     });
+  }
 
-    thicknessSlider.addEventListener('input', (e) => {
-      const value = parseInt(e.target.value);
-      panelConfig.thickness = value;
-      thicknessValue.textContent = value;
+  // Auto-fill layout spacing
+  const setbackSlider = document.getElementById('layout-setback');
+  const setbackValue = document.getElementById('setback-value');
+  const rowSpacingSlider = document.getElementById('layout-row-spacing');
+  const rowSpacingValue = document.getElementById('row-spacing-value');
+
+  if (setbackSlider && rowSpacingSlider) {
+    setbackSlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      panelConfig.setback = value;
+      setbackValue.textContent = value.toFixed(1);
     });
 
+    rowSpacingSlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      panelConfig.rowSpacing = value;
+      rowSpacingValue.textContent = value.toFixed(1);
+    });
+  }
+
+  // Rooftop obstructions: shape and size of the next one placed, and the panel keep-out buffer
+  const obstructionTypeSelect = document.getElementById('obstruction-type');
+  const obstructionInputs = {
+    width: document.getElementById('obstruction-width'),
+    depth: document.getElementById('obstruction-depth'),
+    height: document.getElementById('obstruction-height'),
+    rotation: document.getElementById('obstruction-rotation'),
+    thickness: document.getElementById('obstruction-thickness')
+  };
+  const keepOutSlider = document.getElementById('obstruction-keep-out');
+  const keepOutValue = document.getElementById('keep-out-value');
+
+  if (obstructionTypeSelect) {
+    // Only the sizes that apply to the selected shape are shown
+    const showObstructionInputs = () => {
+      const type = obstructionConfig.type;
+      obstructionInputs.width.parentElement.hidden = type === OBSTRUCTION_TYPES.PARAPET;
+      obstructionInputs.depth.parentElement.hidden = type !== OBSTRUCTION_TYPES.BOX;
+      obstructionInputs.rotation.parentElement.hidden = type !== OBSTRUCTION_TYPES.BOX;
+      obstructionInputs.thickness.parentElement.hidden = type !== OBSTRUCTION_TYPES.PARAPET;
+    };
+
+    obstructionTypeSelect.value = obstructionConfig.type;
+    obstructionTypeSelect.addEventListener('change', (e) => {
+      obstructionConfig.type = e.target.value;
+      showObstructionInputs();
+    });
+    Object.entries(obstructionInputs).forEach(([key, input]) => {
+      input.value = obstructionConfig[key];
+      input.addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        if (isFinite(value) && (value > 0 || key === 'rotation')) obstructionConfig[key] = value;
+        else e.target.value = obstructionConfig[key];
+      });
+    });
+    showObstructionInputs();
+  }
+
+  if (keepOutSlider) {
+    keepOutSlider.value = obstructionConfig.keepOut;
+    keepOutSlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      obstructionConfig.keepOut = value;
+      keepOutValue.textContent = value.toFixed(1);
+    });
+  }
+
+  // Row spacing helper: smallest gap with no row-to-row shading on the winter solstice, 9:00–15:00 solar time
+  const rowSpacingAutoBtn = document.getElementById('row-spacing-auto');
+  const rowPitchInfo = document.getElementById('row-pitch-info');
+  if (rowSpacingAutoBtn && rowSpacingSlider) {
+    rowSpacingAutoBtn.addEventListener('click', () => {
+      const result = calculateMinimumRowPitch(panelConfig.tilt, panelConfig.height / 100, solarScene.location.lat, {
+        panelAzimuth: panelConfig.azimuth
+      });
+      if (!isFinite(result.pitch)) {
+        rowPitchInfo.textContent = 'The sun does not clear the horizon during the design window.';
+        return;
+      }
+
+      // Round up to the slider step so the result never shades
+      const gap = Math.max(0, Math.ceil(result.rowGap * 10) / 10);
+      panelConfig.rowSpacing = gap;
+      rowSpacingSlider.value = gap;
+      rowSpacingValue.textContent = gap.toFixed(1);
+      rowPitchInfo.textContent = `Pitch ${result.pitch.toFixed(2)} m, GCR ${result.groundCoverageRatio.toFixed(2)} ` +
+        `(sun ${result.sunElevation.toFixed(1)}° high at ${result.sunAzimuth.toFixed(0)}°)`;
+    });
+  }
+
+  if (tiltSlider && azimuthSlider) {
     tiltSlider.addEventListener('input', (e) => {
       const value = parseInt(e.target.value);
       panelConfig.tilt = value;
@@ -264,43 +433,293 @@ export function initScene() {
       panelConfig.azimuth = value;
       azimuthValue.textContent = value;
     });
+  }
 
-    shapeSelect.addEventListener('change', (e) => {
-      panelConfig.setShape(e.target.value);
-      // Update UI to reflect square shape constraints
-      if (e.target.value === 'square') {
-        const size = Math.max(panelConfig.width, panelConfig.height);
-        panelConfig.width = size;
-        panelConfig.height = size;
-        widthSlider.value = size;
-        heightSlider.value = size;
-        widthValue.textContent = size;
-        heightValue.textContent = size;
-      }
+  // Mounting: how tilt and azimuth relate to the clicked roof face
+  const mountModeSelect = document.getElementById('mount-mode');
+  const mountModeHint = document.getElementById('mount-mode-hint');
+  const MOUNT_MODE_HINTS = {
+    [MOUNT_MODES.FIXED]: 'Tilt and azimuth are measured from the horizontal',
+    [MOUNT_MODES.FLUSH]: 'Panels lie on the roof face; tilt is ignored, azimuth only orients panels on flat faces',
+    [MOUNT_MODES.TILT_RACK]: 'Tilt is added to the roof slope, leaning toward the azimuth'
+  };
+  if (mountModeSelect) {
+    mountModeSelect.value = panelConfig.mountMode;
+    mountModeSelect.addEventListener('change', (e) => {
+      panelConfig.mountMode = e.target.value;
+      mountModeHint.textContent = MOUNT_MODE_HINTS[e.target.value];
+    });
+  }
+
+  // Sky model controls: transposition model and ground albedo change POA on every surface
+  const transpositionSelect = document.getElementById('transposition-model');
+  const albedoSlider = document.getElementById('ground-albedo');
+  const albedoValue = document.getElementById('albedo-value');
+
+  function refreshIrradiance() {
+    updateRoofIrradiance(roofMeshes, sunVec, sky);
+    panelSystem.updatePanelIrradiance(sunVec);
+  }
+
+  if (transpositionSelect && albedoSlider) {
+    transpositionSelect.value = skyConfig.transpositionModel;
+    albedoSlider.value = skyConfig.albedo;
+    albedoValue.textContent = skyConfig.albedo.toFixed(2);
+
+    transpositionSelect.addEventListener('change', (e) => {
+      skyConfig.transpositionModel = e.target.value;
+      refreshIrradiance();
+    });
+
+    albedoSlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      skyConfig.albedo = value;
+      albedoValue.textContent = value.toFixed(2);
+      refreshIrradiance();
+    });
+  }
+
+  // Shading resolution: sample grid per panel and rays across the sun's disk
+  const shadingGridSelect = document.getElementById('shading-grid');
+  const sunDiskSelect = document.getElementById('sun-disk-samples');
+
+  if (shadingGridSelect && sunDiskSelect) {
+    shadingGridSelect.value = shadingConfig.grid;
+    sunDiskSelect.value = shadingConfig.sunDiskSamples;
+
+    shadingGridSelect.addEventListener('change', (e) => {
+      shadingConfig.grid = e.target.value;
+      refreshIrradiance();
+    });
+
+    sunDiskSelect.addEventListener('change', (e) => {
+      shadingConfig.sunDiskSamples = parseInt(e.target.value);
+      refreshIrradiance();
+    });
+  }
+
+  // PV system controls: cell temperature model, loss chain and inverter sizing change panel power only
+  const cellTemperatureSelect = document.getElementById('cell-temperature-model');
+  const dcAcRatioSlider = document.getElementById('dc-ac-ratio');
+  const dcAcRatioValue = document.getElementById('dc-ac-ratio-value');
+
+  if (cellTemperatureSelect) {
+    cellTemperatureSelect.value = pvConfig.cellTemperatureModel;
+    cellTemperatureSelect.addEventListener('change', (e) => {
+      pvConfig.cellTemperatureModel = e.target.value;
+      panelSystem.updatePanelPower();
+    });
+  }
+
+  document.querySelectorAll('input[data-loss]').forEach((slider) => {
+    const key = slider.dataset.loss;
+    const valueLabel = document.getElementById(`${slider.id}-value`);
+    slider.value = pvConfig.losses[key] * 100;
+    valueLabel.textContent = (pvConfig.losses[key] * 100).toFixed(1);
+
+    slider.addEventListener('input', (e) => {
+      const percent = parseFloat(e.target.value);
+      pvConfig.losses[key] = percent / 100;
+      valueLabel.textContent = percent.toFixed(1);
+      panelSystem.updatePanelPower();
+    });
+  });
+
+  if (dcAcRatioSlider) {
+    dcAcRatioSlider.value = pvConfig.inverter.dcAcRatio;
+    dcAcRatioValue.textContent = pvConfig.inverter.dcAcRatio.toFixed(2);
+    dcAcRatioSlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      pvConfig.inverter.dcAcRatio = value;
+      dcAcRatioValue.textContent = value.toFixed(2);
+      panelSystem.updatePanelPower();
     });
   }
 
   // Restore previously placed panels (if any)
   panelSystem.restorePanels();
 
-  // --- Sun visualization ---
-  // Sun sphere with emissive material for glow effect
-  const sunGeom = new THREE.SphereGeometry(40, 32, 32);
-  const sunMat = new THREE.MeshPhongMaterial({ color: 0xFFD700, emissive: 0xFFD700, emissiveIntensity: 1 });
-  const sunMesh = new THREE.Mesh(sunGeom, sunMat);
-  sunMesh.position.set(sunX, sunY, sunZ);
-  sunMesh.castShadow = false;
-  sunMesh.receiveShadow = false;
-  scene.add(sunMesh);
+  // Date/time controls: move the sun and keep roofs, panels and sidebar in sync
+  const timeControls = setupTimeControls(startDate, (date) => {
+    applySunPosition(date);
+    refreshIrradiance();
+  });
 
-  // Add a subtle sunbeam (directional helper)
-  const sunDir = new THREE.Vector3(sunX, sunY, sunZ).normalize();
-  const sunRayGeom = new THREE.CylinderGeometry(2, 2, sunDist * 0.8, 8, 1, true);
-  const sunRayMat = new THREE.MeshBasicMaterial({ color: 0xFFFACD, transparent: true, opacity: 0.25 });
-  const sunRay = new THREE.Mesh(sunRayGeom, sunRayMat);
-  sunRay.position.set(sunX/2, sunY/2, sunZ/2);
-  sunRay.lookAt(0, 0, 0);
-  scene.add(sunRay);
+  // Weather file import: hourly EPW/TMY3 irradiance replaces the clear-sky model
+  const weatherBtn = document.getElementById('load-weather');
+  const weatherInput = document.getElementById('weather-file');
+  if (weatherBtn && weatherInput) {
+    weatherBtn.addEventListener('click', () => {
+      // Clicking again while a file is loaded goes back to clear sky
+      if (solarScene.weather) {
+        solarScene.weather = null;
+        weatherBtn.textContent = 'Load Weather';
+        weatherBtn.classList.remove('active');
+        applySunPosition(timeControls.getDate());
+        refreshIrradiance();
+        return;
+      }
+      weatherInput.click();
+    });
+
+    weatherInput.addEventListener('change', async () => {
+      const file = weatherInput.files[0];
+      weatherInput.value = '';
+      if (!file) return;
+
+      let weather;
+      try {
+        weather = parseWeatherFile(await file.text(), file.name);
+      } catch (err) {
+        alert(`Failed to load weather file.\n\n${err.message}`);
+        return;
+      }
+
+      const year = getSiteTimeParts(timeControls.getDate()).year;
+      const { warnings } = checkWeatherLocation(
+        weather.meta,
+        solarScene.location,
+        getStandardTimeOffset(year) / 60
+      );
+      if (warnings.length > 0 &&
+        !confirm(`${file.name} may not match this site:\n\n${warnings.join('\n')}\n\nUse it anyway?`)) {
+        return;
+      }
+
+      solarScene.weather = weather;
+      weatherBtn.textContent = 'Clear Weather';
+      weatherBtn.classList.add('active');
+      applySunPosition(timeControls.getDate());
+      refreshIrradiance();
+    });
+  }
+
+  /**
+   * Replaces all buildings with the current solarScene.buildings
+   * Panels, rooftop obstructions and the last yield result are cleared; the scene is re-centered on
+   * solarScene.location, the terrain and trees are rebuilt around it and the sun and sky are
+   * recomputed for it. The same roofMeshes array is refilled, so placement and
+   * simulation keep working.
+   */
+  function reloadBuildings() {
+    panelSystem.removeAllPanels();
+    panelSystem.removeAllObstructions();
+    updateYieldSummary(null);
+
+    roofMeshes.forEach(({ mesh }) => {
+      scene.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.forEach(m => m.dispose());
+    });
+
+    origin.lat = solarScene.location.lat;
+    origin.lon = solarScene.location.lon;
+    updateTerrain();
+    updateTrees(timeControls.getDate());
+
+    applySunPosition(timeControls.getDate());
+    roofMeshes.splice(0, roofMeshes.length, ...addBuildings3D(scene, origin, sunVec, sky));
+    refreshIrradiance();
+  }
+
+  // Terrain import: a DEM raises the ground, building bases and horizon shading
+  const terrainBtn = document.getElementById('load-terrain');
+  const terrainInput = document.getElementById('terrain-file');
+  if (terrainBtn && terrainInput) {
+    const confirmPanelsRemoved = () => panelSystem.panelMeshes.length === 0 ||
+      confirm('Changing the terrain moves every building and removes all placed panels. Continue?');
+
+    terrainBtn.addEventListener('click', () => {
+      // Clicking again while a DEM is loaded goes back to flat ground
+      if (solarScene.terrain) {
+        if (!confirmPanelsRemoved()) return;
+        solarScene.terrain = null;
+        terrainBtn.textContent = 'Load Terrain';
+        terrainBtn.classList.remove('active');
+        terrainBtn.title = 'Load a GeoTIFF or ASCII grid elevation model (WGS84)';
+        reloadBuildings();
+        return;
+      }
+      terrainInput.click();
+    });
+
+    terrainInput.addEventListener('change', async () => {
+      const file = terrainInput.files[0];
+      terrainInput.value = '';
+      if (!file) return;
+
+      let dem;
+      try {
+        dem = await parseDEMFile(await file.arrayBuffer(), file.name);
+      } catch (err) {
+        alert(`Failed to load terrain file.\n\n${err.message}`);
+        return;
+      }
+
+      if (!demCovers(dem, solarScene.location.lat, solarScene.location.lon) &&
+        !confirm(`${file.name} does not cover this site; the ground will use its nearest edge height. Use it anyway?`)) {
+        return;
+      }
+      if (!confirmPanelsRemoved()) return;
+
+      solarScene.terrain = dem;
+      terrainBtn.textContent = 'Clear Terrain';
+      terrainBtn.classList.add('active');
+      terrainBtn.title = `${file.name}: ${dem.width} × ${dem.height} cells, ` +
+        `${dem.minElevation.toFixed(0)}–${dem.maxElevation.toFixed(0)} m`;
+      reloadBuildings();
+    });
+  }
+
+  // Annual yield simulation for the year shown in the time controls
+  const simulateBtn = document.getElementById('simulate-year');
+  const simulationStepSelect = document.getElementById('simulation-step');
+  if (simulateBtn) {
+    // Clicking again while a run is in progress cancels it
+    let running = false;
+    let cancelled = false;
+
+    simulateBtn.addEventListener('click', async () => {
+      if (running) {
+        cancelled = true;
+        simulateBtn.textContent = 'Cancelling…';
+        return;
+      }
+      if (panelSystem.panelMeshes.length === 0) {
+        alert('Place at least one panel before simulating.');
+        return;
+      }
+
+      running = true;
+      cancelled = false;
+      simulateBtn.classList.add('active');
+      timeControls.pause();
+      try {
+        const result = await simulateAnnualYield({
+          panels: panelSystem.panelMeshes,
+          roofMeshes,
+          obstacles,
+          year: getSiteTimeParts(timeControls.getDate()).year,
+          stepMinutes: simulationStepSelect ? parseInt(simulationStepSelect.value) : 60,
+          onProgress: (fraction) => {
+            if (!cancelled) simulateBtn.textContent = `Simulating… ${Math.round(fraction * 100)}% (click to cancel)`;
+          },
+          isCancelled: () => cancelled
+        });
+        // A cancelled run keeps the previous results
+        if (result) {
+          updateYieldSummary(result);
+          updatePanelInfoSidebar(panelSystem.panelMeshes);
+        }
+      } catch (err) {
+        alert(`Simulation failed.\n\n${err.message}`);
+      } finally {
+        running = false;
+        simulateBtn.classList.remove('active');
+        simulateBtn.textContent = 'Simulate Year';
+      }
+    });
+  }
 
   // Enable shadow mapping
   renderer.shadowMap.enabled = true;
@@ -314,4 +733,54 @@ export function initScene() {
     renderer.render(scene, camera);
   }
   animate();
+
+  return {
+    /**
+     * Number of placed panels (reloading the buildings removes them)
+     * @returns {number} Panel count
+     */
+    getPanelCount() {
+      return panelSystem.panelMeshes.length;
+    },
+
+    /**
+     * Rebuilds a building after its height changed; panels and obstructions on
+     * it are removed because their positions no longer match the roof
+     * @param {number} idx - Index in solarScene.buildings
+     * @returns {number} Number of panels removed
+     */
+    rebuildBuilding(idx) {
+      const roof = roofMeshes[idx];
+      if (!roof) return 0;
+      panelSystem.removeRoofObstructions(idx);
+      const removed = panelSystem.removeRoofPanels(idx);
+      rebuildBuilding3D(scene, roof, origin, sunVec, sky);
+      // The new height and the removed obstructions change the shadows on every panel nearby
+      panelSystem.updatePanelIrradiance(sunVec);
+      return removed;
+    },
+
+    reloadBuildings,
+
+    /**
+     * Replaces all trees with the current solarScene.trees; panels stay in place
+     */
+    reloadTrees() {
+      updateTrees(timeControls.getDate());
+      refreshIrradiance();
+    },
+
+    /**
+     * Adds, updates and removes buildings to match solarScene.buildings without
+     * moving the scene (used while tiles of an area arrive)
+     * @returns {number} Number of panels removed because their building changed
+     */
+    syncBuildings() {
+      const { indexMap } = syncBuildings3D(scene, roofMeshes, origin, sunVec, sky);
+      const removed = panelSystem.remapRoofPanels(indexMap);
+      // New neighbours may shade existing panels
+      refreshIrradiance();
+      return removed;
+    }
+  };
 }
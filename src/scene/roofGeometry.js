@@ -0,0 +1,357 @@
+import * as THREE from 'three';
+
+/**
+ * Building geometry with pitched roofs
+ * Builds walls and planar roof faces from a footprint and the roof tags read by
+ * osmParser. Each roof face is its own material group so it can be colored by
+ * its own irradiance, and its normal is kept for placement and shading.
+ *
+ * Roof heights are described by a "rise" function f(p) over the footprint,
+ * in meters of horizontal run; the roof surface is z = wallHeight + slope × f(p).
+ * Walls start at the building's base height (min_height for building parts),
+ * and courtyards (inner rings) get their own walls.
+ */
+
+export const ROOF_SHAPES = {
+  FLAT: 'flat',
+  GABLED: 'gabled',
+  HIPPED: 'hipped',
+  PYRAMIDAL: 'pyramidal',
+  SKILLION: 'skillion'
+};
+
+// Other OSM roof:shape values drawn with the closest supported shape
+const SHAPE_FALLBACKS = {
+  'half-hipped': ROOF_SHAPES.HIPPED,
+  mansard: ROOF_SHAPES.HIPPED,
+  gambrel: ROOF_SHAPES.GABLED,
+  'saltbox': ROOF_SHAPES.GABLED
+};
+
+const DEFAULT_ROOF_ANGLE = 30;  // degrees, for pitched roofs without roof:height or roof:angle
+const MIN_WALL_HEIGHT = 1;      // meters kept below the eaves
+const EPSILON = 1e-6;
+
+/**
+ * Clips a polygon to the half-plane where fn(p) <= 0 (Sutherland-Hodgman)
+ * @param {Array<THREE.Vector2>} polygon - Polygon vertices
+ * @param {Function} fn - Linear function of a point
+ * @returns {Array<THREE.Vector2>} Clipped polygon (may be empty)
+ */
+function clipPolygon(polygon, fn) {
+  const result = [];
+  for (let i = 0; i < polygon.length; i++) {
+    const a = polygon[i];
+    const b = polygon[(i + 1) % polygon.length];
+    const fa = fn(a);
+    const fb = fn(b);
+    if (fa <= EPSILON) result.push(a);
+    if ((fa < -EPSILON && fb > EPSILON) || (fa > EPSILON && fb < -EPSILON)) {
+      result.push(a.clone().lerp(b, fa / (fa - fb)));
+    }
+  }
+  return result;
+}
+
+/**
+ * Checks whether a counter-clockwise polygon is convex
+ * @param {Array<THREE.Vector2>} polygon - Polygon vertices (CCW)
+ * @returns {boolean} True if convex
+ */
+function isConvex(polygon) {
+  for (let i = 0; i < polygon.length; i++) {
+    const a = polygon[i];
+    const b = polygon[(i + 1) % polygon.length];
+    const c = polygon[(i + 2) % polygon.length];
+    const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+    if (cross < -EPSILON) return false;
+  }
+  return true;
+}
+
+/**
+ * Direction of the footprint's longest edge (the usual ridge direction)
+ * @param {Array<THREE.Vector2>} polygon - Polygon vertices
+ * @returns {THREE.Vector2} Unit vector
+ */
+function longestEdgeDirection(polygon) {
+  let best = new THREE.Vector2(1, 0);
+  let bestLength = 0;
+  polygon.forEach((a, i) => {
+    const edge = polygon[(i + 1) % polygon.length].clone().sub(a);
+    if (edge.length() > bestLength) {
+      bestLength = edge.length();
+      best = edge.normalize();
+    }
+  });
+  return best;
+}
+
+/**
+ * Horizontal unit vector for a compass direction (0 = North/+Y, 90 = East/+X)
+ * @param {number} degrees - Direction in degrees
+ * @returns {THREE.Vector2} Unit vector
+ */
+function compassVector(degrees) {
+  const rad = (degrees * Math.PI) / 180;
+  return new THREE.Vector2(Math.sin(rad), Math.cos(rad));
+}
+
+/**
+ * Picks the roof shape to draw, falling back where the footprint can't support it
+ * @param {Object} roof - Parsed roof tags
+ * @param {boolean} convex - Whether the footprint is convex
+ * @param {boolean} hasHoles - Whether the footprint has courtyards
+ * @returns {string} One of ROOF_SHAPES
+ */
+function resolveShape(roof, convex, hasHoles) {
+  let shape = roof ? roof.shape : ROOF_SHAPES.FLAT;
+  shape = SHAPE_FALLBACKS[shape] || shape;
+  if (!Object.values(ROOF_SHAPES).includes(shape)) return ROOF_SHAPES.FLAT;
+  // Pitched faces are clipped from the outer ring only, so courtyards get a flat roof
+  if (hasHoles) return ROOF_SHAPES.FLAT;
+  // Hipped and pyramidal faces are built from the edges' inward distances, which needs a convex footprint
+  if (!convex && (shape === ROOF_SHAPES.HIPPED || shape === ROOF_SHAPES.PYRAMIDAL)) {
+    return ROOF_SHAPES.GABLED;
+  }
+  return shape;
+}
+
+/**
+ * Roof faces (2D polygons with rise functions) and the overall rise function
+ * @param {string} shape - One of ROOF_SHAPES
+ * @param {Array<THREE.Vector2>} polygon - Footprint (CCW)
+ * @param {Object} roof - Parsed roof tags (direction, orientation)
+ * @returns {{faces: Array<{polygon: Array<THREE.Vector2>, rise: Function}>, rise: Function, splitAt: Function|null}}
+ *   splitAt(a, b) returns where a wall edge crosses a roof ridge (or null)
+ */
+function buildRoofFaces(shape, polygon, roof) {
+  const flat = { faces: [{ polygon, rise: () => 0 }], rise: () => 0, splitAt: null };
+
+  if (shape === ROOF_SHAPES.SKILLION) {
+    // Slopes down toward roof:direction; default: across the building
+    const down = roof.direction !== null
+      ? compassVector(roof.direction)
+      : longestEdgeDirection(polygon).rotateAround(new THREE.Vector2(), Math.PI / 2);
+    const maxS = Math.max(...polygon.map(p => p.dot(down)));
+    const rise = p => maxS - p.dot(down);
+    return { faces: [{ polygon, rise }], rise, splitAt: null };
+  }
+
+  if (shape === ROOF_SHAPES.GABLED) {
+    // `across` is perpendicular to the ridge
+    let across;
+    if (roof.direction !== null) {
+      across = compassVector(roof.direction);
+    } else {
+      const along = longestEdgeDirection(polygon);
+      across = roof.orientation === 'across' ? along : along.clone().rotateAround(new THREE.Vector2(), Math.PI / 2);
+    }
+    const s = polygon.map(p => p.dot(across));
+    const minS = Math.min(...s);
+    const maxS = Math.max(...s);
+    const mid = (minS + maxS) / 2;
+
+    const faces = [
+      { polygon: clipPolygon(polygon, p => p.dot(across) - mid), rise: p => p.dot(across) - minS },
+      { polygon: clipPolygon(polygon, p => mid - p.dot(across)), rise: p => maxS - p.dot(across) }
+    ].filter(f => f.polygon.length >= 3);
+
+    const splitAt = (a, b) => {
+      const sa = a.dot(across) - mid;
+      const sb = b.dot(across) - mid;
+      if ((sa < -EPSILON && sb > EPSILON) || (sa > EPSILON && sb < -EPSILON)) {
+        return a.clone().lerp(b, sa / (sa - sb));
+      }
+      return null;
+    };
+    return { faces, rise: p => Math.min(p.dot(across) - minS, maxS - p.dot(across)), splitAt };
+  }
+
+  // Inward distance from each footprint edge's line
+  const edges = polygon.map((a, i) => {
+    const b = polygon[(i + 1) % polygon.length];
+    const dir = b.clone().sub(a).normalize();
+    const inward = new THREE.Vector2(-dir.y, dir.x); // left of a CCW edge
+    return p => p.clone().sub(a).dot(inward);
+  });
+
+  if (shape === ROOF_SHAPES.HIPPED) {
+    // Equal-pitch hip roof: each face is the region where its eave is the nearest edge
+    const faces = edges.map((dist, i) => {
+      let face = polygon;
+      edges.forEach((other, j) => {
+        if (j !== i && face.length >= 3) face = clipPolygon(face, p => dist(p) - other(p));
+      });
+      return { polygon: face, rise: dist };
+    }).filter(f => f.polygon.length >= 3);
+    return { faces, rise: p => Math.min(...edges.map(d => d(p))), splitAt: null };
+  }
+
+  if (shape === ROOF_SHAPES.PYRAMIDAL) {
+    // Triangles from each edge to an apex over the vertex centroid, all rising to the same height
+    const apex = polygon.reduce((sum, p) => sum.add(p), new THREE.Vector2()).divideScalar(polygon.length);
+    const apexRise = Math.min(...edges.map(d => d(apex)));
+    if (apexRise <= EPSILON) return flat;
+    const faces = polygon.map((a, i) => {
+      const dist = edges[i];
+      const scale = apexRise / dist(apex);
+      return {
+        polygon: [a, polygon[(i + 1) % polygon.length], apex],
+        rise: p => dist(p) * scale
+      };
+    });
+    return { faces, rise: p => Math.min(...faces.map(f => f.rise(p))), splitAt: null };
+  }
+
+  return flat;
+}
+
+/**
+ * Drops a repeated closing vertex and orients a ring
+ * @param {Array<THREE.Vector2>} ring - Ring vertices (open or closed)
+ * @param {boolean} clockwise - Wanted winding
+ * @returns {Array<THREE.Vector2>} Open ring with the wanted winding
+ */
+function normalizeRing(ring, clockwise) {
+  let points = ring.slice();
+  if (points.length > 1 && points[0].distanceTo(points[points.length - 1]) < EPSILON) points.pop();
+  if (THREE.ShapeUtils.isClockWise(points) !== clockwise) points = points.reverse();
+  return points;
+}
+
+/**
+ * Builds walls and roof for one building
+ * @param {Array<THREE.Vector2>} footprint - Footprint in scene meters (open or closed ring)
+ * @param {Object} building - Parsed building {height, minHeight, heightOverride, roof}
+ * @param {Array<Array<THREE.Vector2>>} holes - Courtyard rings in scene meters (default: none)
+ * @returns {{geometry: THREE.BufferGeometry, faces: Array<Object>, shape: string,
+ *   wallHeight: number, roofHeight: number, baseHeight: number}} Geometry with group 0 = walls
+ *   (and the underside of raised parts) and one group per roof face;
+ *   faces are {normal, polygon (THREE.Vector3[]), holes (THREE.Vector3[][]), materialIndex}
+ */
+export function buildBuildingGeometry(footprint, building, holes = []) {
+  // Outer ring counter-clockwise, courtyards clockwise: the right of every edge is outside the walls
+  const polygon = normalizeRing(footprint, false);
+  const innerRings = holes.map(h => normalizeRing(h, true)).filter(h => h.length >= 3);
+
+  const roof = building.roof || { shape: ROOF_SHAPES.FLAT, height: null, angle: null, direction: null };
+  const shape = resolveShape(roof, isConvex(polygon), innerRings.length > 0);
+  const { faces, rise, splitAt } = buildRoofFaces(shape, polygon, roof);
+  const baseHeight = Math.max(0, Math.min(building.minHeight || 0, building.height - MIN_WALL_HEIGHT));
+  // A manual height override is always to the top of the roof
+  const heightIncludesRoof = roof.heightIncludesRoof || building.heightOverride > 0;
+
+  // Slope (rise per meter) from roof:height, else roof:angle, else the default pitch
+  const maxRise = Math.max(0, ...faces.flatMap(f => f.polygon.map(p => f.rise(p))));
+  let roofHeight = 0;
+  let slope = 0;
+  if (shape !== ROOF_SHAPES.FLAT && maxRise > EPSILON) {
+    if (roof.height !== null && roof.height > 0) {
+      roofHeight = roof.height;
+    } else {
+      const angle = roof.angle !== null ? roof.angle : DEFAULT_ROOF_ANGLE;
+      roofHeight = Math.tan((angle * Math.PI) / 180) * maxRise;
+    }
+    if (heightIncludesRoof) {
+      roofHeight = Math.min(roofHeight, building.height - baseHeight - MIN_WALL_HEIGHT);
+    }
+    roofHeight = Math.max(0, roofHeight);
+    slope = roofHeight / maxRise;
+  }
+  const wallHeight = heightIncludesRoof ? building.height - roofHeight : building.height;
+  const roofZ = p => wallHeight + slope * rise(p);
+
+  const positions = [];
+  const geometry = new THREE.BufferGeometry();
+  let vertexCount = 0;
+
+  // Adds a triangle, flipping it if needed so its normal agrees with `facing`
+  function addTriangle(a, b, c, facing) {
+    const normal = new THREE.Vector3().subVectors(b, a).cross(new THREE.Vector3().subVectors(c, a));
+    if (normal.dot(facing) < 0) [b, c] = [c, b];
+    positions.push(a.x, a.y, a.z, b.x, b.y, b.z, c.x, c.y, c.z);
+  }
+
+  // Walls: one quad per edge piece, with the top following the roof (gable ends split at the ridge)
+  const wallStart = vertexCount;
+  [polygon, ...innerRings].forEach(ring => ring.forEach((a, i) => {
+    const b = ring[(i + 1) % ring.length];
+    const cut = splitAt && slope > 0 ? splitAt(a, b) : null;
+    const pieces = cut ? [[a, cut], [cut, b]] : [[a, b]];
+    const outward = new THREE.Vector3(b.y - a.y, -(b.x - a.x), 0);
+
+    pieces.forEach(([p, q]) => {
+      const p0 = new THREE.Vector3(p.x, p.y, baseHeight);
+      const q0 = new THREE.Vector3(q.x, q.y, baseHeight);
+      const p1 = new THREE.Vector3(p.x, p.y, roofZ(p));
+      const q1 = new THREE.Vector3(q.x, q.y, roofZ(q));
+      addTriangle(p0, q0, q1, outward);
+      addTriangle(p0, q1, p1, outward);
+    });
+  }));
+
+  // Raised parts (overhangs, bridges) need an underside
+  if (baseHeight > EPSILON) {
+    const bottom = [...polygon, ...innerRings.flat()].map(p => new THREE.Vector3(p.x, p.y, baseHeight));
+    const down = new THREE.Vector3(0, 0, -1);
+    THREE.ShapeUtils.triangulateShape(polygon, innerRings).forEach(([a, b, c]) => {
+      addTriangle(bottom[a], bottom[b], bottom[c], down);
+    });
+  }
+  vertexCount = positions.length / 3;
+  geometry.addGroup(wallStart, vertexCount - wallStart, 0);
+
+  // Roof faces: triangulate each planar piece and lift it onto its plane
+  const up = new THREE.Vector3(0, 0, 1);
+  const roofFaces = [];
+  faces.forEach((face, i) => {
+    const start = vertexCount;
+    const faceZ = p => wallHeight + slope * face.rise(p);
+    const to3 = p => new THREE.Vector3(p.x, p.y, faceZ(p));
+    const points3 = face.polygon.map(to3);
+    // Only flat roofs have courtyards (see resolveShape)
+    const faceHoles = shape === ROOF_SHAPES.FLAT ? innerRings : [];
+    const holes3 = faceHoles.map(h => h.map(to3));
+    const vertices3 = [...points3, ...holes3.flat()];
+
+    THREE.ShapeUtils.triangulateShape(face.polygon, faceHoles).forEach(([a, b, c]) => {
+      addTriangle(vertices3[a], vertices3[b], vertices3[c], up);
+    });
+    vertexCount = positions.length / 3;
+    if (vertexCount === start) return;
+
+    const materialIndex = roofFaces.length + 1;
+    geometry.addGroup(start, vertexCount - start, materialIndex);
+
+    // Plane normal from the face's tilt: gradient of z = wallHeight + slope × rise
+    const origin = face.polygon[0];
+    const dx = faceZ(origin.clone().add(new THREE.Vector2(1, 0))) - faceZ(origin);
+    const dy = faceZ(origin.clone().add(new THREE.Vector2(0, 1))) - faceZ(origin);
+    roofFaces.push({
+      normal: new THREE.Vector3(-dx, -dy, 1).normalize(),
+      polygon: points3,
+      holes: holes3,
+      materialIndex,
+      index: i
+    });
+  });
+
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.computeVertexNormals();
+
+  return { geometry, faces: roofFaces, shape, wallHeight, roofHeight, baseHeight };
+}
+
+/**
+ * Height of a roof face's plane at a horizontal position
+ * @param {Object} face - Roof face from buildBuildingGeometry
+ * @param {number} x - Scene x (East)
+ * @param {number} y - Scene y (North)
+ * @returns {number} Roof z at (x, y)
+ */
+export function getRoofFaceHeight(face, x, y) {
+  const p = face.polygon[0];
+  const n = face.normal;
+  return p.z - (n.x * (x - p.x) + n.y * (y - p.y)) / n.z;
+}
@@ -0,0 +1,74 @@
+import * as THREE from 'three';
+import { solarScene } from '../data/solarScene';
+import { latLonToLocal, localToLatLon } from '../geo/localProjection';
+import { sampleDEM } from '../terrain/demFile';
+
+/**
+ * Terrain from the loaded DEM (solarScene.terrain)
+ * Heights are relative to the ground at the scene origin, so the site stays at
+ * z = 0 and a flat site without a DEM looks exactly as before.
+ */
+
+// Grid resolution cap: the terrain is a shadow caster for every panel ray
+const MAX_TERRAIN_SEGMENTS = 128;
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Ground height at a point relative to the ground at the scene origin
+ * Includes the drop of the Earth's curvature below the local tangent plane.
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {{lat: number, lon: number}} origin - Scene origin
+ * @returns {number} Height in meters (0 without a DEM)
+ */
+export function getGroundHeight(lat, lon, origin) {
+  const dem = solarScene.terrain;
+  if (!dem) return 0;
+  const reference = sampleDEM(dem, origin.lat, origin.lon) ?? 0;
+  const elevation = sampleDEM(dem, lat, lon) ?? reference;
+  return latLonToLocal(lat, lon, elevation, origin)[2] - reference;
+}
+
+/**
+ * Builds the terrain mesh around the scene origin
+ * The grid follows the DEM resolution up to MAX_TERRAIN_SEGMENTS per side;
+ * outside the DEM the nearest edge height is used.
+ * @param {THREE.Scene} scene - Three.js scene to add the terrain to
+ * @param {{lat: number, lon: number}} origin - Scene origin
+ * @param {number} size - Side of the square terrain in meters (default: 3000, as the flat ground)
+ * @param {number} color - Terrain color (default: ground color)
+ * @returns {THREE.Mesh|null} Terrain mesh, or null without a DEM
+ */
+export function createTerrain(scene, origin, size = 3000, color = 0xb3d1ff) {
+  const dem = solarScene.terrain;
+  if (!dem) return null;
+
+  const cellMeters = dem.dy * METERS_PER_DEGREE;
+  const segments = Math.min(MAX_TERRAIN_SEGMENTS, Math.max(16, Math.ceil(size / cellMeters)));
+  const geometry = new THREE.PlaneGeometry(size, size, segments, segments);
+  const position = geometry.attributes.position;
+  for (let i = 0; i < position.count; i++) {
+    const [lat, lon] = localToLatLon(position.getX(i), position.getY(i), 0, origin);
+    position.setZ(i, getGroundHeight(lat, lon, origin));
+  }
+  geometry.computeVertexNormals();
+  geometry.computeBoundingSphere();
+
+  const terrain = new THREE.Mesh(geometry, new THREE.MeshPhongMaterial({ color, side: THREE.DoubleSide }));
+  terrain.castShadow = true;
+  terrain.receiveShadow = true;
+  terrain.userData.terrain = true;
+  scene.add(terrain);
+  return terrain;
+}
+
+/**
+ * Removes a terrain mesh from the scene and frees it
+ * @param {THREE.Scene} scene - Three.js scene holding the terrain
+ * @param {THREE.Mesh} terrain - Terrain mesh from createTerrain
+ */
+export function disposeTerrain(scene, terrain) {
+  scene.remove(terrain);
+  terrain.geometry.dispose();
+  terrain.material.dispose();
+}
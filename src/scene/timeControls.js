@@ -0,0 +1,204 @@
+import { solarScene } from '../data/solarScene';
+import {
+  getSiteTimeZone,
+  getSiteTimeParts,
+  siteTimeToUTC,
+  formatSiteTime,
+  listTimeZones,
+  isValidTimeZone
+} from '../solar/siteTime';
+import { getSunTimes } from '../solar/sunTimes';
+import { SUN_ALGORITHMS } from '../solar/sunPosition';
+
+/**
+ * Date and time-of-day controls for the sun simulation
+ * Wires the date picker, time slider and play/pause button in the time bar.
+ * All entered and displayed times are site-local (solarScene.location.timezone).
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+const PLAY_STEP_MINUTES = 10;  // simulated minutes advanced per animation tick
+const PLAY_INTERVAL_MS = 100;  // real milliseconds between animation ticks
+
+/**
+ * Formats minutes since midnight as HH:MM
+ * @param {number} minutes - Minutes since midnight (0-1439)
+ * @returns {string} Time string
+ */
+function formatMinutes(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Formats site-local date fields as YYYY-MM-DD for a date input
+ * @param {Object} parts - Site-local fields from getSiteTimeParts
+ * @returns {string} Date string
+ */
+function formatDateInput(parts) {
+  const m = parts.month.toString().padStart(2, '0');
+  const d = parts.day.toString().padStart(2, '0');
+  return `${parts.year}-${m}-${d}`;
+}
+
+/**
+ * Formats an instant as site-local HH:MM
+ * @param {Date} date - Absolute instant
+ * @returns {string} Time string
+ */
+function formatClock(date) {
+  const parts = getSiteTimeParts(date);
+  return formatMinutes(parts.hour * 60 + parts.minute);
+}
+
+/**
+ * Describes sunrise, solar noon and sunset for the site-local day of an instant
+ * @param {Date} date - Absolute instant
+ * @returns {string} Summary text
+ */
+function describeSunTimes(date) {
+  const { lat, lon, altitude } = solarScene.location;
+  const times = getSunTimes(date, lat, lon, { algorithm: SUN_ALGORITHMS.PRECISE, altitude });
+  if (!times.sunrise) {
+    return times.dayLength > 0 ? 'Sun up all day' : 'Sun down all day';
+  }
+  const minutes = Math.round(times.dayLength * 60);
+  return `☀ ${formatClock(times.sunrise)} · Noon ${formatClock(times.solarNoon)} · ` +
+    `☾ ${formatClock(times.sunset)} (${Math.floor(minutes / 60)}h ${minutes % 60}m)`;
+}
+
+/**
+ * Sets up the date picker, time-of-day slider and play/pause animation
+ * @param {Date} initialDate - Instant to show first
+ * @param {Function} onTimeChange - Called with the new instant whenever date, time or timezone changes
+ * @returns {Object} Object with getDate, setDate and pause functions
+ */
+export function setupTimeControls(initialDate, onTimeChange) {
+  const dateInput = document.getElementById('sim-date');
+  const timeSlider = document.getElementById('sim-time');
+  const timeValue = document.getElementById('sim-time-value');
+  const playBtn = document.getElementById('sim-play');
+  const timezoneSelect = document.getElementById('sim-timezone');
+  const siteTimeLabel = document.getElementById('sim-site-time');
+  const sunTimesLabel = document.getElementById('sim-sun-times');
+
+  let current = new Date(initialDate.getTime());
+  let playTimer = null;
+  let sunTimesDay = null; // site-local day the sun times label was computed for
+
+  // Reflect the current date/time in the inputs, in site-local time
+  function syncInputs() {
+    const parts = getSiteTimeParts(current);
+    const minutes = parts.hour * 60 + parts.minute;
+    if (dateInput) dateInput.value = formatDateInput(parts);
+    if (timeSlider) timeSlider.value = minutes;
+    if (timeValue) timeValue.textContent = formatMinutes(minutes);
+    if (siteTimeLabel) siteTimeLabel.textContent = formatSiteTime(current);
+
+    // Sunrise/sunset only change with the day (or timezone), not with the slider
+    const day = `${formatDateInput(parts)} ${getSiteTimeZone()}`;
+    if (sunTimesLabel && day !== sunTimesDay) {
+      sunTimesLabel.textContent = describeSunTimes(current);
+      sunTimesDay = day;
+    }
+  }
+
+  function setDate(date) {
+    current = new Date(date.getTime());
+    syncInputs();
+    onTimeChange(new Date(current.getTime()));
+  }
+
+  // Build an instant from the picker value and slider minutes (site-local time)
+  function readInputs() {
+    const [year, month, day] = dateInput.value.split('-').map(Number);
+    const minutes = parseInt(timeSlider.value);
+    return siteTimeToUTC({ year, month, day, hour: Math.floor(minutes / 60), minute: minutes % 60 });
+  }
+
+  function pause() {
+    if (playTimer !== null) {
+      clearInterval(playTimer);
+      playTimer = null;
+    }
+    if (playBtn) {
+      playBtn.textContent = '▶ Play';
+      playBtn.classList.remove('active');
+    }
+  }
+
+  function play() {
+    if (playTimer !== null) return;
+    playTimer = setInterval(() => {
+      // Wrap around to midnight of the same site day so the date picker stays put
+      const parts = getSiteTimeParts(current);
+      const minutes = (parts.hour * 60 + parts.minute + PLAY_STEP_MINUTES) % MINUTES_PER_DAY;
+      setDate(siteTimeToUTC({
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: Math.floor(minutes / 60),
+        minute: minutes % 60
+      }));
+    }, PLAY_INTERVAL_MS);
+    if (playBtn) {
+      playBtn.textContent = '⏸ Pause';
+      playBtn.classList.add('active');
+    }
+  }
+
+  if (dateInput) {
+    dateInput.addEventListener('change', () => {
+      if (!dateInput.value) return;
+      setDate(readInputs());
+    });
+  }
+
+  if (timeSlider) {
+    timeSlider.addEventListener('input', () => {
+      if (!dateInput || !dateInput.value) return;
+      setDate(readInputs());
+    });
+  }
+
+  if (playBtn) {
+    playBtn.addEventListener('click', () => {
+      if (playTimer !== null) pause();
+      else play();
+    });
+  }
+
+  if (timezoneSelect) {
+    listTimeZones().forEach(tz => {
+      const option = document.createElement('option');
+      option.value = tz;
+      option.textContent = tz;
+      timezoneSelect.appendChild(option);
+    });
+    // Keep the site timezone selectable even if the browser list lacks it
+    const siteTz = getSiteTimeZone();
+    if (!Array.from(timezoneSelect.options).some(o => o.value === siteTz)) {
+      const option = document.createElement('option');
+      option.value = siteTz;
+      option.textContent = siteTz;
+      timezoneSelect.appendChild(option);
+    }
+    timezoneSelect.value = siteTz;
+
+    // Changing the timezone keeps the entered wall-clock time at the site
+    timezoneSelect.addEventListener('change', () => {
+      if (!isValidTimeZone(timezoneSelect.value)) return;
+      solarScene.location.timezone = timezoneSelect.value;
+      if (dateInput && dateInput.value) setDate(readInputs());
+    });
+  }
+
+  syncInputs();
+
+  return {
+    getDate: () => new Date(current.getTime()),
+    setDate,
+    pause
+  };
+}
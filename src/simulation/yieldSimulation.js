@@ -0,0 +1,153 @@
+import * as THREE from 'three';
+import { solarScene } from '../data/solarScene';
+import { getSunPosition, SUN_ALGORITHMS } from '../solar/sunPosition';
+import { getSunVector } from '../solar/sunVector';
+import { calcPlaneOfArrayIrradiance, calcStringIrradiance } from '../solar/irradiance';
+import { getShadowCasters } from '../solar/shadowAnalysis';
+import { computeShadowFactors } from '../solar/shadowBatch';
+import { siteTimeToUTC, getSiteTimeParts } from '../solar/siteTime';
+import { getSiteSky } from '../weather/weatherSky';
+import { calculateSystemPower } from '../pv/pvModel';
+import { pvConfig } from '../pv/pvConfig';
+import { getPanelModule } from '../pv/panelPower';
+
+/**
+ * Annual energy yield simulation
+ * Steps through a site-local calendar year and, at every step, reuses the same
+ * sun position and irradiance functions as the interactive scene. Shadows for
+ * all daylight steps are traced first, in the shadow worker.
+ */
+
+const MINUTE_MS = 60000;
+
+/**
+ * Gets a panel's outward normal in world space
+ * @param {THREE.Mesh} panel - Panel mesh
+ * @returns {THREE.Vector3} Normalized world normal
+ */
+function getPanelWorldNormal(panel) {
+  panel.updateMatrixWorld(true);
+  return new THREE.Vector3(0, 0, 1).transformDirection(panel.matrixWorld).normalize();
+}
+
+/**
+ * Simulates monthly and annual energy for every placed panel and for the whole array
+ * Shadows are traced per cell in a Web Worker, and module power follows the
+ * shading of each cell string; the energy pass then yields to the browser once
+ * per simulated day so the page stays responsive.
+ * @param {Object} params - Simulation inputs
+ * @param {Array<THREE.Mesh>} params.panels - Placed panel meshes
+ * @param {Array} params.roofMeshes - Roof mesh objects (shadow casters along with the panels)
+ * @param {Array} params.obstacles - Terrain, tree and rooftop obstruction shadow casters {mesh, ...}
+ *   (default: none); tree crowns follow the season of each step
+ * @param {number} params.year - Site-local calendar year to simulate
+ * @param {number} params.stepMinutes - Time step in minutes (default: 60)
+ * @param {Function} params.getSky - (date, zenith) => sky irradiance (default: weather file or clear sky)
+ * @param {Function} params.onProgress - Called with the completed fraction (0..1)
+ * @param {Function} params.isCancelled - Checked while shadows are traced and once per simulated day;
+ *   returning true stops the run without touching the panels' previous results
+ * @returns {Promise<Object|null>} {year, stepMinutes, panels: [{monthly, annual, dcAnnual, insolation}],
+ *   system: {monthly, annual, dcAnnual}}, or null if cancelled; monthly/annual are AC energy in kWh,
+ *   dcAnnual is DC energy in kWh and insolation is in kWh/m². Per-panel results are also stored as userData.yield
+ */
+export async function simulateAnnualYield({
+  panels,
+  roofMeshes,
+  obstacles = [],
+  year,
+  stepMinutes = 60,
+  getSky = getSiteSky,
+  onProgress = null,
+  isCancelled = () => false
+}) {
+  const { lat, lon, altitude } = solarScene.location;
+  const stepHours = stepMinutes / 60;
+  const stepsPerDay = Math.round(24 * 60 / stepMinutes);
+
+  const start = siteTimeToUTC({ year, month: 1, day: 1 }).getTime();
+  const end = siteTimeToUTC({ year: year + 1, month: 1, day: 1 }).getTime();
+  const totalSteps = Math.round((end - start) / (stepMinutes * MINUTE_MS));
+
+  // Daylight steps: sun position, sky and month
+  const daylight = [];
+  for (let step = 0; step < totalSteps; step++) {
+    // Sample the middle of each interval
+    const date = new Date(start + (step + 0.5) * stepMinutes * MINUTE_MS);
+    const { azimuth, elevation } = getSunPosition(date, lat, lon, {
+      algorithm: SUN_ALGORITHMS.PRECISE,
+      refraction: true,
+      altitude
+    });
+    if (elevation <= 0) continue;
+    const sky = getSky(date, 90 - elevation);
+    if (sky.ghi > 0) {
+      daylight.push({ step, sky, sunVec: getSunVector(azimuth, elevation), month: getSiteTimeParts(date).month });
+    }
+  }
+
+  // Shadows take most of the time: 90% of the progress bar
+  const shading = await computeShadowFactors({
+    casters: getShadowCasters(roofMeshes, panels, obstacles),
+    panels: panels.map(panel => ({ panel, roofMesh: panel.userData.roofMesh || null })),
+    steps: daylight,
+    lat,
+    onProgress: onProgress && (fraction => onProgress(fraction * 0.9)),
+    isCancelled
+  });
+  if (!shading || isCancelled()) return null;
+  const { factors: shadowFactors, strings, stringCount } = shading;
+
+  // Panel geometry doesn't change during the run
+  const panelInputs = panels.map(panel => ({
+    normal: getPanelWorldNormal(panel),
+    module: getPanelModule(panel)
+  }));
+  const results = panels.map(() => ({
+    monthly: new Array(12).fill(0),
+    annual: 0,
+    dcAnnual: 0,
+    insolation: 0
+  }));
+
+  let nextDay = stepsPerDay;
+  for (let s = 0; s < daylight.length; s++) {
+    const { step, sky, sunVec, month } = daylight[s];
+    const modules = panelInputs.map((input, i) => {
+      const index = s * panels.length + i;
+      const poa = calcPlaneOfArrayIrradiance(sunVec, input.normal, sky, shadowFactors[index]).global;
+      // Each cell string is limited by its most shaded cell (see bypassDiodeIrradiance)
+      const stringPoa = calcStringIrradiance(sunVec, input.normal, sky,
+        strings.subarray(index * stringCount, (index + 1) * stringCount));
+      results[i].insolation += poa * stepHours / 1000; // kWh/m²
+      return { ...input.module, poa, stringPoa, tempAir: sky.tempAir, windSpeed: sky.windSpeed };
+    });
+
+    // Energy in kWh from the shared inverter's output over the step
+    calculateSystemPower(modules, pvConfig).modules.forEach((power, i) => {
+      const acEnergy = power.acPower * stepHours / 1000;
+      results[i].monthly[month - 1] += acEnergy;
+      results[i].annual += acEnergy;
+      results[i].dcAnnual += power.dcPower * stepHours / 1000;
+    });
+
+    // Let the browser breathe once per simulated day
+    if (step >= nextDay) {
+      nextDay = (Math.floor(step / stepsPerDay) + 1) * stepsPerDay;
+      if (onProgress) onProgress(0.9 + 0.1 * step / totalSteps);
+      await new Promise(resolve => setTimeout(resolve, 0));
+      if (isCancelled()) return null;
+    }
+  }
+
+  const system = { monthly: new Array(12).fill(0), annual: 0, dcAnnual: 0 };
+  results.forEach((r, i) => {
+    panels[i].userData.yield = r;
+    r.monthly.forEach((kWh, m) => { system.monthly[m] += kWh; });
+    system.annual += r.annual;
+    system.dcAnnual += r.dcAnnual;
+  });
+
+  if (onProgress) onProgress(1);
+
+  return { year, stepMinutes, panels: results, system };
+}
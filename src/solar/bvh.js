@@ -0,0 +1,306 @@
+/**
+ * Bounding volume hierarchies for shadow rays
+ * A shadow ray only asks whether something lies between a point and the sun.
+ * Each caster mesh gets its own triangle BVH (world space, built once) and a
+ * small top-level BVH over the casters' boxes finds the few meshes a ray can
+ * touch. Everything is plain typed arrays so the structures can be sent to the
+ * shadow worker, which traces whole simulations with traceShadowBatch.
+ */
+
+// Primitives per leaf
+const MAX_LEAF_SIZE = 4;
+
+// Directions parallel to an axis would give 0 × Infinity in the slab test
+const MIN_DIRECTION = 1e-12;
+
+/**
+ * Builds a BVH over axis-aligned boxes (median split along the widest axis)
+ * @param {Float32Array} bounds - 6 numbers per primitive: minX, minY, minZ, maxX, maxY, maxZ
+ * @returns {{nodeBounds: Float32Array, nodeInfo: Int32Array, order: Uint32Array}} Nodes in depth-first
+ *   order (6 bounds each). nodeInfo holds [right child, 0] for inner nodes, whose left child follows
+ *   them, and [first, count] into `order` (primitive indices) for leaves.
+ */
+export function buildBVH(bounds) {
+  const count = bounds.length / 6;
+  const order = new Uint32Array(count);
+  const centroids = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    order[i] = i;
+    for (let a = 0; a < 3; a++) centroids[i * 3 + a] = (bounds[i * 6 + a] + bounds[i * 6 + 3 + a]) / 2;
+  }
+
+  const nodeBounds = new Float32Array(Math.max(1, 2 * count) * 6);
+  const nodeInfo = new Int32Array(Math.max(1, 2 * count) * 2);
+  let nodeCount = 0;
+
+  function build(start, end) {
+    const node = nodeCount++;
+    const box = [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity];
+    const spread = [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity];
+    for (let k = start; k < end; k++) {
+      const i = order[k];
+      for (let a = 0; a < 3; a++) {
+        box[a] = Math.min(box[a], bounds[i * 6 + a]);
+        box[a + 3] = Math.max(box[a + 3], bounds[i * 6 + 3 + a]);
+        spread[a] = Math.min(spread[a], centroids[i * 3 + a]);
+        spread[a + 3] = Math.max(spread[a + 3], centroids[i * 3 + a]);
+      }
+    }
+    nodeBounds.set(box, node * 6);
+
+    let axis = 0;
+    for (let a = 1; a < 3; a++) {
+      if (spread[a + 3] - spread[a] > spread[axis + 3] - spread[axis]) axis = a;
+    }
+    // Small sets, and primitives that all share one center, stay together
+    if (end - start <= MAX_LEAF_SIZE || spread[axis + 3] === spread[axis]) {
+      nodeInfo[node * 2] = start;
+      nodeInfo[node * 2 + 1] = end - start;
+      return node;
+    }
+
+    order.subarray(start, end).sort((i, j) => centroids[i * 3 + axis] - centroids[j * 3 + axis]);
+    const mid = (start + end) >> 1;
+    build(start, mid);
+    nodeInfo[node * 2] = build(mid, end);
+    nodeInfo[node * 2 + 1] = 0;
+    return node;
+  }
+  if (count > 0) build(0, count);
+
+  return { nodeBounds: nodeBounds.slice(0, nodeCount * 6), nodeInfo: nodeInfo.slice(0, nodeCount * 2), order };
+}
+
+/**
+ * Creates a ray for the BVH queries
+ * @param {number} ox - Origin x
+ * @param {number} oy - Origin y
+ * @param {number} oz - Origin z
+ * @param {number} dx - Direction x (normalized, so distances are in meters)
+ * @param {number} dy - Direction y
+ * @param {number} dz - Direction z
+ * @returns {Object} Ray {ox, oy, oz, dx, dy, dz, ix, iy, iz} with the inverse direction
+ */
+export function createRay(ox, oy, oz, dx, dy, dz) {
+  const inverse = d => 1 / (Math.abs(d) < MIN_DIRECTION ? MIN_DIRECTION : d);
+  return { ox, oy, oz, dx, dy, dz, ix: inverse(dx), iy: inverse(dy), iz: inverse(dz) };
+}
+
+/**
+ * Slab test of a ray against a node box
+ * @param {Float32Array} b - Node bounds
+ * @param {number} o - Offset of the node's bounds
+ * @param {Object} ray - Ray from createRay
+ * @param {number} tMin - Nearest distance of interest
+ * @param {number} tMax - Farthest distance of interest
+ * @returns {boolean} True if the ray passes through the box between tMin and tMax
+ */
+function rayHitsBox(b, o, ray, tMin, tMax) {
+  let t1 = (b[o] - ray.ox) * ray.ix;
+  let t2 = (b[o + 3] - ray.ox) * ray.ix;
+  let near = Math.min(t1, t2);
+  let far = Math.max(t1, t2);
+  t1 = (b[o + 1] - ray.oy) * ray.iy;
+  t2 = (b[o + 4] - ray.oy) * ray.iy;
+  near = Math.max(near, Math.min(t1, t2));
+  far = Math.min(far, Math.max(t1, t2));
+  t1 = (b[o + 2] - ray.oz) * ray.iz;
+  t2 = (b[o + 5] - ray.oz) * ray.iz;
+  near = Math.max(near, Math.min(t1, t2));
+  far = Math.min(far, Math.max(t1, t2));
+  return far >= Math.max(near, tMin) && near <= tMax;
+}
+
+/**
+ * Visits the leaf primitives whose boxes the ray passes through
+ * @param {Object} tree - BVH from buildBVH ({nodeBounds, nodeInfo})
+ * @param {Object} ray - Ray from createRay
+ * @param {number} tMin - Nearest distance of interest
+ * @param {number} tMax - Farthest distance of interest
+ * @param {Function} visit - (k) => true to stop, with k the position in the leaf order
+ * @returns {boolean} True if a visit stopped the traversal
+ */
+function traverse(tree, ray, tMin, tMax, visit) {
+  const { nodeBounds, nodeInfo } = tree;
+  if (nodeInfo.length === 0) return false;
+  const stack = [0];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (!rayHitsBox(nodeBounds, node * 6, ray, tMin, tMax)) continue;
+    const count = nodeInfo[node * 2 + 1];
+    if (count === 0) {
+      stack.push(nodeInfo[node * 2], node + 1);
+      continue;
+    }
+    const first = nodeInfo[node * 2];
+    for (let k = first; k < first + count; k++) {
+      if (visit(k)) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Distance along a ray to a triangle (Möller–Trumbore, both sides count)
+ * @param {Float32Array} p - Triangle corners, 9 numbers per triangle
+ * @param {number} o - Offset of the triangle
+ * @param {Object} ray - Ray from createRay
+ * @returns {number} Distance, or -1 if the ray misses
+ */
+function intersectTriangle(p, o, ray) {
+  const ax = p[o], ay = p[o + 1], az = p[o + 2];
+  const e1x = p[o + 3] - ax, e1y = p[o + 4] - ay, e1z = p[o + 5] - az;
+  const e2x = p[o + 6] - ax, e2y = p[o + 7] - ay, e2z = p[o + 8] - az;
+  const px = ray.dy * e2z - ray.dz * e2y;
+  const py = ray.dz * e2x - ray.dx * e2z;
+  const pz = ray.dx * e2y - ray.dy * e2x;
+  const det = e1x * px + e1y * py + e1z * pz;
+  if (Math.abs(det) < 1e-12) return -1;
+  const inv = 1 / det;
+  const tx = ray.ox - ax, ty = ray.oy - ay, tz = ray.oz - az;
+  const u = (tx * px + ty * py + tz * pz) * inv;
+  if (u < 0 || u > 1) return -1;
+  const qx = ty * e1z - tz * e1y;
+  const qy = tz * e1x - tx * e1z;
+  const qz = tx * e1y - ty * e1x;
+  const v = (ray.dx * qx + ray.dy * qy + ray.dz * qz) * inv;
+  if (v < 0 || u + v > 1) return -1;
+  return (e2x * qx + e2y * qy + e2z * qz) * inv;
+}
+
+/**
+ * Builds the triangle BVH of one caster mesh
+ * @param {Float32Array} triangles - World-space triangle corners, 9 numbers per triangle
+ * @returns {{positions: Float32Array, nodeBounds: Float32Array, nodeInfo: Int32Array}} Mesh BVH;
+ *   triangles are reordered so leaves index them directly
+ */
+export function createMeshBVH(triangles) {
+  const triCount = triangles.length / 9;
+  const bounds = new Float32Array(triCount * 6);
+  for (let t = 0; t < triCount; t++) {
+    for (let a = 0; a < 3; a++) {
+      const v0 = triangles[t * 9 + a], v1 = triangles[t * 9 + 3 + a], v2 = triangles[t * 9 + 6 + a];
+      bounds[t * 6 + a] = Math.min(v0, v1, v2);
+      bounds[t * 6 + 3 + a] = Math.max(v0, v1, v2);
+    }
+  }
+  const { nodeBounds, nodeInfo, order } = buildBVH(bounds);
+  const positions = new Float32Array(triangles.length);
+  order.forEach((t, k) => positions.set(triangles.subarray(t * 9, t * 9 + 9), k * 9));
+  return { positions, nodeBounds, nodeInfo };
+}
+
+/**
+ * Checks whether a ray hits a mesh between two distances
+ * @param {Object} mesh - Mesh BVH from createMeshBVH
+ * @param {Object} ray - Ray from createRay
+ * @param {number} tMin - Hits this close or closer are ignored
+ * @param {number} tMax - Hits this far or farther are ignored
+ * @returns {boolean} True if any triangle is hit in between
+ */
+export function meshBVHHit(mesh, ray, tMin, tMax) {
+  return traverse(mesh, ray, tMin, tMax, k => {
+    const t = intersectTriangle(mesh.positions, k * 9, ray);
+    return t > tMin && t < tMax;
+  });
+}
+
+/**
+ * Builds the top-level BVH over caster meshes
+ * @param {Array<Object|null>} meshes - Mesh BVH per caster (null or empty meshes never cast)
+ * @returns {{meshes: Array<Object|null>, tree: Object, ids: Uint32Array}} Scene; ids maps the leaf order to caster indices
+ */
+export function createSceneBVH(meshes) {
+  const cast = [];
+  meshes.forEach((mesh, i) => {
+    if (mesh && mesh.nodeInfo.length > 0) cast.push(i);
+  });
+  const bounds = new Float32Array(cast.length * 6);
+  cast.forEach((id, k) => bounds.set(meshes[id].nodeBounds.subarray(0, 6), k * 6));
+  const tree = buildBVH(bounds);
+  return { meshes, tree, ids: Uint32Array.from(tree.order, k => cast[k]) };
+}
+
+/**
+ * Share of light passing along a ray through the casters of a scene
+ * Each caster crossed multiplies the result by its transmittance (0 for opaque ones).
+ * @param {Object} scene - Scene from createSceneBVH
+ * @param {Object} ray - Ray from createRay
+ * @param {number} tMin - Hits this close or closer are ignored (the surface the ray starts on)
+ * @param {number} tMax - Hits this far or farther are ignored
+ * @param {Function} transmittance - (casterIndex) => share of light passing through that caster
+ * @param {Function} skip - (casterIndex) => true to ignore a caster (default: none)
+ * @returns {number} Transmittance (0 = blocked, 1 = clear)
+ */
+export function traceTransmittance(scene, ray, tMin, tMax, transmittance, skip = null) {
+  let result = 1;
+  traverse(scene.tree, ray, tMin, tMax, k => {
+    const id = scene.ids[k];
+    if ((skip && skip(id)) || !meshBVHHit(scene.meshes[id], ray, tMin, tMax)) return false;
+    result *= transmittance(id);
+    return result === 0;
+  });
+  return result;
+}
+
+/**
+ * Shading of many panels for many sun positions (the shadow worker's job)
+ * @param {Object} job - Batch inputs (all plain data, see computeShadowFactors)
+ * @param {Array<Object|null>} job.meshes - Mesh BVH per caster (createMeshBVH)
+ * @param {Float32Array} job.transmittance - 12 numbers per caster: share of sun passing through it in each month
+ * @param {Array<{samples: Float32Array, columns: number, skip: Array<number>}>} job.panels - Cell sample points
+ *   of each panel row by row (3 numbers each), its grid columns and the casters it ignores (itself and its roof)
+ * @param {number} job.stringCount - Cell strings per panel, each a band of grid columns
+ * @param {Float32Array} job.steps - 4 numbers per ray: direction toward the sun (x, y, z) and month (1-12)
+ * @param {number} job.raysPerStep - Consecutive rays that make up one sun position (across the sun's disk)
+ * @param {number} job.minDistance - Hits this close to a sample point are ignored
+ * @param {number} job.maxDistance - Farthest shadow caster distance
+ * @param {boolean} job.includeCells - Keep every cell's value (stepCount × all cells), not just strings and factors
+ * @param {Function} onProgress - Called with the completed fraction (0..1) about a hundred times
+ * @returns {{factors: Float32Array, cells: Float32Array|null, strings: Float32Array}} Share of direct sun (0-1):
+ *   factors (mean over the panel) at step × panels + panel; cells (only with includeCells) at step × all cells
+ *   + the panel's first cell + cell; strings (the most shaded cell of each) at (step × panels + panel) × stringCount + string
+ */
+export function traceShadowBatch(job, onProgress = null) {
+  const { meshes, transmittance, panels, stringCount = 1, steps, raysPerStep = 1, minDistance, maxDistance, includeCells = false } = job;
+  const scene = createSceneBVH(meshes);
+  const stepCount = steps.length / 4 / raysPerStep;
+  const cellCount = panels.reduce((sum, { samples }) => sum + samples.length / 3, 0);
+  const factors = new Float32Array(stepCount * panels.length);
+  const cells = includeCells ? new Float32Array(stepCount * cellCount) : null;
+  const strings = new Float32Array(stepCount * panels.length * stringCount);
+  const skipSets = panels.map(p => new Set(p.skip));
+  const progressEvery = Math.max(1, Math.ceil(stepCount / 100));
+
+  for (let s = 0; s < stepCount; s++) {
+    const first = s * raysPerStep * 4;
+    const monthOffset = steps[first + 3] - 1;
+    const casterTransmittance = id => transmittance[id * 12 + monthOffset];
+    let cell = s * cellCount;
+
+    panels.forEach(({ samples, columns }, p) => {
+      const skip = id => skipSets[p].has(id);
+      const sampleCount = samples.length / 3;
+      const panelStrings = (s * panels.length + p) * stringCount;
+      strings.fill(1, panelStrings, panelStrings + stringCount);
+      let sum = 0;
+      for (let i = 0; i < sampleCount; i++, cell++) {
+        let lit = 0;
+        for (let r = first; r < first + raysPerStep * 4; r += 4) {
+          const ray = createRay(samples[i * 3], samples[i * 3 + 1], samples[i * 3 + 2], steps[r], steps[r + 1], steps[r + 2]);
+          lit += traceTransmittance(scene, ray, minDistance, maxDistance, casterTransmittance, skip);
+        }
+        const value = lit / raysPerStep;
+        if (cells) cells[cell] = value;
+        sum += value;
+        const string = panelStrings + Math.floor(((i % columns) * stringCount) / columns);
+        strings[string] = Math.min(strings[string], value);
+      }
+      factors[s * panels.length + p] = sampleCount > 0 ? sum / sampleCount : 1;
+    });
+
+    if (onProgress && (s + 1) % progressEvery === 0) onProgress((s + 1) / stepCount);
+  }
+  if (onProgress) onProgress(1);
+  return { factors, cells, strings };
+}
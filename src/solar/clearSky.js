@@ -0,0 +1,178 @@
+import { pressureAtAltitude } from './spa';
+
+// Clear-sky irradiance models
+// All irradiance values are in W/m²; angles are in degrees.
+
+const rad = Math.PI / 180;
+
+export const SOLAR_CONSTANT = 1366.1; // W/m² (ASTM E-490)
+
+// Available clear-sky models
+// INEICHEN: Ineichen-Perez (2002), uses altitude and Linke turbidity, gives DNI/DHI/GHI
+// HAURWITZ: Haurwitz (1945), GHI from zenith only; DNI/DHI split with the Erbs model
+export const CLEAR_SKY_MODELS = {
+	INEICHEN: 'ineichen',
+	HAURWITZ: 'haurwitz'
+};
+
+/**
+ * Gets the day of year (1-366) of an instant in UTC
+ * @param {Date} date - Absolute instant
+ * @returns {number} Day of year
+ */
+export function getDayOfYear(date) {
+	const start = Date.UTC(date.getUTCFullYear(), 0, 1);
+	return Math.floor((date.getTime() - start) / 86400000) + 1;
+}
+
+/**
+ * Extraterrestrial normal irradiance for a day of year (Spencer, 1971)
+ * @param {number} dayOfYear - Day of year (1-366)
+ * @returns {number} DNI at the top of the atmosphere in W/m²
+ */
+export function extraterrestrialRadiation(dayOfYear) {
+	const b = 2 * Math.PI * (dayOfYear - 1) / 365;
+	return SOLAR_CONSTANT * (1.00011 + 0.034221 * Math.cos(b) + 0.00128 * Math.sin(b) +
+		0.000719 * Math.cos(2 * b) + 0.000077 * Math.sin(2 * b));
+}
+
+/**
+ * Relative optical air mass (Kasten & Young, 1989)
+ * @param {number} zenith - Apparent solar zenith in degrees
+ * @returns {number} Relative air mass (Infinity when the sun is below the horizon)
+ */
+export function relativeAirmass(zenith) {
+	if (zenith >= 90) return Infinity;
+	return 1 / (Math.cos(zenith * rad) + 0.50572 * Math.pow(96.07995 - zenith, -1.6364));
+}
+
+/**
+ * Absolute (pressure-corrected) air mass
+ * @param {number} airmass - Relative air mass
+ * @param {number} pressure - Site pressure in millibars (default: 1013.25)
+ * @returns {number} Absolute air mass
+ */
+export function absoluteAirmass(airmass, pressure = 1013.25) {
+	return airmass * pressure / 1013.25;
+}
+
+/**
+ * Picks the Linke turbidity for a date
+ * @param {number|number[]} linkeTurbidity - Single value or 12 monthly values (Jan..Dec)
+ * @param {Date} date - Absolute instant
+ * @returns {number} Linke turbidity factor
+ */
+export function getLinkeTurbidity(linkeTurbidity, date) {
+	if (Array.isArray(linkeTurbidity)) return linkeTurbidity[date.getUTCMonth()];
+	return linkeTurbidity;
+}
+
+/**
+ * Splits GHI into DNI and DHI with the Erbs (1982) diffuse fraction correlation
+ * @param {number} ghi - Global horizontal irradiance in W/m²
+ * @param {number} zenith - Solar zenith in degrees
+ * @param {number} dniExtra - Extraterrestrial normal irradiance in W/m²
+ * @returns {{dni: number, dhi: number, kt: number}} Beam and diffuse parts plus clearness index
+ */
+export function erbsDecomposition(ghi, zenith, dniExtra) {
+	const cosZ = Math.cos(zenith * rad);
+	if (ghi <= 0 || cosZ <= 0.065) {
+		return { dni: 0, dhi: Math.max(0, ghi), kt: 0 };
+	}
+	const kt = Math.min(1, Math.max(0, ghi / (dniExtra * cosZ)));
+
+	let diffuseFraction;
+	if (kt <= 0.22) {
+		diffuseFraction = 1 - 0.09 * kt;
+	} else if (kt <= 0.8) {
+		diffuseFraction = 0.9511 - 0.1604 * kt + 4.388 * kt * kt - 16.638 * kt ** 3 + 12.336 * kt ** 4;
+	} else {
+		diffuseFraction = 0.165;
+	}
+
+	const dhi = ghi * diffuseFraction;
+	const dni = Math.max(0, (ghi - dhi) / cosZ);
+	return { dni, dhi, kt };
+}
+
+/**
+ * Ineichen-Perez clear-sky model (Ineichen & Perez, 2002), as in pvlib
+ * @param {number} zenith - Apparent solar zenith in degrees
+ * @param {number} airmassAbs - Absolute air mass
+ * @param {number} linkeTurbidity - Linke turbidity factor
+ * @param {number} altitude - Site altitude in meters
+ * @param {number} dniExtra - Extraterrestrial normal irradiance in W/m²
+ * @returns {{ghi: number, dni: number, dhi: number}} Clear-sky irradiance
+ */
+export function clearSkyIneichen(zenith, airmassAbs, linkeTurbidity, altitude, dniExtra) {
+	const cosZ = Math.max(Math.cos(zenith * rad), 0);
+	if (cosZ === 0 || !isFinite(airmassAbs)) return { ghi: 0, dni: 0, dhi: 0 };
+
+	const tl = linkeTurbidity;
+	const fh1 = Math.exp(-altitude / 8000);
+	const fh2 = Math.exp(-altitude / 1250);
+	const cg1 = 5.09e-5 * altitude + 0.868;
+	const cg2 = 3.92e-5 * altitude + 0.0387;
+
+	const ghi = cg1 * dniExtra * cosZ * Math.max(0, Math.exp(-cg2 * airmassAbs * (fh1 + fh2 * (tl - 1))));
+
+	const b = 0.664 + 0.163 / fh1;
+	const bnci = dniExtra * Math.max(0, b * Math.exp(-0.09 * airmassAbs * (tl - 1)));
+	// Empirical correction keeping DNI consistent with GHI at low sun
+	const bnci2 = ghi * Math.min(Math.max((1 - (0.1 - 0.2 * Math.exp(-tl)) / (0.1 + 0.882 / fh1)) / cosZ, 0), 1e20);
+	const dni = Math.min(bnci, bnci2);
+	const dhi = Math.max(0, ghi - dni * cosZ);
+
+	return { ghi, dni, dhi };
+}
+
+/**
+ * Haurwitz clear-sky GHI model (Haurwitz, 1945)
+ * @param {number} zenith - Apparent solar zenith in degrees
+ * @returns {number} Clear-sky GHI in W/m²
+ */
+export function clearSkyHaurwitz(zenith) {
+	const cosZ = Math.cos(zenith * rad);
+	if (cosZ <= 0) return 0;
+	return 1098 * cosZ * Math.exp(-0.059 / cosZ);
+}
+
+/**
+ * Clear-sky irradiance at a site for a sun position
+ * @param {Date} date - Absolute instant (for Earth-Sun distance and monthly turbidity)
+ * @param {number} zenith - Apparent solar zenith in degrees
+ * @param {Object} options - Site and model inputs
+ * @param {string} options.model - One of CLEAR_SKY_MODELS (default: INEICHEN)
+ * @param {number} options.altitude - Site altitude in meters (default: 0)
+ * @param {number|number[]} options.linkeTurbidity - Linke turbidity, single or monthly (default: 3)
+ * @returns {{ghi: number, dni: number, dhi: number, dniExtra: number, zenith: number, airmass: number}}
+ *   Irradiance in W/m² with the inputs that produced it
+ */
+export function getClearSkyIrradiance(date, zenith, options = {}) {
+	const {
+		model = CLEAR_SKY_MODELS.INEICHEN,
+		altitude = 0,
+		linkeTurbidity = 3
+	} = options;
+
+	const dniExtra = extraterrestrialRadiation(getDayOfYear(date));
+	const airmass = relativeAirmass(zenith);
+
+	if (zenith >= 90) {
+		return { ghi: 0, dni: 0, dhi: 0, dniExtra, zenith, airmass };
+	}
+
+	let result;
+	if (model === CLEAR_SKY_MODELS.HAURWITZ) {
+		const ghi = clearSkyHaurwitz(zenith);
+		const { dni, dhi } = erbsDecomposition(ghi, zenith, dniExtra);
+		result = { ghi, dni, dhi };
+	} else {
+		// Absolute air mass from the standard pressure at the site altitude
+		const pressure = pressureAtAltitude(altitude);
+		const tl = getLinkeTurbidity(linkeTurbidity, date);
+		result = clearSkyIneichen(zenith, absoluteAirmass(airmass, pressure), tl, altitude, dniExtra);
+	}
+
+	return { ...result, dniExtra, zenith, airmass };
+}
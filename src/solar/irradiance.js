@@ -1,3 +1,10 @@
+import * as THREE from 'three';
+import { getPlaneOfArrayIrradiance } from './transposition';
+import { skyConfig } from './skyConfig';
+
+// Standard Test Conditions irradiance, used as the "full sun" reference for display
+export const STC_IRRADIANCE = 1000; // W/m²
+
 /**
  * Calculate direct solar irradiance on a surface
  * Uses Lambert's cosine law: irradiance = cos(angle between sun and surface normal)
@@ -17,26 +24,76 @@ export function calcIrradiance(sunDir, surfaceNormal) {
 	return Math.max(0, Math.min(1, dot));
 }
 
+/**
+ * Calculate plane-of-array irradiance on a surface: beam, sky diffuse and ground reflected
+ * Shading removes the beam and circumsolar parts; the rest of the sky still reaches the surface
+ * 
+ * @param {THREE.Vector3} sunDir - Normalized sun direction vector (pointing FROM surface TO sun)
+ * @param {THREE.Vector3} surfaceNormal - Normalized surface normal vector (pointing outward)
+ * @param {Object} sky - Sky irradiance {ghi, dni, dhi, dniExtra, zenith, airmass} in W/m²
+ * @param {number} shadowFactor - Unshaded fraction (0-1, where 1 = no shadow; default: 1)
+ * @param {Object} options - Transposition options {model, albedo} (default: from skyConfig)
+ * @returns {{global: number, beam: number, skyDiffuse: number, circumsolar: number, groundDiffuse: number}}
+ *   POA components in W/m², with shading applied to global, beam and circumsolar
+ */
+export function calcPlaneOfArrayIrradiance(sunDir, surfaceNormal, sky, shadowFactor = 1, options = {}) {
+	const {
+		model = skyConfig.transpositionModel,
+		albedo = skyConfig.albedo
+	} = options;
+
+	// Tilt from the normal's vertical component (Z is up); cos(AOI) from the dot product
+	const tilt = Math.acos(Math.max(-1, Math.min(1, surfaceNormal.z))) * 180 / Math.PI;
+	const cosAoi = sunDir.dot(surfaceNormal);
+
+	const poa = getPlaneOfArrayIrradiance(tilt, cosAoi, sky, { model, albedo });
+	const beam = poa.beam * shadowFactor;
+	const circumsolar = poa.circumsolar * shadowFactor;
+	const skyDiffuse = poa.skyDiffuse - poa.circumsolar + circumsolar;
+
+	return {
+		global: beam + skyDiffuse + poa.groundDiffuse,
+		beam,
+		skyDiffuse,
+		circumsolar,
+		groundDiffuse: poa.groundDiffuse
+	};
+}
+
+/**
+ * Plane-of-array irradiance on each cell string of a partly shaded panel
+ * 
+ * @param {THREE.Vector3} sunDir - Normalized sun direction vector
+ * @param {THREE.Vector3} surfaceNormal - Normalized panel normal in world space
+ * @param {Object} sky - Sky irradiance {ghi, dni, dhi, dniExtra, zenith, airmass} in W/m²
+ * @param {ArrayLike<number>} strings - Share of direct sun on each string's most shaded cell (see createShadingMap)
+ * @returns {Array<number>} Global plane-of-array irradiance per cell string in W/m²
+ */
+export function calcStringIrradiance(sunDir, surfaceNormal, sky, strings) {
+	return Array.from(strings, share => calcPlaneOfArrayIrradiance(sunDir, surfaceNormal, sky, share).global);
+}
+
 /**
  * Calculate irradiance for a solar panel
  * Takes into account panel's tilt and azimuth orientation
  * 
  * @param {THREE.Mesh} panelMesh - The panel mesh (must have userData.normal)
  * @param {THREE.Vector3} sunVec - Normalized sun direction vector
- * @returns {number} Irradiance value (0..1)
+ * @param {Object} sky - Sky irradiance {ghi, dni, dhi, dniExtra, zenith, airmass} in W/m²
+ * @returns {number} Plane-of-array irradiance in W/m²
  */
-export function calcPanelIrradiance(panelMesh, sunVec) {
+export function calcPanelIrradiance(panelMesh, sunVec, sky) {
 	// Get panel normal from userData (calculated when panel was created)
 	const panelNormal = panelMesh.userData.normal;
 	
 	if (!panelNormal) {
 		// Fallback: if normal not stored, assume flat panel (upward normal)
 		const flatNormal = new THREE.Vector3(0, 0, 1);
-		return calcIrradiance(sunVec, flatNormal);
+		return calcPlaneOfArrayIrradiance(sunVec, flatNormal, sky).global;
 	}
 	
 	// Use stored normal (already normalized)
-	return calcIrradiance(sunVec, panelNormal);
+	return calcPlaneOfArrayIrradiance(sunVec, panelNormal, sky).global;
 }
 
 /**
@@ -46,22 +103,23 @@ export function calcPanelIrradiance(panelMesh, sunVec) {
  * @param {number} tilt - Panel tilt in degrees (0 = flat, 90 = vertical)
  * @param {number} azimuth - Panel azimuth in degrees (0 = North, 180 = South)
  * @param {THREE.Vector3} sunVec - Normalized sun direction vector
- * @returns {number} Irradiance value (0..1)
+ * @param {Object} sky - Sky irradiance {ghi, dni, dhi, dniExtra, zenith, airmass} in W/m²
+ * @returns {number} Plane-of-array irradiance in W/m²
  */
-export function calcPanelIrradianceFromOrientation(tilt, azimuth, sunVec) {
+export function calcPanelIrradianceFromOrientation(tilt, azimuth, sunVec, sky) {
 	// Calculate panel normal from tilt and azimuth
 	// Start with upward normal (Z-axis)
 	const normal = new THREE.Vector3(0, 0, 1);
 	
 	// Convert to radians
 	const tiltRad = (tilt * Math.PI) / 180;
-	// Use same coordinate conversion as sun vector and panelModel.js
-	const threeJsAzRad = ((90 - azimuth) * Math.PI) / 180;
+	const azRad = (azimuth * Math.PI) / 180;
 	
-	// Apply rotations (same as in panelModel.js)
+	// Apply rotations (same as in panelModel.js): tilt toward North, then clockwise to azimuth
 	normal.applyAxisAngle(new THREE.Vector3(1, 0, 0), -tiltRad);
-	normal.applyAxisAngle(new THREE.Vector3(0, 0, 1), threeJsAzRad);
+	normal.applyAxisAngle(new THREE.Vector3(0, 0, 1), -azRad);
 	normal.normalize();
 	
-	return calcIrradiance(sunVec, normal);
+	// Beam, sky diffuse and ground reflected, so panels facing away from the sun still collect diffuse light
+	return calcPlaneOfArrayIrradiance(sunVec, normal, sky).global;
 }
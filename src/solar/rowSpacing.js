@@ -0,0 +1,93 @@
+// Inter-row spacing design: the smallest row pitch that keeps one row of tilted
+// modules from shading the next at a design sun position. Angles in degrees, lengths in meters.
+
+const rad = Math.PI / 180;
+
+// Earth's axial tilt: solar declination at the solstices
+const SOLSTICE_DECLINATION = 23.44;
+
+/**
+ * Sun position for a latitude, declination and hour angle (solar time)
+ * @param {number} lat - Latitude
+ * @param {number} declination - Solar declination
+ * @param {number} hourAngle - Hour angle (0 at solar noon, 15° per hour, negative in the morning)
+ * @returns {{elevation: number, azimuth: number}} Sun elevation and azimuth (0 = North, clockwise)
+ */
+export function sunPositionFromHourAngle(lat, declination, hourAngle) {
+	const phi = lat * rad;
+	const delta = declination * rad;
+	const h = hourAngle * rad;
+
+	const sinEl = Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.cos(h);
+	const elevation = Math.asin(Math.max(-1, Math.min(1, sinEl))) / rad;
+
+	// Azimuth measured from North, clockwise (same as getSunPosition)
+	const azimuth = Math.atan2(
+		-Math.sin(h) * Math.cos(delta),
+		Math.sin(delta) * Math.cos(phi) - Math.cos(delta) * Math.sin(phi) * Math.cos(h)
+	) / rad;
+
+	return { elevation, azimuth: (azimuth + 360) % 360 };
+}
+
+/**
+ * Row pitch needed to avoid shading at one sun position
+ * The front row's top edge casts a shadow whose length is measured along the
+ * direction the rows face; the next row must start beyond it.
+ * @param {number} tilt - Module tilt
+ * @param {number} moduleHeight - Module length up the slope
+ * @param {number} sunElevation - Design sun elevation
+ * @param {number} sunAzimuth - Design sun azimuth (0 = North, clockwise)
+ * @param {number} panelAzimuth - Direction the rows face (default: 180 = South)
+ * @returns {number} Front edge to front edge pitch (Infinity if the sun is on or below the horizon)
+ */
+export function rowPitchForSun(tilt, moduleHeight, sunElevation, sunAzimuth, panelAzimuth = 180) {
+	const depth = moduleHeight * Math.cos(tilt * rad);
+	const rise = moduleHeight * Math.sin(tilt * rad);
+	if (rise <= 0) return depth; // flat modules don't shade each other
+	if (sunElevation <= 0) return Infinity;
+
+	// Shadow length projected on the row-facing direction
+	const shadow = (rise / Math.tan(sunElevation * rad)) * Math.cos((sunAzimuth - panelAzimuth) * rad);
+	return depth + Math.max(0, shadow);
+}
+
+/**
+ * Minimum row pitch for a design window on the winter solstice
+ * Checks the start and end of the window (the lowest sun) and solar noon,
+ * and returns the pitch for the worst case.
+ * @param {number} tilt - Module tilt
+ * @param {number} moduleHeight - Module length up the slope
+ * @param {number} lat - Site latitude (the winter solstice is picked by hemisphere)
+ * @param {Object} options - Design window
+ * @param {number} options.startHour - Window start in solar time (default: 9)
+ * @param {number} options.endHour - Window end in solar time (default: 15)
+ * @param {number} options.declination - Override the design-day declination (default: winter solstice)
+ * @param {number} options.panelAzimuth - Direction the rows face (default: equator-facing)
+ * @returns {{pitch: number, rowGap: number, groundCoverageRatio: number, sunElevation: number, sunAzimuth: number}}
+ *   Pitch and clear gap between rows in meters, module length / pitch, and the limiting sun position
+ */
+export function calculateMinimumRowPitch(tilt, moduleHeight, lat, options = {}) {
+	const {
+		startHour = 9,
+		endHour = 15,
+		declination = lat >= 0 ? -SOLSTICE_DECLINATION : SOLSTICE_DECLINATION,
+		panelAzimuth = lat >= 0 ? 180 : 0
+	} = options;
+
+	let worst = { pitch: 0, elevation: 90, azimuth: panelAzimuth };
+	[startHour, 12, endHour].forEach(hour => {
+		const { elevation, azimuth } = sunPositionFromHourAngle(lat, declination, (hour - 12) * 15);
+		const pitch = rowPitchForSun(tilt, moduleHeight, elevation, azimuth, panelAzimuth);
+		if (pitch > worst.pitch) worst = { pitch, elevation, azimuth };
+	});
+
+	const depth = moduleHeight * Math.cos(tilt * rad);
+	return {
+		pitch: worst.pitch,
+		rowGap: worst.pitch - depth,
+		groundCoverageRatio: isFinite(worst.pitch) ? moduleHeight / worst.pitch : 0,
+		sunElevation: worst.elevation,
+		sunAzimuth: worst.azimuth
+	};
+}
@@ -0,0 +1,17 @@
+// How finely panel shading is resolved
+// The sample grid follows the module's cells (or its bypass-diode cell strings),
+// and each sample traces several rays across the sun's disk for soft shadow edges.
+export const SHADING_GRIDS = {
+  CELLS: 'cells',               // one sample per cell
+  CELL_STRINGS: 'cell-strings'  // a line of samples along each bypass-diode cell string
+};
+
+export const shadingConfig = {
+  grid: SHADING_GRIDS.CELL_STRINGS, // 'cells' or 'cell-strings'
+  cellColumns: 6,              // cells across the module's short side
+  bypassDiodes: 3,             // cell strings, each a band of columns along the long side
+  stringSamples: 4,            // samples along each cell string ('cell-strings' grid)
+  sunDiameter: 0.53,           // apparent sun diameter in degrees
+  sunDiskSamples: 5,           // rays per sample in the 3D view (1 = point sun, else at least 4)
+  simulationSunDiskSamples: 1  // rays per sample in yield simulations
+};
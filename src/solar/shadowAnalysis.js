@@ -1,58 +1,139 @@
 import * as THREE from 'three';
+import { createMeshBVH, createSceneBVH, createRay, traceTransmittance } from './bvh';
+import { shadingConfig, SHADING_GRIDS } from './shadingConfig';
+
+// Hits closer than this to a sample point are the surface it sits on, not a shadow (m)
+export const MIN_SHADOW_DISTANCE = 0.5;
+
+// Triangle BVH per caster mesh, rebuilt only when its geometry or placement changes
+const meshBVHCache = new WeakMap();
+
+// Fewest rays around the sun disk's ring that still surround its center
+const MIN_SUN_DISK_RING = 3;
+
+// Top-level BVH per caster list (placement and simulation reuse one list for many rays)
+const sceneCache = new WeakMap();
+
+/**
+ * World-space triangles of a mesh
+ * @param {THREE.Mesh} mesh - Caster mesh
+ * @returns {Float32Array} Triangle corners, 9 numbers per triangle
+ */
+function getWorldTriangles(mesh) {
+  const geometry = mesh.geometry;
+  const position = geometry.attributes.position;
+  const index = geometry.index;
+  const count = index ? index.count : position.count;
+  const triangles = new Float32Array(Math.floor(count / 3) * 9);
+  const v = new THREE.Vector3();
+  for (let i = 0; i < triangles.length / 3; i++) {
+    v.fromBufferAttribute(position, index ? index.getX(i) : i).applyMatrix4(mesh.matrixWorld);
+    triangles[i * 3] = v.x;
+    triangles[i * 3 + 1] = v.y;
+    triangles[i * 3 + 2] = v.z;
+  }
+  return triangles;
+}
+
+/**
+ * Triangle BVH of a caster mesh (cached)
+ * @param {THREE.Mesh} mesh - Caster mesh
+ * @returns {Object} Mesh BVH (see createMeshBVH)
+ */
+export function getMeshBVH(mesh) {
+  mesh.updateMatrixWorld();
+  const cached = meshBVHCache.get(mesh);
+  if (cached && cached.geometry === mesh.geometry && cached.matrix.equals(mesh.matrixWorld)) return cached.bvh;
+
+  const bvh = createMeshBVH(getWorldTriangles(mesh));
+  meshBVHCache.set(mesh, { geometry: mesh.geometry, matrix: mesh.matrixWorld.clone(), bvh });
+  return bvh;
+}
+
+/**
+ * Top-level BVH over a list of shadow casters (cached per list)
+ * The cache holds while every caster still has the same mesh BVH, so a caster
+ * that moved or got new geometry rebuilds the scene.
+ * @param {Array} buildingMeshes - Shadow casters {mesh}
+ * @returns {Object} Scene BVH (see createSceneBVH)
+ */
+function getShadowScene(buildingMeshes) {
+  const meshBVHs = buildingMeshes.map(({ mesh }) => getMeshBVH(mesh));
+  const cached = sceneCache.get(buildingMeshes);
+  if (cached && cached.meshBVHs.length === meshBVHs.length &&
+    cached.meshBVHs.every((bvh, i) => bvh === meshBVHs[i])) {
+    return cached.scene;
+  }
+  const scene = createSceneBVH(meshBVHs);
+  sceneCache.set(buildingMeshes, { meshBVHs, scene });
+  return scene;
+}
 
 /**
- * Checks if a point is in shadow by casting a ray toward the sun
+ * Share of direct sun reaching a point, by casting a ray toward the sun
+ * Opaque casters (buildings, panels, terrain) block the ray; casters with a
+ * `transmittance` (tree crowns) let that share through, once per caster crossed.
  * @param {THREE.Vector3} point - The point to check (e.g., panel position)
  * @param {THREE.Vector3} sunVec - Normalized sun direction vector (FROM surface TO sun)
- * @param {Array} buildingMeshes - Array of building mesh objects to check against
+ * @param {Array} buildingMeshes - Shadow casters {mesh, transmittance?} to check against
  * @param {number} maxDistance - Maximum distance to check for shadows (default: 1000m)
- * @returns {boolean} True if point is in shadow, false otherwise
+ * @param {Function} skip - (caster) => true to ignore a caster (default: none)
+ * @returns {number} Transmittance (0 = in full shadow, 1 = in the sun)
+ */
+export function getSunTransmittance(point, sunVec, buildingMeshes, maxDistance = 1000, skip = null) {
+  return traceSunRay(getShadowScene(buildingMeshes), point, sunVec, buildingMeshes, maxDistance, skip);
+}
+
+/**
+ * Traces one ray toward the sun through an already built scene BVH
+ * @param {Object} scene - Scene BVH of buildingMeshes (see getShadowScene)
+ * @param {THREE.Vector3} point - Ray start
+ * @param {THREE.Vector3} sunVec - Normalized direction toward the sun
+ * @param {Array} buildingMeshes - Shadow casters {mesh, transmittance?} the scene was built from
+ * @param {number} maxDistance - Maximum distance to check for shadows
+ * @param {Function} skip - (caster) => true to ignore a caster (or null)
+ * @returns {number} Transmittance (0 = in full shadow, 1 = in the sun)
  */
-export function isPointInShadow(point, sunVec, buildingMeshes, maxDistance = 1000, debugLabel = null) {
-  // Create a raycaster to check for intersections
-  const raycaster = new THREE.Raycaster();
-  
-  // Cast ray FROM point TOWARD sun
-  // sunVec points FROM surface TO sun, so we use it directly (not negated)
-  // The ray should go from the point toward the sun
-  const rayDirection = sunVec.clone();
-  
-  // Set up the ray (from point, toward sun)
-  raycaster.set(point, rayDirection);
-  
-  // Check intersections with all building meshes
-  // buildingMeshes is an array of objects with {mesh, building, ...}
-  // Extract just the mesh objects
-  const meshesToIntersect = buildingMeshes.map(r => r.mesh);
-  const intersects = raycaster.intersectObjects(
-    meshesToIntersect,
-    false // Don't check children
+function traceSunRay(scene, point, sunVec, buildingMeshes, maxDistance, skip) {
+  // Ray FROM the point TOWARD the sun (sunVec already points at the sun)
+  const ray = createRay(point.x, point.y, point.z, sunVec.x, sunVec.y, sunVec.z);
+  return traceTransmittance(
+    scene,
+    ray,
+    MIN_SHADOW_DISTANCE,
+    maxDistance,
+    i => buildingMeshes[i].transmittance || 0,
+    skip && (i => skip(buildingMeshes[i]))
   );
-  
-  if (debugLabel) {
-    console.log(`  [${debugLabel}] Ray from (${point.x.toFixed(1)}, ${point.y.toFixed(1)}, ${point.z.toFixed(1)}) in direction (${rayDirection.x.toFixed(2)}, ${rayDirection.y.toFixed(2)}, ${rayDirection.z.toFixed(2)})`);
-    console.log(`    Checking ${meshesToIntersect.length} meshes, found ${intersects.length} intersections`);
-    if (intersects.length > 0) {
-      intersects.slice(0, 3).forEach((hit, i) => {
-        console.log(`    Hit ${i}: distance=${hit.distance.toFixed(1)}m`);
-      });
-    }
-  }
-  
-  // If there are intersections and the first one is close (within maxDistance),
-  // the point is in shadow
-  if (intersects.length > 0) {
-    const firstIntersection = intersects[0];
-    // Check if intersection is between point and sun (not behind the point)
-    // Use a small threshold to avoid immediate intersections with the panel's own roof
-    if (firstIntersection.distance > 0.5 && firstIntersection.distance < maxDistance) {
-      if (debugLabel) console.log(`    → IN SHADOW (distance ${firstIntersection.distance.toFixed(1)}m)`);
-      return true; // Point is in shadow
-    }
-    if (debugLabel) console.log(`    → NOT in shadow (distance ${firstIntersection.distance.toFixed(1)}m not valid)`);
-  }
-  
-  return false; // Point is not in shadow
+}
+
+/**
+ * Checks if a point is in full shadow by casting a ray toward the sun
+ * @param {THREE.Vector3} point - The point to check (e.g., panel position)
+ * @param {THREE.Vector3} sunVec - Normalized sun direction vector (FROM surface TO sun)
+ * @param {Array} buildingMeshes - Shadow casters {mesh} to check against (buildings, panels)
+ * @param {number} maxDistance - Maximum distance to check for shadows (default: 1000m)
+ * @returns {boolean} True if no direct sun reaches the point
+ */
+export function isPointInShadow(point, sunVec, buildingMeshes, maxDistance = 1000) {
+  return getSunTransmittance(point, sunVec, buildingMeshes, maxDistance) === 0;
+}
+
+/**
+ * Combines roofs, placed panels and other obstacles into one list of shadow casters
+ * Panels are wrapped as {mesh, panel: true} to match the roof mesh objects, and
+ * tree trunks become opaque casters {mesh, trunk: true} of their own.
+ * @param {Array} roofMeshes - Roof mesh objects from addBuildings3D
+ * @param {Array<THREE.Mesh>} panelMeshes - Placed panel meshes
+ * @param {Array} obstacles - Other casters {mesh}: terrain {terrain: true} and trees {trunk?, tree, transmittance}
+ * @returns {Array} Shadow casters for calculatePanelShadowFactor
+ */
+export function getShadowCasters(roofMeshes, panelMeshes = [], obstacles = []) {
+  return [
+    ...roofMeshes,
+    ...panelMeshes.map(mesh => ({ mesh, panel: true })),
+    ...obstacles.flatMap(obstacle => obstacle.trunk ? [obstacle, { mesh: obstacle.trunk, trunk: true }] : [obstacle])
+  ];
 }
 
 /**
@@ -61,95 +142,164 @@ export function isPointInShadow(point, sunVec, buildingMeshes, maxDistance = 100
  * @param {THREE.Vector3} sunVec - Normalized sun direction vector
  * @param {Array} buildingMeshes - Array of building mesh objects
  * @param {number} maxDistance - Maximum distance to check for shadows
- * @returns {number} Shadow factor (0-1, where 1 = no shadow, 0 = full shadow)
+ * @returns {number} Shadow factor (0-1, where 1 = no shadow, 0 = full shadow; trees shade partially)
  */
 export function calculateShadowFactor(panelPosition, sunVec, buildingMeshes, maxDistance = 1000) {
-  const inShadow = isPointInShadow(panelPosition, sunVec, buildingMeshes, maxDistance);
-  return inShadow ? 0 : 1; // Simple binary: either in shadow or not
+  return getSunTransmittance(panelPosition, sunVec, buildingMeshes, maxDistance);
 }
 
 /**
- * Enhanced shadow analysis that checks multiple points on a panel
- * This provides more accurate shadow detection for larger panels
+ * Shading sample grid of a panel for the current shadingConfig
+ * Columns run across the module's short side and rows along its long side, as
+ * the cells do. With the 'cells' grid every cell is a sample (the cell count comes
+ * from the module); with 'cell-strings' each bypass-diode string is one column of
+ * stringSamples samples.
+ * @param {THREE.Mesh} panelMesh - Panel mesh from createPanelMesh
+ * @returns {{columns: number, rows: number, strings: number}} Grid size and number of cell strings
+ */
+export function getShadingGrid(panelMesh) {
+  const { grid, cellColumns, bypassDiodes, stringSamples } = shadingConfig;
+  const strings = Math.max(1, Math.round(bypassDiodes));
+  if (grid === SHADING_GRIDS.CELLS) {
+    const columns = Math.max(1, Math.round(cellColumns));
+    const cells = panelMesh.userData.cells || columns * 12;
+    return { columns, rows: Math.max(1, Math.round(cells / columns)), strings: Math.min(strings, columns) };
+  }
+  return { columns: strings, rows: Math.max(1, Math.round(stringSamples)), strings };
+}
+
+/**
+ * World-space points on a panel's surface where shadows are sampled
+ * One point at the center of each grid cell, so a 1 × 1 grid samples the panel
+ * center. The grid spans the module's own (local) outline, whatever its orientation.
  * @param {THREE.Mesh} panelMesh - The panel mesh
- * @param {THREE.Vector3} sunVec - Normalized sun direction vector
- * @param {Array} buildingMeshes - Array of building mesh objects
- * @param {number} samplePoints - Number of sample points to check (default: 4)
- * @param {THREE.Mesh} excludeMesh - Mesh to exclude from shadow checks (e.g., the roof the panel is on)
- * @returns {number} Shadow factor (0-1, average of all sample points)
+ * @param {{columns: number, rows: number}} grid - Sample grid (default: getShadingGrid)
+ * @returns {Array<THREE.Vector3>} Sample points row by row, slightly above the surface
  */
-export function calculatePanelShadowFactor(panelMesh, sunVec, buildingMeshes, samplePoints = 4, excludeMesh = null) {
-  // Get panel bounding box to sample points
+export function getPanelSamplePoints(panelMesh, grid = getShadingGrid(panelMesh)) {
   panelMesh.updateMatrixWorld(true);
-  const box = new THREE.Box3().setFromObject(panelMesh);
+  if (!panelMesh.geometry.boundingBox) panelMesh.geometry.computeBoundingBox();
+  const box = panelMesh.geometry.boundingBox;
   const size = box.getSize(new THREE.Vector3());
   const center = box.getCenter(new THREE.Vector3());
-  
-  // Sample points on the panel surface (in panel's local space)
+
   // Offset slightly above the panel surface to avoid immediate intersections
-  const offsetZ = size.z * 0.6; // Offset by 60% of panel thickness above surface
-  const localSamples = [];
-  if (samplePoints === 1) {
-    // Just check center
-    localSamples.push(new THREE.Vector3(0, 0, offsetZ));
-  } else if (samplePoints === 4) {
-    // Check 4 corners (in local space)
-    const halfX = size.x * 0.4;
-    const halfY = size.y * 0.4;
-    localSamples.push(
-      new THREE.Vector3(-halfX, -halfY, offsetZ),
-      new THREE.Vector3(halfX, -halfY, offsetZ),
-      new THREE.Vector3(-halfX, halfY, offsetZ),
-      new THREE.Vector3(halfX, halfY, offsetZ)
-    );
-  } else {
-    // Grid sampling
-    const gridSize = Math.ceil(Math.sqrt(samplePoints));
-    for (let i = 0; i < gridSize; i++) {
-      for (let j = 0; j < gridSize; j++) {
-        const x = (i / (gridSize - 1) - 0.5) * size.x * 0.8;
-        const y = (j / (gridSize - 1) - 0.5) * size.y * 0.8;
-        localSamples.push(new THREE.Vector3(x, y, offsetZ));
-      }
+  const offsetZ = center.z + size.z * 0.6; // 60% of panel thickness above the middle
+
+  // Columns across the short side, rows along the long side
+  const acrossX = size.x <= size.y;
+  const shortSide = acrossX ? size.x : size.y;
+  const longSide = acrossX ? size.y : size.x;
+
+  const samples = [];
+  for (let row = 0; row < grid.rows; row++) {
+    const along = ((row + 0.5) / grid.rows - 0.5) * longSide;
+    for (let column = 0; column < grid.columns; column++) {
+      const across = ((column + 0.5) / grid.columns - 0.5) * shortSide;
+      samples.push(new THREE.Vector3(
+        center.x + (acrossX ? across : along),
+        center.y + (acrossX ? along : across),
+        offsetZ
+      ).applyMatrix4(panelMesh.matrixWorld));
     }
   }
-  
-  // Transform local sample points to world space
-  const samples = localSamples.map(localPoint => {
-    const worldPoint = localPoint.clone();
-    worldPoint.applyMatrix4(panelMesh.matrixWorld);
-    return worldPoint;
-  });
-  
-  console.log(`\n[SHADOW] Panel at (${center.x.toFixed(1)}, ${center.y.toFixed(1)}, ${center.z.toFixed(1)}), checking ${samples.length} sample points`);
-  console.log(`  buildingMeshes.length=${buildingMeshes.length}, excludeMesh=${excludeMesh ? 'YES' : 'NO'}`);
-  
-  // Check each sample point
-  let shadowedCount = 0;
-  samples.forEach((samplePoint, idx) => {
-    // Filter out the excludeMesh (roof the panel is on) from shadow checks
-    // Create a new array with only the meshes we want to check
-    let meshesToCheck = buildingMeshes;
-    if (excludeMesh) {
-      // Filter the buildingMeshes array to exclude the target mesh
-      meshesToCheck = buildingMeshes.filter(roofObj => roofObj.mesh !== excludeMesh);
-      const excluded = buildingMeshes.length - meshesToCheck.length;
-      if (excluded > 0) {
-        console.log(`  Sample ${idx + 1}: Excluded ${excluded} roof mesh, checking ${meshesToCheck.length} remaining`);
-      } else {
-        console.log(`  Sample ${idx + 1}: No mesh excluded (excludeMesh not found in array!), checking all ${meshesToCheck.length}`);
-      }
-    }
-    
-    if (isPointInShadow(samplePoint, sunVec, meshesToCheck, 1000, `Sample${idx + 1}`)) {
-      shadowedCount++;
+  return samples;
+}
+
+/**
+ * Directions to points spread over the sun's disk, each standing for an equal share of it
+ * The first ray is the disk center; the others form a ring at the radius that splits
+ * the rest of the disk in two equal areas. The disk is taken as evenly bright. The
+ * ring always has at least three rays, so 2 or 3 samples become 4; fewer would
+ * pull the penumbra toward one side.
+ * @param {THREE.Vector3} sunVec - Normalized direction to the sun's center
+ * @param {number} samples - Number of rays (default: shadingConfig.sunDiskSamples; 1 = point sun)
+ * @param {number} diameter - Apparent sun diameter in degrees (default: shadingConfig.sunDiameter)
+ * @returns {Array<THREE.Vector3>} Normalized directions toward the sun
+ */
+export function getSunDiskVectors(sunVec, samples = shadingConfig.sunDiskSamples, diameter = shadingConfig.sunDiameter) {
+  const directions = [sunVec.clone()];
+  if (Math.round(samples) <= 1) return directions;
+  const count = Math.max(MIN_SUN_DISK_RING + 1, Math.round(samples));
+
+  // Two directions perpendicular to the sun direction
+  const helper = Math.abs(sunVec.z) < 0.9 ? new THREE.Vector3(0, 0, 1) : new THREE.Vector3(1, 0, 0);
+  const u = new THREE.Vector3().crossVectors(sunVec, helper).normalize();
+  const v = new THREE.Vector3().crossVectors(sunVec, u);
+
+  const radius = (diameter / 2) * Math.PI / 180;
+  const ringRadius = radius * Math.sqrt((1 / count + 1) / 2);
+  for (let i = 0; i < count - 1; i++) {
+    const angle = (i / (count - 1)) * Math.PI * 2;
+    directions.push(sunVec.clone()
+      .multiplyScalar(Math.cos(ringRadius))
+      .addScaledVector(u, Math.sin(ringRadius) * Math.cos(angle))
+      .addScaledVector(v, Math.sin(ringRadius) * Math.sin(angle))
+      .normalize());
+  }
+  return directions;
+}
+
+/**
+ * Groups per-cell sun shares into a shading map
+ * Cell strings are bands of whole columns; a string is as shaded as its most
+ * shaded cell, since that cell limits the current of the whole string.
+ * @param {{columns: number, rows: number, strings: number}} grid - Sample grid (see getShadingGrid)
+ * @param {Float32Array} cells - Share of direct sun reaching each cell, row by row
+ * @returns {{columns: number, rows: number, cells: Float32Array, strings: Float32Array, factor: number}}
+ *   Shading map; `factor` is the mean over all cells (the share of beam light on the panel)
+ */
+export function createShadingMap(grid, cells) {
+  const { columns, rows } = grid;
+  const strings = new Float32Array(grid.strings).fill(1);
+  let sum = 0;
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const value = cells[row * columns + column];
+      const string = Math.floor((column * grid.strings) / columns);
+      strings[string] = Math.min(strings[string], value);
+      sum += value;
     }
-  });
-  
-  const shadowFactor = 1 - (shadowedCount / samples.length);
-  console.log(`  → Result: ${shadowedCount}/${samples.length} shadowed = shadow factor ${shadowFactor.toFixed(2)}\n`);
-  
-  // Return fraction of panel that's not shadowed
-  return shadowFactor;
+  }
+  return { columns, rows, cells, strings, factor: cells.length > 0 ? sum / cells.length : 1 };
 }
 
+/**
+ * Shading map of a panel: the share of direct sun on each cell
+ * Every sample of the panel's shading grid traces rays across the sun's disk, so
+ * shadow edges get a penumbra instead of jumping from one sample to the next.
+ * @param {THREE.Mesh} panelMesh - The panel mesh
+ * @param {THREE.Vector3} sunVec - Normalized sun direction vector
+ * @param {Array} buildingMeshes - Shadow casters {mesh}; may include the panel itself (see getShadowCasters)
+ * @param {THREE.Mesh} excludeMesh - Mesh to exclude from shadow checks (e.g., the roof the panel is on)
+ * @param {number} sunDiskSamples - Rays per sample (default: shadingConfig.sunDiskSamples)
+ * @returns {Object} Shading map (see createShadingMap)
+ */
+export function calculatePanelShading(panelMesh, sunVec, buildingMeshes, excludeMesh = null,
+  sunDiskSamples = shadingConfig.sunDiskSamples) {
+  const grid = getShadingGrid(panelMesh);
+  const samples = getPanelSamplePoints(panelMesh, grid);
+  const rays = getSunDiskVectors(sunVec, sunDiskSamples);
+
+  // A panel never shades itself, nor does the roof it sits on
+  const skip = caster => caster.mesh === panelMesh || caster.mesh === excludeMesh;
+
+  // Partly shaded rays count by the light getting through
+  const scene = getShadowScene(buildingMeshes);
+  const cells = Float32Array.from(samples, point =>
+    rays.reduce((sum, ray) => sum + traceSunRay(scene, point, ray, buildingMeshes, 1000, skip), 0) / rays.length);
+
+  return createShadingMap(grid, cells);
+}
+
+/**
+ * Shadow factor of a panel, averaged over its shading grid and the sun's disk
+ * @param {THREE.Mesh} panelMesh - The panel mesh
+ * @param {THREE.Vector3} sunVec - Normalized sun direction vector
+ * @param {Array} buildingMeshes - Shadow casters {mesh}; may include the panel itself (see getShadowCasters)
+ * @param {THREE.Mesh} excludeMesh - Mesh to exclude from shadow checks (e.g., the roof the panel is on)
+ * @returns {number} Shadow factor (0-1, where 1 = no shadow)
+ */
+export function calculatePanelShadowFactor(panelMesh, sunVec, buildingMeshes, excludeMesh = null) {
+  return calculatePanelShading(panelMesh, sunVec, buildingMeshes, excludeMesh).factor;
+}
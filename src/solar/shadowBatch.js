@@ -0,0 +1,105 @@
+import { getMeshBVH, getPanelSamplePoints, getShadingGrid, getSunDiskVectors, MIN_SHADOW_DISTANCE } from './shadowAnalysis';
+import { shadingConfig } from './shadingConfig';
+import { getCrownTransmittance } from '../vegetation/leafSeason';
+
+/**
+ * Batch shadow queries in a Web Worker
+ * Long runs (a day, a year) send the casters' BVHs, the panels' sample points
+ * and every sun position to the shadow worker once, and get back the shading of
+ * every cell and cell string without blocking the page.
+ */
+
+/**
+ * Computes panel shading for many sun positions in the shadow worker
+ * Tree crowns use the leaf season of each step's month. Each panel is sampled on
+ * its shading grid (see getShadingGrid), each sample with sunDiskSamples rays.
+ * @param {Object} params - Batch inputs
+ * @param {Array} params.casters - Shadow casters {mesh, tree?, transmittance?} (see getShadowCasters)
+ * @param {Array<{panel: THREE.Mesh, roofMesh: THREE.Mesh|null}>} params.panels - Panels and the roofs they sit on
+ * @param {Array<{sunVec: THREE.Vector3, month: number}>} params.steps - Sun direction and site-local month (1-12)
+ * @param {number} params.lat - Site latitude in degrees (for the leaf season)
+ * @param {number} params.sunDiskSamples - Rays across the sun's disk (default: shadingConfig.simulationSunDiskSamples)
+ * @param {boolean} params.includeCells - Also return every cell's shading (large: steps × all cells)
+ * @param {Function} params.onProgress - Called with the completed fraction (0..1)
+ * @param {Function} params.isCancelled - Checked as progress arrives; returning true stops the worker
+ * @returns {Promise<Object|null>} {factors, cells, cellCount, cellOffsets, strings, stringCount}, or null
+ *   if cancelled. Shares of direct sun (0-1): factors[step × panels + panel] is the mean over a panel,
+ *   cells[step × cellCount + cellOffsets[panel] + cell] one cell of its shading grid (row by row; null
+ *   unless includeCells) and
+ *   strings[(step × panels + panel) × stringCount + string] the most shaded cell of a cell string
+ */
+export function computeShadowFactors({
+  casters,
+  panels,
+  steps,
+  lat,
+  sunDiskSamples = shadingConfig.simulationSunDiskSamples,
+  includeCells = false,
+  onProgress = null,
+  isCancelled = () => false
+}) {
+  const casterIndex = new Map(casters.map(({ mesh }, i) => [mesh, i]));
+
+  const transmittance = new Float32Array(casters.length * 12);
+  casters.forEach((caster, i) => {
+    for (let month = 1; month <= 12; month++) {
+      transmittance[i * 12 + month - 1] = caster.tree
+        ? getCrownTransmittance(caster.tree.leafCycle, month, lat)
+        : caster.transmittance || 0;
+    }
+  });
+
+  const grids = panels.map(({ panel }) => getShadingGrid(panel));
+  const stringCount = Math.max(1, ...grids.map(grid => grid.strings));
+  const cellOffsets = [];
+  let cellCount = 0;
+  grids.forEach(({ columns, rows }) => {
+    cellOffsets.push(cellCount);
+    cellCount += columns * rows;
+  });
+
+  const diskRays = steps.map(({ sunVec }) => getSunDiskVectors(sunVec, sunDiskSamples));
+
+  const job = {
+    meshes: casters.map(({ mesh }) => getMeshBVH(mesh)),
+    transmittance,
+    panels: panels.map(({ panel, roofMesh }, i) => ({
+      samples: Float32Array.from(getPanelSamplePoints(panel, grids[i]).flatMap(p => [p.x, p.y, p.z])),
+      columns: grids[i].columns,
+      skip: [panel, roofMesh].filter(mesh => casterIndex.has(mesh)).map(mesh => casterIndex.get(mesh))
+    })),
+    stringCount,
+    steps: Float32Array.from(diskRays.flatMap((rays, s) => rays.flatMap(ray => [ray.x, ray.y, ray.z, steps[s].month]))),
+    raysPerStep: diskRays.length > 0 ? diskRays[0].length : 1,
+    minDistance: MIN_SHADOW_DISTANCE,
+    maxDistance: 1000,
+    includeCells
+  };
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./shadowWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        if (isCancelled()) {
+          worker.terminate();
+          resolve(null);
+        } else if (onProgress) {
+          onProgress(data.fraction);
+        }
+        return;
+      }
+      worker.terminate();
+      if (data.type === 'done') {
+        const { factors, cells, strings } = data;
+        resolve({ factors, cells, cellCount, cellOffsets, strings, stringCount });
+      } else {
+        reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Shadow worker failed'));
+    };
+    worker.postMessage(job);
+  });
+}
@@ -0,0 +1,17 @@
+import { traceShadowBatch } from './bvh';
+
+/**
+ * Shadow worker
+ * Runs traceShadowBatch off the main thread so long simulations don't freeze
+ * the page. Posts {type: 'progress', fraction} while tracing, then
+ * {type: 'done', factors, cells, strings} (cells null unless job.includeCells) or {type: 'error', message}. To cancel, terminate it.
+ */
+
+self.onmessage = ({ data }) => {
+  try {
+    const { factors, cells, strings } = traceShadowBatch(data, fraction => self.postMessage({ type: 'progress', fraction }));
+    self.postMessage({ type: 'done', factors, cells, strings }, [factors, cells, strings].filter(Boolean).map(array => array.buffer));
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
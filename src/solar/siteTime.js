@@ -0,0 +1,159 @@
+import { solarScene } from '../data/solarScene';
+
+/**
+ * Site-local time handling
+ * Every time the user enters or sees is wall-clock time at the site, in the IANA
+ * timezone stored on solarScene.location. This module is the one place where
+ * site-local times are converted to the UTC instants getSunPosition expects.
+ */
+
+export const DEFAULT_TIMEZONE = 'UTC';
+
+// Intl formatters are expensive to create, so keep one per timezone
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  let formatter = formatterCache.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    formatterCache.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Checks whether a string is a timezone this browser knows
+ * @param {string} timeZone - IANA timezone name (e.g. "Asia/Dhaka")
+ * @returns {boolean} True if the timezone can be used
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Gets the timezone of the current site, falling back to UTC
+ * @returns {string} IANA timezone name
+ */
+export function getSiteTimeZone() {
+  const tz = solarScene.location.timezone;
+  return isValidTimeZone(tz) ? tz : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Lists the IANA timezones the browser supports
+ * @returns {string[]} Timezone names
+ */
+export function listTimeZones() {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return Intl.supportedValuesOf('timeZone');
+  }
+  return [DEFAULT_TIMEZONE];
+}
+
+/**
+ * Splits an instant into wall-clock fields in a timezone
+ * @param {Date} date - Absolute instant
+ * @param {string} timeZone - IANA timezone name (default: site timezone)
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ *   Local fields (month is 1-12)
+ */
+export function getSiteTimeParts(date, timeZone = getSiteTimeZone()) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value);
+  });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+/**
+ * Gets the UTC offset of a timezone at an instant (DST aware)
+ * @param {Date} date - Absolute instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Offset in minutes (local - UTC, e.g. +360 for Asia/Dhaka)
+ */
+export function getTimeZoneOffset(date, timeZone = getSiteTimeZone()) {
+  const p = getSiteTimeParts(date, timeZone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUTC - instant) / 60000);
+}
+
+/**
+ * Gets the standard-time (non-DST) UTC offset of a timezone for a year
+ * Standard time is the smaller of the January and July offsets.
+ * @param {number} year - Calendar year
+ * @param {string} timeZone - IANA timezone name (default: site timezone)
+ * @returns {number} Offset in minutes (local - UTC)
+ */
+export function getStandardTimeOffset(year, timeZone = getSiteTimeZone()) {
+  const january = getTimeZoneOffset(new Date(Date.UTC(year, 0, 1)), timeZone);
+  const july = getTimeZoneOffset(new Date(Date.UTC(year, 6, 1)), timeZone);
+  return Math.min(january, july);
+}
+
+/**
+ * Converts a site-local wall-clock time to an absolute instant
+ * Times skipped by a DST jump resolve to the equivalent time after the jump;
+ * times repeated by a DST fall-back resolve to the first occurrence.
+ * @param {Object} local - Local fields {year, month (1-12), day, hour, minute, second}
+ * @param {string} timeZone - IANA timezone name (default: site timezone)
+ * @returns {Date} Absolute instant (the UTC time getSunPosition needs)
+ */
+export function siteTimeToUTC(local, timeZone = getSiteTimeZone()) {
+  const { year, month, day, hour = 0, minute = 0, second = 0 } = local;
+  const wallAsUTC = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Offsets either side of the wall time; they differ only around a DST change
+  const before = getTimeZoneOffset(new Date(wallAsUTC - 86400000), timeZone);
+  const after = getTimeZoneOffset(new Date(wallAsUTC + 86400000), timeZone);
+
+  // Prefer the earlier offset (first occurrence for repeated times)
+  const candidate = wallAsUTC - before * 60000;
+  if (getTimeZoneOffset(new Date(candidate), timeZone) === before) {
+    return new Date(candidate);
+  }
+  const fallback = wallAsUTC - after * 60000;
+  if (getTimeZoneOffset(new Date(fallback), timeZone) === after) {
+    return new Date(fallback);
+  }
+  // Wall time falls in a DST gap: shift it forward by the size of the gap
+  return new Date(wallAsUTC - before * 60000);
+}
+
+/**
+ * Formats an instant as site-local "YYYY-MM-DD HH:MM (UTC+hh:mm)"
+ * @param {Date} date - Absolute instant
+ * @param {string} timeZone - IANA timezone name (default: site timezone)
+ * @returns {string} Formatted time
+ */
+export function formatSiteTime(date, timeZone = getSiteTimeZone()) {
+  const p = getSiteTimeParts(date, timeZone);
+  const pad = n => n.toString().padStart(2, '0');
+  const offset = getTimeZoneOffset(date, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)} ` +
+    `(UTC${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)})`;
+}
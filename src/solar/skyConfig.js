@@ -0,0 +1,9 @@
+import { CLEAR_SKY_MODELS } from './clearSky';
+import { TRANSPOSITION_MODELS, DEFAULT_ALBEDO } from './transposition';
+
+// Sky model configuration - stores current irradiance model settings
+export const skyConfig = {
+  clearSkyModel: CLEAR_SKY_MODELS.INEICHEN,         // 'ineichen' or 'haurwitz'
+  transpositionModel: TRANSPOSITION_MODELS.PEREZ,   // 'isotropic', 'haydavies' or 'perez'
+  albedo: DEFAULT_ALBEDO                            // ground reflectance (0..1)
+};
@@ -1,8 +1,28 @@
+import { getSunPositionSPA, atmosphericRefraction, pressureAtAltitude } from './spa';
+
+// Available sun position algorithms
+// FAST: NOAA Solar Calculator (simplified), good to ~0.1° within a few decades of 2000
+// PRECISE: NREL SPA, good to ±0.0003°, roughly 20x slower
+export const SUN_ALGORITHMS = {
+	FAST: 'noaa',
+	PRECISE: 'spa'
+};
+
 // Calculate sun position (azimuth, elevation) for a given date, lat, lon
-// Returns { azimuth, elevation } in degrees
+// date is an absolute instant; only its UTC fields are read, so convert
+// site-local wall-clock times with siteTimeToUTC (solar/siteTime.js) first
+// options: { algorithm, refraction, altitude (m), pressure (mbar), temperature (°C), deltaT (s) }
+// Returns { azimuth, elevation, zenith, hourAngle, declination } in degrees
+export function getSunPosition(date, lat, lon, options = {}) {
+	if (options.algorithm === SUN_ALGORITHMS.PRECISE) {
+		return getSunPositionSPA(date, lat, lon, options);
+	}
+	return getSunPositionNOAA(date, lat, lon, options);
+}
+
 // Formula: NOAA Solar Calculator (simplified)
-export function getSunPosition(date, lat, lon) {
-	// Convert date to UTC
+// Honors options.refraction, options.pressure/altitude and options.temperature
+export function getSunPositionNOAA(date, lat, lon, options = {}) {
 	const rad = Math.PI / 180;
 	const day = date.getUTCDate();
 	const month = date.getUTCMonth() + 1;
@@ -36,20 +56,26 @@ export function getSunPosition(date, lat, lon) {
 	// Hour angle (in radians)
 	const ha = (tst / 4 - 180) * rad;
 
-	// Solar zenith angle
+	// Solar zenith angle (clamped so rounding can't push acos out of range)
 	const latRad = lat * rad;
-	const zenith = Math.acos(
-		Math.sin(latRad) * Math.sin(decl) + Math.cos(latRad) * Math.cos(decl) * Math.cos(ha)
-	);
+	const cosZenith = Math.sin(latRad) * Math.sin(decl) + Math.cos(latRad) * Math.cos(decl) * Math.cos(ha);
+	const zenith = Math.acos(Math.min(1, Math.max(-1, cosZenith)));
 	// Solar elevation angle
-	const elevation = 90 - zenith / rad;
+	let elevation = 90 - zenith / rad;
+	if (options.refraction) {
+		const pressure = options.pressure !== undefined ? options.pressure : pressureAtAltitude(options.altitude || 0);
+		elevation += atmosphericRefraction(elevation, pressure, options.temperature);
+	}
+
+	// Solar azimuth angle from atan2, which stays defined at the zenith
+	// (the acos form divides by sin(zenith) and returns NaN there)
+	const azimuth = (Math.atan2(
+		Math.sin(ha),
+		Math.cos(ha) * Math.sin(latRad) - Math.tan(decl) * Math.cos(latRad)
+	) / rad + 540) % 360;
 
-	// Solar azimuth angle
-	let azimuth = Math.acos(
-		(Math.sin(decl) - Math.sin(latRad) * Math.cos(zenith)) /
-		(Math.cos(latRad) * Math.sin(zenith))
-	) / rad;
-	if (ha > 0) azimuth = 360 - azimuth;
+	// Hour angle normalized to -180..180 degrees
+	const hourAngle = ((ha / rad) % 360 + 540) % 360 - 180;
 
-	return { azimuth, elevation };
+	return { azimuth, elevation, zenith: 90 - elevation, hourAngle, declination: decl / rad };
 }
@@ -0,0 +1,68 @@
+import { getSunPosition } from './sunPosition';
+import { getSiteTimeZone, getSiteTimeParts, siteTimeToUTC } from './siteTime';
+
+// Sun center elevation at sunrise/sunset: 34' refraction + 16' solar semi-diameter
+const SUNRISE_ELEVATION = -0.8333;
+
+const HOUR_MS = 3600000;
+
+/**
+ * Calculates solar noon, sunrise, sunset and day length for a site-local day
+ * Works with either algorithm from getSunPosition by searching the geometric
+ * (unrefracted) elevation, so results match the chosen algorithm's precision.
+ * @param {Date} date - Any instant within the wanted day
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {Object} options - getSunPosition options (algorithm, altitude, deltaT) plus:
+ * @param {string} options.timeZone - IANA timezone defining the day (default: site timezone)
+ * @returns {{solarNoon: Date, sunrise: Date|null, sunset: Date|null, dayLength: number}}
+ *   Instants; sunrise/sunset are null during polar day or night; dayLength in hours
+ */
+export function getSunTimes(date, lat, lon, options = {}) {
+  const { timeZone = getSiteTimeZone(), ...positionOptions } = options;
+  const posOptions = { ...positionOptions, refraction: false };
+  const elevationAt = t => getSunPosition(new Date(t), lat, lon, posOptions).elevation;
+
+  // Start from local midday and walk the hour angle to zero
+  const { year, month, day } = getSiteTimeParts(date, timeZone);
+  let noon = siteTimeToUTC({ year, month, day, hour: 12 }, timeZone).getTime();
+  for (let i = 0; i < 4; i++) {
+    const { hourAngle } = getSunPosition(new Date(noon), lat, lon, posOptions);
+    noon -= (hourAngle / 15) * HOUR_MS;
+  }
+
+  const noonElevation = elevationAt(noon);
+  const midnightElevation = elevationAt(noon - 12 * HOUR_MS);
+
+  // Polar night: the sun never clears the horizon
+  if (noonElevation < SUNRISE_ELEVATION) {
+    return { solarNoon: new Date(noon), sunrise: null, sunset: null, dayLength: 0 };
+  }
+  // Midnight sun: the sun never sets
+  if (midnightElevation > SUNRISE_ELEVATION) {
+    return { solarNoon: new Date(noon), sunrise: null, sunset: null, dayLength: 24 };
+  }
+
+  // Bisect for the horizon crossing between two instants (to within a second)
+  function findCrossing(start, end, rising) {
+    let lo = start;
+    let hi = end;
+    while (hi - lo > 1000) {
+      const mid = (lo + hi) / 2;
+      const above = elevationAt(mid) > SUNRISE_ELEVATION;
+      if (above === rising) hi = mid;
+      else lo = mid;
+    }
+    return new Date(Math.round((lo + hi) / 2));
+  }
+
+  const sunrise = findCrossing(noon - 12 * HOUR_MS, noon, true);
+  const sunset = findCrossing(noon, noon + 12 * HOUR_MS, false);
+
+  return {
+    solarNoon: new Date(noon),
+    sunrise,
+    sunset,
+    dayLength: (sunset.getTime() - sunrise.getTime()) / HOUR_MS
+  };
+}
@@ -0,0 +1,20 @@
+import * as THREE from 'three';
+
+/**
+ * Converts a solar azimuth/elevation to a direction vector in scene coordinates
+ * Scene axes: +X = East, +Y = North, +Z = Up (same as latLonToLocal output)
+ * Solar azimuth: 0° = North, 90° = East, 180° = South, 270° = West (clockwise from North)
+ * @param {number} azimuth - Solar azimuth in degrees
+ * @param {number} elevation - Solar elevation in degrees
+ * @param {THREE.Vector3} target - Vector to write into (default: new vector)
+ * @returns {THREE.Vector3} Normalized direction FROM surface TO sun
+ */
+export function getSunVector(azimuth, elevation, target = new THREE.Vector3()) {
+  const azRad = (azimuth * Math.PI) / 180;
+  const elRad = (elevation * Math.PI) / 180;
+  return target.set(
+    Math.cos(elRad) * Math.sin(azRad),
+    Math.cos(elRad) * Math.cos(azRad),
+    Math.sin(elRad)
+  ).normalize();
+}
@@ -0,0 +1,163 @@
+// Transposition models: irradiance on a tilted plane from beam, sky-diffuse and
+// ground-reflected components. Irradiance in W/m², angles in degrees.
+
+const rad = Math.PI / 180;
+
+// Available sky-diffuse transposition models
+export const TRANSPOSITION_MODELS = {
+	ISOTROPIC: 'isotropic',
+	HAY_DAVIES: 'haydavies',
+	PEREZ: 'perez'
+};
+
+export const DEFAULT_ALBEDO = 0.2; // typical grass / concrete
+
+// Perez et al. (1990) "allsitescomposite1990" coefficients, one row per sky clearness bin
+// F1 = f11 + f12·Δ + f13·Z, F2 = f21 + f22·Δ + f23·Z
+const PEREZ_F1 = [
+	[-0.008, 0.588, -0.062], [0.130, 0.683, -0.151], [0.330, 0.487, -0.221], [0.568, 0.187, -0.295],
+	[0.873, -0.392, -0.362], [1.132, -1.237, -0.412], [1.060, -1.600, -0.359], [0.678, -0.327, -0.250]
+];
+const PEREZ_F2 = [
+	[-0.060, 0.072, -0.022], [-0.019, 0.066, -0.029], [0.055, -0.064, -0.026], [0.109, -0.152, -0.014],
+	[0.226, -0.462, 0.001], [0.288, -0.823, 0.056], [0.264, -1.127, 0.131], [0.156, -1.377, 0.251]
+];
+// Lower bounds of the sky clearness (ε) bins
+const PEREZ_EPSILON_BINS = [1, 1.065, 1.23, 1.5, 1.95, 2.8, 4.5, 6.2];
+
+/**
+ * Cosine of the angle of incidence between the sun and a tilted plane
+ * @param {number} surfaceTilt - Plane tilt (0 = flat, 90 = vertical)
+ * @param {number} surfaceAzimuth - Plane azimuth (0 = North, 180 = South)
+ * @param {number} sunZenith - Solar zenith
+ * @param {number} sunAzimuth - Solar azimuth (0 = North, clockwise)
+ * @returns {number} cos(AOI), negative when the sun is behind the plane
+ */
+export function cosAngleOfIncidence(surfaceTilt, surfaceAzimuth, sunZenith, sunAzimuth) {
+	const t = surfaceTilt * rad;
+	const z = sunZenith * rad;
+	return Math.cos(z) * Math.cos(t) +
+		Math.sin(z) * Math.sin(t) * Math.cos((sunAzimuth - surfaceAzimuth) * rad);
+}
+
+/**
+ * Isotropic sky diffuse (Liu & Jordan): the whole sky dome is equally bright
+ * @param {number} surfaceTilt - Plane tilt
+ * @param {number} dhi - Diffuse horizontal irradiance
+ * @returns {number} Sky diffuse on the plane
+ */
+export function isotropicSky(surfaceTilt, dhi) {
+	return dhi * (1 + Math.cos(surfaceTilt * rad)) / 2;
+}
+
+/**
+ * Hay-Davies sky diffuse: circumsolar part weighted by the anisotropy index DNI/DNIextra
+ * @param {number} surfaceTilt - Plane tilt
+ * @param {number} cosAoi - cos(angle of incidence)
+ * @param {number} sunZenith - Solar zenith
+ * @param {number} dni - Direct normal irradiance
+ * @param {number} dhi - Diffuse horizontal irradiance
+ * @param {number} dniExtra - Extraterrestrial normal irradiance
+ * @returns {{total: number, isotropic: number, circumsolar: number}} Sky diffuse parts on the plane
+ */
+export function hayDaviesSky(surfaceTilt, cosAoi, sunZenith, dni, dhi, dniExtra) {
+	const anisotropy = dniExtra > 0 ? Math.min(1, dni / dniExtra) : 0;
+	const cosZ = Math.max(Math.cos(sunZenith * rad), 0.01745); // cos(89°) floor
+	const rb = Math.max(0, cosAoi) / cosZ;
+
+	const isotropic = dhi * (1 - anisotropy) * (1 + Math.cos(surfaceTilt * rad)) / 2;
+	const circumsolar = dhi * anisotropy * rb;
+	return { total: isotropic + circumsolar, isotropic, circumsolar };
+}
+
+/**
+ * Perez (1990) sky diffuse: isotropic background, circumsolar disc and horizon band
+ * @param {number} surfaceTilt - Plane tilt
+ * @param {number} cosAoi - cos(angle of incidence)
+ * @param {number} sunZenith - Solar zenith
+ * @param {number} dni - Direct normal irradiance
+ * @param {number} dhi - Diffuse horizontal irradiance
+ * @param {number} dniExtra - Extraterrestrial normal irradiance
+ * @param {number} airmass - Relative air mass
+ * @returns {{total: number, isotropic: number, circumsolar: number, horizon: number}} Sky diffuse parts
+ */
+export function perezSky(surfaceTilt, cosAoi, sunZenith, dni, dhi, dniExtra, airmass) {
+	if (dhi <= 0 || !isFinite(airmass)) {
+		return { total: 0, isotropic: 0, circumsolar: 0, horizon: 0 };
+	}
+
+	const z = sunZenith * rad;
+	const kappa = 1.041; // for zenith in radians
+	const z3 = kappa * z * z * z;
+
+	// Sky clearness and brightness
+	const epsilon = ((dhi + dni) / dhi + z3) / (1 + z3);
+	const delta = dhi * airmass / dniExtra;
+
+	let bin = 0;
+	while (bin < PEREZ_EPSILON_BINS.length - 1 && epsilon >= PEREZ_EPSILON_BINS[bin + 1]) bin++;
+
+	const [f11, f12, f13] = PEREZ_F1[bin];
+	const [f21, f22, f23] = PEREZ_F2[bin];
+	const F1 = Math.max(0, f11 + f12 * delta + f13 * z);
+	const F2 = f21 + f22 * delta + f23 * z;
+
+	const tilt = surfaceTilt * rad;
+	const a = Math.max(0, cosAoi);
+	const b = Math.max(Math.cos(85 * rad), Math.cos(z));
+
+	const isotropic = dhi * (1 - F1) * (1 + Math.cos(tilt)) / 2;
+	const circumsolar = dhi * F1 * a / b;
+	const horizon = dhi * F2 * Math.sin(tilt);
+	return { total: Math.max(0, isotropic + circumsolar + horizon), isotropic, circumsolar, horizon };
+}
+
+/**
+ * Ground-reflected irradiance seen by a tilted plane
+ * @param {number} surfaceTilt - Plane tilt
+ * @param {number} ghi - Global horizontal irradiance
+ * @param {number} albedo - Ground reflectance (0..1)
+ * @returns {number} Ground-reflected irradiance on the plane
+ */
+export function groundReflected(surfaceTilt, ghi, albedo = DEFAULT_ALBEDO) {
+	return ghi * albedo * (1 - Math.cos(surfaceTilt * rad)) / 2;
+}
+
+/**
+ * Plane-of-array irradiance: beam + sky diffuse + ground reflected
+ * @param {number} surfaceTilt - Plane tilt (0 = flat, 90 = vertical, >90 faces down)
+ * @param {number} cosAoi - cos(angle of incidence) between sun and plane normal
+ * @param {Object} sky - {ghi, dni, dhi, dniExtra, zenith, airmass} (see getClearSkyIrradiance)
+ * @param {Object} options - Model inputs
+ * @param {string} options.model - One of TRANSPOSITION_MODELS (default: PEREZ)
+ * @param {number} options.albedo - Ground reflectance (default: 0.2)
+ * @returns {{global: number, beam: number, skyDiffuse: number, circumsolar: number, groundDiffuse: number}}
+ *   POA components; circumsolar is included in skyDiffuse and shades like the beam
+ */
+export function getPlaneOfArrayIrradiance(surfaceTilt, cosAoi, sky, options = {}) {
+	const { model = TRANSPOSITION_MODELS.PEREZ, albedo = DEFAULT_ALBEDO } = options;
+	const { ghi = 0, dni = 0, dhi = 0, dniExtra = 1366.1, zenith = 90, airmass = Infinity } = sky;
+
+	// No direct beam from behind the plane or from below the horizon
+	const beam = zenith < 90 ? dni * Math.max(0, cosAoi) : 0;
+
+	let skyDiffuse;
+	let circumsolar = 0;
+	if (model === TRANSPOSITION_MODELS.ISOTROPIC) {
+		skyDiffuse = isotropicSky(surfaceTilt, dhi);
+	} else if (model === TRANSPOSITION_MODELS.HAY_DAVIES) {
+		({ total: skyDiffuse, circumsolar } = hayDaviesSky(surfaceTilt, cosAoi, zenith, dni, dhi, dniExtra));
+	} else {
+		({ total: skyDiffuse, circumsolar } = perezSky(surfaceTilt, cosAoi, zenith, dni, dhi, dniExtra, airmass));
+	}
+
+	const groundDiffuse = groundReflected(surfaceTilt, ghi, albedo);
+
+	return {
+		global: beam + skyDiffuse + groundDiffuse,
+		beam,
+		skyDiffuse,
+		circumsolar,
+		groundDiffuse
+	};
+}
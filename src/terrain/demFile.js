@@ -0,0 +1,465 @@
+/**
+ * Digital elevation model (DEM) files
+ * Reads single-band GeoTIFF and Esri ASCII grid (.asc) rasters in geographic
+ * (WGS84 longitude/latitude) coordinates into one grid shape:
+ * {format, fileName, width, height, values, west, north, dx, dy, minElevation, maxElevation}
+ * where values is a Float32Array of elevations in meters, row by row from the
+ * north, NaN for missing cells, and (west, north) is the center of the first cell.
+ */
+
+export const DEM_FORMATS = {
+  GEOTIFF: 'geotiff',
+  ASCII_GRID: 'ascii-grid'
+};
+
+const TIFF_TAGS = {
+  IMAGE_WIDTH: 256,
+  IMAGE_LENGTH: 257,
+  BITS_PER_SAMPLE: 258,
+  COMPRESSION: 259,
+  STRIP_OFFSETS: 273,
+  SAMPLES_PER_PIXEL: 277,
+  ROWS_PER_STRIP: 278,
+  STRIP_BYTE_COUNTS: 279,
+  PREDICTOR: 317,
+  TILE_WIDTH: 322,
+  TILE_LENGTH: 323,
+  TILE_OFFSETS: 324,
+  TILE_BYTE_COUNTS: 325,
+  SAMPLE_FORMAT: 339,
+  MODEL_PIXEL_SCALE: 33550,
+  MODEL_TIEPOINT: 33922,
+  MODEL_TRANSFORMATION: 34264,
+  GEO_KEY_DIRECTORY: 34735,
+  GDAL_NODATA: 42113
+};
+
+// Bytes per value of each TIFF field type
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+// GeoTIFF keys used here (GTModelTypeGeoKey, GTRasterTypeGeoKey)
+const GEO_KEY_MODEL_TYPE = 1024;
+const GEO_KEY_RASTER_TYPE = 1025;
+const MODEL_TYPE_GEOGRAPHIC = 2;
+const RASTER_PIXEL_IS_POINT = 2;
+
+const GEOGRAPHIC_ONLY = 'The DEM must use geographic (WGS84 longitude/latitude) coordinates. ' +
+  'Reproject it first, e.g. gdalwarp -t_srs EPSG:4326 in.tif out.tif';
+
+/**
+ * Reads one TIFF field's values
+ * @param {DataView} view - File contents
+ * @param {number} entry - Offset of the 12-byte IFD entry
+ * @param {boolean} little - Little-endian byte order
+ * @returns {Array<number>|string} Values (a string for ASCII fields)
+ */
+function readTIFFField(view, entry, little) {
+  const type = view.getUint16(entry + 2, little);
+  const count = view.getUint32(entry + 4, little);
+  const size = TIFF_TYPE_SIZES[type];
+  if (!size) return [];
+  const start = size * count <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+
+  if (type === 2) {
+    let text = '';
+    for (let i = 0; i < count; i++) text += String.fromCharCode(view.getUint8(start + i));
+    return text.replace(/\0+$/, '');
+  }
+
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const at = start + i * size;
+    switch (type) {
+      case 3: values.push(view.getUint16(at, little)); break;
+      case 4: values.push(view.getUint32(at, little)); break;
+      case 5: values.push(view.getUint32(at, little) / view.getUint32(at + 4, little)); break;
+      case 6: values.push(view.getInt8(at)); break;
+      case 8: values.push(view.getInt16(at, little)); break;
+      case 9: values.push(view.getInt32(at, little)); break;
+      case 10: values.push(view.getInt32(at, little) / view.getInt32(at + 4, little)); break;
+      case 11: values.push(view.getFloat32(at, little)); break;
+      case 12: values.push(view.getFloat64(at, little)); break;
+      default: values.push(view.getUint8(at));
+    }
+  }
+  return values;
+}
+
+/**
+ * Decodes TIFF LZW data (MSB-first codes with early change)
+ * @param {Uint8Array} input - Compressed bytes
+ * @param {number} expectedSize - Decoded size in bytes
+ * @returns {Uint8Array} Decoded bytes
+ */
+function decodeLZW(input, expectedSize) {
+  const CLEAR = 256;
+  const EOI = 257;
+  const output = new Uint8Array(expectedSize);
+  let outPos = 0;
+  let bitPos = 0;
+  let width = 9;
+  let dict = [];
+  let prev = null;
+
+  const reset = () => {
+    dict = [];
+    for (let i = 0; i < 256; i++) dict.push(Uint8Array.of(i));
+    dict.push(null, null); // CLEAR and EOI
+    width = 9;
+    prev = null;
+  };
+  const readCode = () => {
+    const i = bitPos >> 3;
+    const bits = (input[i] << 16) | ((input[i + 1] | 0) << 8) | (input[i + 2] | 0);
+    const shift = 24 - (bitPos & 7) - width;
+    bitPos += width;
+    return (bits >> shift) & ((1 << width) - 1);
+  };
+  const write = entry => {
+    const n = Math.min(entry.length, expectedSize - outPos);
+    output.set(n === entry.length ? entry : entry.subarray(0, n), outPos);
+    outPos += n;
+  };
+
+  reset();
+  while (bitPos + width <= input.length * 8 && outPos < expectedSize) {
+    const code = readCode();
+    if (code === EOI) break;
+    if (code === CLEAR) {
+      reset();
+      continue;
+    }
+
+    let entry;
+    if (code < dict.length && dict[code]) {
+      entry = dict[code];
+      if (prev) dict.push(concatByte(prev, entry[0]));
+    } else if (prev) {
+      entry = concatByte(prev, prev[0]);
+      dict.push(entry);
+    } else {
+      throw new Error('Corrupt LZW data in GeoTIFF.');
+    }
+    write(entry);
+    prev = entry;
+    if (dict.length >= (1 << width) - 1 && width < 12) width++;
+  }
+  return output;
+}
+
+/**
+ * Appends one byte to a byte string
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} byte - Byte to append
+ * @returns {Uint8Array} New bytes
+ */
+function concatByte(bytes, byte) {
+  const result = new Uint8Array(bytes.length + 1);
+  result.set(bytes);
+  result[bytes.length] = byte;
+  return result;
+}
+
+/**
+ * Inflates zlib (Deflate) data with the browser's DecompressionStream
+ * @param {Uint8Array} input - Compressed bytes
+ * @returns {Promise<Uint8Array>} Decoded bytes
+ */
+async function inflate(input) {
+  const stream = new Blob([input]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Decodes one strip or tile into elevation values
+ * @param {Uint8Array} bytes - Decompressed bytes
+ * @param {Object} layout - {blockWidth, bytesPerSample, sampleFormat, predictor, little}
+ * @returns {Float64Array} Values row by row
+ */
+function decodeBlock(bytes, { blockWidth, bytesPerSample, sampleFormat, predictor, little }) {
+  const count = Math.floor(bytes.length / bytesPerSample);
+  const rows = Math.floor(count / blockWidth);
+
+  // Floating-point predictor: bytes were split by significance and differenced per row
+  if (predictor === 3) {
+    const rowBytes = blockWidth * bytesPerSample;
+    const shuffled = new Uint8Array(rowBytes);
+    for (let r = 0; r < rows; r++) {
+      const row = bytes.subarray(r * rowBytes, (r + 1) * rowBytes);
+      for (let i = 1; i < rowBytes; i++) row[i] = (row[i] + row[i - 1]) & 0xff;
+      shuffled.set(row);
+      for (let s = 0; s < blockWidth; s++) {
+        for (let k = 0; k < bytesPerSample; k++) row[s * bytesPerSample + k] = shuffled[k * blockWidth + s];
+      }
+    }
+    little = false; // bytes are now most significant first
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const read = {
+    '1-1': i => view.getUint8(i),
+    '1-2': i => view.getUint16(i, little),
+    '1-4': i => view.getUint32(i, little),
+    '2-1': i => view.getInt8(i),
+    '2-2': i => view.getInt16(i, little),
+    '2-4': i => view.getInt32(i, little),
+    '3-4': i => view.getFloat32(i, little),
+    '3-8': i => view.getFloat64(i, little)
+  }[`${sampleFormat}-${bytesPerSample}`];
+  if (!read) throw new Error(`Unsupported GeoTIFF sample type (format ${sampleFormat}, ${bytesPerSample * 8} bit).`);
+
+  const values = new Float64Array(count);
+  for (let i = 0; i < count; i++) values[i] = read(i * bytesPerSample);
+
+  // Horizontal predictor: integers were stored as differences along each row
+  if (predictor === 2) {
+    const bits = bytesPerSample * 8;
+    const wrap = v => {
+      const m = ((v % 2 ** bits) + 2 ** bits) % 2 ** bits;
+      return sampleFormat === 2 && m >= 2 ** (bits - 1) ? m - 2 ** bits : m;
+    };
+    for (let r = 0; r < rows; r++) {
+      for (let c = 1; c < blockWidth; c++) {
+        const i = r * blockWidth + c;
+        values[i] = wrap(values[i] + values[i - 1]);
+      }
+    }
+  }
+  return values;
+}
+
+/**
+ * Parses a single-band GeoTIFF DEM
+ * Supports stripped or tiled images, no/LZW/Deflate compression and both predictors.
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<Object>} DEM grid (see module comment)
+ */
+export async function parseGeoTIFF(buffer) {
+  const view = new DataView(buffer);
+  const order = view.getUint16(0, false);
+  if (order !== 0x4949 && order !== 0x4d4d) throw new Error('Not a TIFF file.');
+  const little = order === 0x4949;
+  const magic = view.getUint16(2, little);
+  if (magic === 43) throw new Error('BigTIFF files are not supported; save the DEM as a regular GeoTIFF.');
+  if (magic !== 42) throw new Error('Not a TIFF file.');
+
+  // First image only
+  const ifd = view.getUint32(4, little);
+  const fields = {};
+  const entries = view.getUint16(ifd, little);
+  for (let e = 0; e < entries; e++) {
+    const entry = ifd + 2 + e * 12;
+    fields[view.getUint16(entry, little)] = readTIFFField(view, entry, little);
+  }
+  const field = (tag, fallback = null) => fields[tag] !== undefined ? fields[tag] : fallback;
+
+  const width = field(TIFF_TAGS.IMAGE_WIDTH)[0];
+  const height = field(TIFF_TAGS.IMAGE_LENGTH)[0];
+  if (field(TIFF_TAGS.SAMPLES_PER_PIXEL, [1])[0] !== 1) throw new Error('The DEM must have a single band.');
+  const bytesPerSample = field(TIFF_TAGS.BITS_PER_SAMPLE, [8])[0] / 8;
+  const sampleFormat = field(TIFF_TAGS.SAMPLE_FORMAT, [1])[0];
+  const compression = field(TIFF_TAGS.COMPRESSION, [1])[0];
+  const predictor = field(TIFF_TAGS.PREDICTOR, [1])[0];
+
+  // Georeferencing: geographic coordinates only
+  const geoKeys = new Map();
+  const directory = field(TIFF_TAGS.GEO_KEY_DIRECTORY, []);
+  for (let k = 4; k + 3 < directory.length; k += 4) {
+    if (directory[k + 1] === 0) geoKeys.set(directory[k], directory[k + 3]);
+  }
+  const modelType = geoKeys.get(GEO_KEY_MODEL_TYPE);
+  if (modelType !== undefined && modelType !== MODEL_TYPE_GEOGRAPHIC) throw new Error(GEOGRAPHIC_ONLY);
+
+  let tie, scale;
+  const transform = field(TIFF_TAGS.MODEL_TRANSFORMATION);
+  if (transform) {
+    if (transform[1] !== 0 || transform[4] !== 0) throw new Error('Rotated GeoTIFF grids are not supported.');
+    tie = [0, 0, 0, transform[3], transform[7]];
+    scale = [transform[0], -transform[5]];
+  } else {
+    tie = field(TIFF_TAGS.MODEL_TIEPOINT);
+    scale = field(TIFF_TAGS.MODEL_PIXEL_SCALE);
+    if (!tie || !scale) throw new Error('The TIFF has no georeferencing (ModelTiepoint/ModelPixelScale).');
+  }
+  // PixelIsArea tie points refer to the cell corner, PixelIsPoint to its center
+  const centerOffset = geoKeys.get(GEO_KEY_RASTER_TYPE) === RASTER_PIXEL_IS_POINT ? 0 : 0.5;
+
+  let noData = NaN;
+  const noDataText = field(TIFF_TAGS.GDAL_NODATA);
+  if (typeof noDataText === 'string' && noDataText.trim()) noData = parseFloat(noDataText);
+
+  // Strips are full-width blocks; tiles are padded to the tile size
+  const tiled = fields[TIFF_TAGS.TILE_OFFSETS] !== undefined;
+  const blockWidth = tiled ? field(TIFF_TAGS.TILE_WIDTH)[0] : width;
+  const blockHeight = tiled ? field(TIFF_TAGS.TILE_LENGTH)[0] : field(TIFF_TAGS.ROWS_PER_STRIP, [height])[0];
+  const offsets = field(tiled ? TIFF_TAGS.TILE_OFFSETS : TIFF_TAGS.STRIP_OFFSETS);
+  const byteCounts = field(tiled ? TIFF_TAGS.TILE_BYTE_COUNTS : TIFF_TAGS.STRIP_BYTE_COUNTS);
+  const blocksAcross = Math.ceil(width / blockWidth);
+
+  const values = new Float32Array(width * height).fill(NaN);
+  for (let b = 0; b < offsets.length; b++) {
+    const raw = new Uint8Array(buffer, offsets[b], byteCounts[b]);
+    const expectedSize = blockWidth * Math.min(blockHeight, tiled ? blockHeight : height - b * blockHeight) * bytesPerSample;
+    let bytes;
+    if (compression === 1) bytes = raw.slice();
+    else if (compression === 5) bytes = decodeLZW(raw, expectedSize);
+    else if (compression === 8 || compression === 32946) bytes = await inflate(raw);
+    else throw new Error(`Unsupported GeoTIFF compression (${compression}). Use none, LZW or Deflate.`);
+
+    const block = decodeBlock(bytes, { blockWidth, bytesPerSample, sampleFormat, predictor, little });
+    const col0 = (b % blocksAcross) * blockWidth;
+    const row0 = Math.floor(b / blocksAcross) * blockHeight;
+    const rows = Math.floor(block.length / blockWidth);
+    for (let r = 0; r < rows && row0 + r < height; r++) {
+      for (let c = 0; c < blockWidth && col0 + c < width; c++) {
+        const v = block[r * blockWidth + c];
+        values[(row0 + r) * width + col0 + c] = v === noData ? NaN : v;
+      }
+    }
+  }
+
+  return createDEM(DEM_FORMATS.GEOTIFF, {
+    width,
+    height,
+    values,
+    west: tie[3] + (centerOffset - tie[0]) * scale[0],
+    north: tie[4] - (centerOffset - tie[1]) * scale[1],
+    dx: scale[0],
+    dy: scale[1]
+  });
+}
+
+/**
+ * Parses an Esri ASCII grid (.asc) DEM
+ * @param {string} text - File contents
+ * @returns {Object} DEM grid (see module comment)
+ */
+export function parseASCIIGrid(text) {
+  const tokens = text.trim().split(/\s+/);
+  const header = {};
+  let i = 0;
+  while (i + 1 < tokens.length && /^[a-z_]+$/i.test(tokens[i])) {
+    header[tokens[i].toLowerCase()] = parseFloat(tokens[i + 1]);
+    i += 2;
+  }
+
+  const width = header.ncols;
+  const height = header.nrows;
+  const dx = header.cellsize ?? header.dx;
+  const dy = header.cellsize ?? header.dy;
+  if (!(width > 0) || !(height > 0) || !(dx > 0) || !(dy > 0)) {
+    throw new Error('ASCII grid is missing ncols, nrows or cellsize.');
+  }
+  const west = header.xllcenter ?? (header.xllcorner + dx / 2);
+  const south = header.yllcenter ?? (header.yllcorner + dy / 2);
+  if (isNaN(west) || isNaN(south)) throw new Error('ASCII grid is missing xllcorner or yllcorner.');
+
+  const noData = header.nodata_value;
+  const cells = tokens.length - i;
+  if (cells < width * height) {
+    throw new Error(`ASCII grid has ${cells} values; ${width} × ${height} expected.`);
+  }
+  const values = new Float32Array(width * height);
+  for (let k = 0; k < values.length; k++) {
+    const v = parseFloat(tokens[i + k]);
+    values[k] = v === noData ? NaN : v;
+  }
+
+  return createDEM(DEM_FORMATS.ASCII_GRID, {
+    width,
+    height,
+    values,
+    west,
+    north: south + (height - 1) * dy,
+    dx,
+    dy
+  });
+}
+
+/**
+ * Checks the grid is in degrees and adds its elevation range
+ * @param {string} format - One of DEM_FORMATS
+ * @param {Object} grid - {width, height, values, west, north, dx, dy}
+ * @returns {Object} DEM grid
+ */
+function createDEM(format, grid) {
+  const east = grid.west + (grid.width - 1) * grid.dx;
+  const south = grid.north - (grid.height - 1) * grid.dy;
+  if (Math.abs(grid.west) > 180 || Math.abs(east) > 180 || Math.abs(grid.north) > 90 || Math.abs(south) > 90) {
+    throw new Error(GEOGRAPHIC_ONLY);
+  }
+
+  let minElevation = Infinity;
+  let maxElevation = -Infinity;
+  grid.values.forEach(v => {
+    if (isNaN(v)) return;
+    minElevation = Math.min(minElevation, v);
+    maxElevation = Math.max(maxElevation, v);
+  });
+  if (minElevation > maxElevation) throw new Error('The DEM has no elevation values.');
+
+  return { format, ...grid, minElevation, maxElevation };
+}
+
+/**
+ * Reads a DEM file, picking the format from its contents
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} fileName - File name (stored on the DEM and used in messages)
+ * @returns {Promise<Object>} DEM grid (see module comment)
+ */
+export async function parseDEMFile(buffer, fileName = '') {
+  const start = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+  const isTIFF = (start[0] === 0x49 && start[1] === 0x49) || (start[0] === 0x4d && start[1] === 0x4d);
+  const dem = isTIFF
+    ? await parseGeoTIFF(buffer)
+    : parseASCIIGrid(new TextDecoder().decode(buffer));
+  return { ...dem, fileName };
+}
+
+/**
+ * Checks whether a point lies within the DEM grid
+ * @param {Object} dem - DEM grid
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {boolean} True if the point is covered
+ */
+export function demCovers(dem, lat, lon) {
+  const col = (lon - dem.west) / dem.dx;
+  const row = (dem.north - lat) / dem.dy;
+  return col >= -0.5 && col <= dem.width - 0.5 && row >= -0.5 && row <= dem.height - 0.5;
+}
+
+/**
+ * Elevation at a point by bilinear interpolation
+ * Points outside the grid take the nearest edge value; missing cells are skipped.
+ * @param {Object} dem - DEM grid
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {number|null} Elevation in meters, or null if the surrounding cells are all missing
+ */
+export function sampleDEM(dem, lat, lon) {
+  const col = Math.min(Math.max((lon - dem.west) / dem.dx, 0), dem.width - 1);
+  const row = Math.min(Math.max((dem.north - lat) / dem.dy, 0), dem.height - 1);
+  const c0 = Math.floor(col);
+  const r0 = Math.floor(row);
+  const c1 = Math.min(c0 + 1, dem.width - 1);
+  const r1 = Math.min(r0 + 1, dem.height - 1);
+  const fx = col - c0;
+  const fy = row - r0;
+
+  let sum = 0;
+  let weight = 0;
+  [[r0, c0, (1 - fx) * (1 - fy)], [r0, c1, fx * (1 - fy)], [r1, c0, (1 - fx) * fy], [r1, c1, fx * fy]]
+    .forEach(([r, c, w]) => {
+      const v = dem.values[r * dem.width + c];
+      if (!isNaN(v) && w > 0) {
+        sum += v * w;
+        weight += w;
+      }
+    });
+  if (weight > 0) return sum / weight;
+
+  // Exactly on a cell center next to missing cells
+  const v = dem.values[Math.round(row) * dem.width + Math.round(col)];
+  return isNaN(v) ? null : v;
+}
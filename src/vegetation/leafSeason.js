@@ -0,0 +1,53 @@
+/**
+ * Seasonal leaf cover of trees
+ * Tree crowns are partial shadow casters: a share of the direct sun passes
+ * through them, more when deciduous trees are bare. The share is per month and
+ * follows the OSM leaf_cycle tag.
+ */
+
+export const LEAF_CYCLES = {
+  EVERGREEN: 'evergreen',
+  DECIDUOUS: 'deciduous',
+  SEMI_EVERGREEN: 'semi_evergreen',
+  SEMI_DECIDUOUS: 'semi_deciduous'
+};
+
+// Crown settings; the leaf-off months are for the northern hemisphere and shift by six months south of the equator
+export const vegetationConfig = {
+  leafOnTransmittance: 0.15,    // share of direct sun passing through a crown in leaf
+  leafOffTransmittance: 0.6,    // through bare branches
+  leafOffMonths: [1, 2, 3],     // Jan-Mar: dry-season leaf fall of Bengal's deciduous trees
+  defaultLeafCycle: LEAF_CYCLES.DECIDUOUS // trees without a leaf_cycle tag
+};
+
+/**
+ * Share of direct sun passing through a tree crown
+ * @param {string|null} leafCycle - One of LEAF_CYCLES (null uses vegetationConfig.defaultLeafCycle)
+ * @param {number} month - Site-local month (1-12)
+ * @param {number} lat - Site latitude in degrees
+ * @returns {number} Transmittance (0 = opaque, 1 = no shading)
+ */
+export function getCrownTransmittance(leafCycle, month, lat) {
+  const { leafOnTransmittance: on, leafOffTransmittance: off, leafOffMonths, defaultLeafCycle } = vegetationConfig;
+  const northernMonth = lat < 0 ? ((month + 5) % 12) + 1 : month;
+  if (!leafOffMonths.includes(northernMonth)) return on;
+
+  switch (leafCycle || defaultLeafCycle) {
+    case LEAF_CYCLES.EVERGREEN: return on;
+    case LEAF_CYCLES.SEMI_EVERGREEN: return on + (off - on) / 4;
+    case LEAF_CYCLES.SEMI_DECIDUOUS: return (on + off) / 2;
+    default: return off;
+  }
+}
+
+/**
+ * Sets the crown transmittance of every tree shadow caster for a month
+ * @param {Array} obstacles - Shadow casters; those with a `tree` get `transmittance` updated in place
+ * @param {number} month - Site-local month (1-12)
+ * @param {number} lat - Site latitude in degrees
+ */
+export function setObstacleSeason(obstacles, month, lat) {
+  obstacles.forEach(obstacle => {
+    if (obstacle.tree) obstacle.transmittance = getCrownTransmittance(obstacle.tree.leafCycle, month, lat);
+  });
+}
@@ -0,0 +1,263 @@
+/**
+ * Weather file parsers for EnergyPlus EPW and NREL TMY3 CSV files
+ * Both formats hold one typical year of hourly records in local standard time
+ * (no daylight saving); each record is the average of the hour ending at `hour`.
+ */
+
+export const WEATHER_FORMATS = {
+  EPW: 'epw',
+  TMY3: 'tmy3'
+};
+
+// Site mismatches beyond these limits are reported by checkWeatherLocation
+const MAX_DISTANCE_KM = 50;
+const MAX_ELEVATION_DIFF_M = 300;
+
+// TMY3 marks missing values with -9900 (EPW uses 99.9, 999 or 9999 depending on the field)
+const TMY3_MISSING = -9900;
+
+/**
+ * Splits one CSV line into fields, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @returns {string[]} Field values with quotes removed
+ */
+export function splitCSVLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      if (quoted && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (ch === ',' && !quoted) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields.map(f => f.trim());
+}
+
+/**
+ * Parses a number, treating the format's "missing" sentinel as null
+ * @param {string} value - Field text
+ * @param {number} missing - Values at or above a positive sentinel, or at or below a negative one, are missing
+ * @returns {number|null}
+ */
+function parseValue(value, missing) {
+  const n = parseFloat(value);
+  if (isNaN(n) || (missing > 0 ? n >= missing : n <= missing)) return null;
+  return n;
+}
+
+/**
+ * Builds the weather object shared by both formats and indexes records by month/day/hour
+ * @param {string} format - One of WEATHER_FORMATS
+ * @param {Object} meta - {name, lat, lon, elevation, timeZoneOffset}
+ * @param {Array<Object>} records - Hourly records
+ * @returns {Object} Weather data
+ */
+function createWeather(format, meta, records) {
+  if (records.length === 0) {
+    throw new Error(`No hourly records found in ${format.toUpperCase()} file`);
+  }
+
+  const index = new Map();
+  records.forEach(r => index.set(recordKey(r.month, r.day, r.hour), r));
+
+  return { format, meta, records, index };
+}
+
+function recordKey(month, day, hour) {
+  return month * 10000 + day * 100 + hour;
+}
+
+/**
+ * Parses an EnergyPlus EPW weather file
+ * @param {string} text - File contents
+ * @returns {Object} Weather data {format, meta, records, index}
+ */
+export function parseEPW(text) {
+  const lines = text.split(/\r?\n/);
+  const location = splitCSVLine(lines[0]);
+  if (location[0].toUpperCase() !== 'LOCATION') {
+    throw new Error('EPW file must start with a LOCATION header');
+  }
+
+  // LOCATION,City,State,Country,Source,WMO,Latitude,Longitude,TimeZone,Elevation
+  const meta = {
+    name: [location[1], location[2], location[3]].filter(s => s && s !== '-').join(', '),
+    lat: parseFloat(location[6]),
+    lon: parseFloat(location[7]),
+    timeZoneOffset: parseFloat(location[8]),
+    elevation: parseFloat(location[9])
+  };
+
+  // Hourly data starts after the 8 header lines
+  const records = [];
+  for (let i = 8; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    const f = splitCSVLine(lines[i]);
+    if (f.length < 22) continue;
+
+    records.push({
+      month: parseInt(f[1]),
+      day: parseInt(f[2]),
+      hour: parseInt(f[3]),
+      ghi: parseValue(f[13], 9999) ?? 0,
+      dni: parseValue(f[14], 9999) ?? 0,
+      dhi: parseValue(f[15], 9999) ?? 0,
+      tempAir: parseValue(f[6], 99.9),
+      windSpeed: parseValue(f[21], 999)
+    });
+  }
+
+  return createWeather(WEATHER_FORMATS.EPW, meta, records);
+}
+
+/**
+ * Parses an NREL TMY3 CSV weather file
+ * @param {string} text - File contents
+ * @returns {Object} Weather data {format, meta, records, index}
+ */
+export function parseTMY3(text) {
+  const lines = text.split(/\r?\n/);
+
+  // Line 1: USAF,Name,State,TZ,Latitude,Longitude,Elevation
+  const header = splitCSVLine(lines[0]);
+  const meta = {
+    name: [header[1], header[2]].filter(Boolean).join(', '),
+    timeZoneOffset: parseFloat(header[3]),
+    lat: parseFloat(header[4]),
+    lon: parseFloat(header[5]),
+    elevation: parseFloat(header[6])
+  };
+
+  // Line 2: column names, e.g. "GHI (W/m^2)", "Dry-bulb (C)", "Wspd (m/s)"
+  const columns = splitCSVLine(lines[1] || '');
+  const column = name => columns.findIndex(c => c.startsWith(name));
+  const col = {
+    date: column('Date'),
+    time: column('Time'),
+    ghi: column('GHI ('),
+    dni: column('DNI ('),
+    dhi: column('DHI ('),
+    tempAir: column('Dry-bulb'),
+    windSpeed: column('Wspd')
+  };
+  if ([col.date, col.time, col.ghi, col.dni, col.dhi].some(c => c < 0)) {
+    throw new Error('TMY3 file is missing Date, Time, GHI, DNI or DHI columns');
+  }
+
+  const records = [];
+  for (let i = 2; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    const f = splitCSVLine(lines[i]);
+    const [month, day] = f[col.date].split('/').map(n => parseInt(n));
+    const hour = parseInt(f[col.time]); // "01:00".."24:00", hour ending
+
+    records.push({
+      month,
+      day,
+      hour,
+      ghi: parseValue(f[col.ghi], TMY3_MISSING) ?? 0,
+      dni: parseValue(f[col.dni], TMY3_MISSING) ?? 0,
+      dhi: parseValue(f[col.dhi], TMY3_MISSING) ?? 0,
+      tempAir: col.tempAir >= 0 ? parseValue(f[col.tempAir], TMY3_MISSING) : null,
+      windSpeed: col.windSpeed >= 0 ? parseValue(f[col.windSpeed], TMY3_MISSING) : null
+    });
+  }
+
+  return createWeather(WEATHER_FORMATS.TMY3, meta, records);
+}
+
+/**
+ * Parses an EPW or TMY3 CSV file, detecting the format from its contents
+ * @param {string} text - File contents
+ * @param {string} fileName - Original file name (kept as the weather source label)
+ * @returns {Object} Weather data {format, meta, records, index, fileName}
+ */
+export function parseWeatherFile(text, fileName = '') {
+  const firstLine = text.slice(0, text.indexOf('\n')).trim();
+
+  let weather;
+  if (/^LOCATION,/i.test(firstLine)) {
+    weather = parseEPW(text);
+  } else if (/Date \(MM\/DD\/YYYY\)/.test(text.slice(0, 2000))) {
+    weather = parseTMY3(text);
+  } else {
+    throw new Error('Unrecognized weather file. Expected an EnergyPlus EPW or TMY3 CSV file.');
+  }
+
+  weather.fileName = fileName;
+  return weather;
+}
+
+/**
+ * Finds the weather record covering an instant
+ * Maps the instant to the file's local standard time and picks the hour ending
+ * after it; Feb 29 falls back to Feb 28 since typical years have no leap day.
+ * @param {Object} weather - Weather data from parseWeatherFile
+ * @param {Date} date - Absolute instant
+ * @returns {Object|null} Hourly record or null if the file has no matching hour
+ */
+export function getWeatherRecord(weather, date) {
+  const offset = weather.meta.timeZoneOffset || 0;
+  const local = new Date(date.getTime() + offset * 3600000);
+
+  let month = local.getUTCMonth() + 1;
+  let day = local.getUTCDate();
+  if (month === 2 && day === 29) day = 28;
+
+  const hour = local.getUTCHours() + 1;
+  return weather.index.get(recordKey(month, day, hour)) || null;
+}
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @returns {number} Distance in kilometers
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLon = (lon2 - lon1) * rad;
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Compares a weather file's location metadata with the project site
+ * @param {Object} meta - Weather metadata {lat, lon, elevation, timeZoneOffset}
+ * @param {Object} location - Site location {lat, lon, altitude}
+ * @param {number} siteOffset - Site standard UTC offset in hours (optional)
+ * @returns {{distanceKm: number, warnings: string[]}} Distance to the station and any mismatches
+ */
+export function checkWeatherLocation(meta, location, siteOffset = null) {
+  const warnings = [];
+  const distance = distanceKm(meta.lat, meta.lon, location.lat, location.lon);
+
+  if (!isFinite(distance)) {
+    warnings.push('Weather file has no valid latitude/longitude.');
+  } else if (distance > MAX_DISTANCE_KM) {
+    warnings.push(`Weather station is ${distance.toFixed(0)} km from the site (${meta.lat.toFixed(3)}, ${meta.lon.toFixed(3)}).`);
+  }
+
+  if (isFinite(meta.elevation) && location.altitude !== undefined &&
+    Math.abs(meta.elevation - location.altitude) > MAX_ELEVATION_DIFF_M) {
+    warnings.push(`Weather station elevation ${meta.elevation.toFixed(0)} m differs from site altitude ${location.altitude} m.`);
+  }
+
+  if (siteOffset !== null && isFinite(meta.timeZoneOffset) && meta.timeZoneOffset !== siteOffset) {
+    warnings.push(`Weather file time zone is UTC${meta.timeZoneOffset >= 0 ? '+' : ''}${meta.timeZoneOffset}, site standard time is UTC${siteOffset >= 0 ? '+' : ''}${siteOffset}.`);
+  }
+
+  return { distanceKm: distance, warnings };
+}
@@ -0,0 +1,66 @@
+import { solarScene } from '../data/solarScene';
+import { getClearSkyIrradiance, extraterrestrialRadiation, relativeAirmass, getDayOfYear } from '../solar/clearSky';
+import { skyConfig } from '../solar/skyConfig';
+import { getWeatherRecord } from './weatherFile';
+
+// Where a sky irradiance object came from
+export const SKY_SOURCES = {
+  CLEAR_SKY: 'clearsky',
+  WEATHER: 'weather'
+};
+
+/**
+ * Clear-sky irradiance at the current site
+ * @param {Date} date - Absolute instant
+ * @param {number} zenith - Apparent solar zenith in degrees
+ * @returns {Object} Sky irradiance {ghi, dni, dhi, dniExtra, zenith, airmass, tempAir, windSpeed, source}
+ */
+export function getSiteClearSky(date, zenith) {
+  const sky = getClearSkyIrradiance(date, zenith, {
+    model: skyConfig.clearSkyModel,
+    altitude: solarScene.location.altitude,
+    linkeTurbidity: solarScene.location.linkeTurbidity
+  });
+  return { ...sky, tempAir: null, windSpeed: null, source: SKY_SOURCES.CLEAR_SKY };
+}
+
+/**
+ * Measured/typical irradiance from a weather file for an instant
+ * All irradiance is zeroed while the sun is below the horizon, so night-time records
+ * never light a surface; air temperature and wind speed still apply.
+ * @param {Object} weather - Weather data from parseWeatherFile
+ * @param {Date} date - Absolute instant
+ * @param {number} zenith - Apparent solar zenith in degrees
+ * @returns {Object} Sky irradiance {ghi, dni, dhi, dniExtra, zenith, airmass, tempAir, windSpeed, source}
+ */
+export function getWeatherSky(weather, date, zenith) {
+  const record = getWeatherRecord(weather, date);
+  const dniExtra = extraterrestrialRadiation(getDayOfYear(date));
+  const airmass = relativeAirmass(zenith);
+  const isDay = zenith < 90;
+
+  return {
+    ghi: isDay && record ? record.ghi : 0,
+    dni: isDay && record ? record.dni : 0,
+    dhi: isDay && record ? record.dhi : 0,
+    dniExtra,
+    zenith,
+    airmass,
+    tempAir: record ? record.tempAir : null,
+    windSpeed: record ? record.windSpeed : null,
+    source: SKY_SOURCES.WEATHER
+  };
+}
+
+/**
+ * Sky irradiance at the site: the loaded weather file if any, otherwise clear sky
+ * @param {Date} date - Absolute instant
+ * @param {number} zenith - Apparent solar zenith in degrees
+ * @returns {Object} Sky irradiance (see getWeatherSky)
+ */
+export function getSiteSky(date, zenith) {
+  if (solarScene.weather) {
+    return getWeatherSky(solarScene.weather, date, zenith);
+  }
+  return getSiteClearSky(date, zenith);
+}